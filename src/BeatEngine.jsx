@@ -1,6 +1,20 @@
 import { useState, useRef, useEffect, useCallback } from "react";
-import { applyGroove, SeededRNG, createDefaultGrooveProfile, computeGrooveHash } from './grooveEngine.js';
+import { createDefaultGrooveProfile, computeGrooveHash, computeKernelHash, computeSwingDuration, deriveSeed, resolveChannel } from './grooveEngine.js';
+import { DRIFT_BASIS } from './grooveField.js';
 import { GROOVE_PRESETS, GROOVE_PRESET_MAP } from './grooveProfiles.js';
+import { HARDWARE_PRESETS, SIGNAL_CHAIN_ORDERS, createLofiInsert } from './hardwareEmulation.js';
+import {
+  createArrangement, storePattern, loadPatternChannels, addPattern, removePattern,
+  nextPatternId, patternForBar, songPositionForBar, normalizeArrangement, PATTERN_IDS,
+} from './arrangement.js';
+import { collectStepEvents, collectTimelineEvents, bounceBarCount, grooveSeed } from './sequencer.js';
+import { createSampleSynthesis, sampleRegion, referencedSamples, bytesToBase64, base64ToBytes } from './samples.js';
+import { createPadChannels, isPadChannel } from './sampleChopper.js';
+import { exportBeatMidi, readMidiFile, midiToArrangement } from './midiFile.js';
+import { extractGrooveProfile, onsetsFromMidi, onsetsFromAudio } from './grooveExtraction.js';
+import { TRIG_CONDITIONS } from './trigConditions.js';
+import { fillNoise, fillReverbIR, computeRenderHash, RENDER_SAMPLE_RATE, decodeAtRenderRate } from './seededAudio.js';
+import { getOrCreateAuthorKey, loadAuthorKey, keyFingerprint, signDocument, verifyDocument } from './kernelSignature.js';
 
 // ═══════════════════════════════════════════════════════════
 // LIGHTNING BEATS — Beat Production Engine
@@ -232,29 +246,44 @@ function presetCinematic() {
 
 const PRESETS = [presetBoomBap, presetTrap, presetDrill, presetLofi, presetPhilly, presetCinematic];
 
+// Audio files (samples, performances) decode through an offline context
+const CAN_DECODE = typeof OfflineAudioContext !== "undefined";
+
 // ── Audio Synthesis ──
+// Noise and reverb IRs are seeded from the kernel's randomization_seed
+// (seededAudio.js), so identical kernels render identical samples.
 let noiseBuffer = null;
-function getNoiseBuffer(actx) {
-  if (noiseBuffer && noiseBuffer.sampleRate === actx.sampleRate) return noiseBuffer;
-  const len = actx.sampleRate * 2;
-  const buf = actx.createBuffer(1, len, actx.sampleRate);
-  const d = buf.getChannelData(0);
-  for (let i = 0; i < len; i++) d[i] = Math.random() * 2 - 1;
-  noiseBuffer = buf;
+let noiseSeed = null;
+function getNoiseBuffer(actx, seed) {
+  if (noiseBuffer && noiseBuffer.sampleRate === actx.sampleRate && noiseSeed === seed) return noiseBuffer;
+  const buf = actx.createBuffer(1, actx.sampleRate * 2, actx.sampleRate);
+  fillNoise(buf.getChannelData(0), deriveSeed(seed, 'noise'));
+  noiseBuffer = buf; noiseSeed = seed;
   return buf;
 }
 
-function createReverbIR(actx, duration, decayPower) {
+// Reversed copies of decoded samples, made once per buffer
+const reversedBuffers = new WeakMap();
+function getReversedBuffer(actx, buf) {
+  let rev = reversedBuffers.get(buf);
+  if (rev) return rev;
+  rev = actx.createBuffer(buf.numberOfChannels, buf.length, buf.sampleRate);
+  for (let ch = 0; ch < buf.numberOfChannels; ch++) {
+    rev.getChannelData(ch).set(buf.getChannelData(ch));
+    rev.getChannelData(ch).reverse();
+  }
+  reversedBuffers.set(buf, rev);
+  return rev;
+}
+
+function createReverbIR(actx, duration, decayPower, seed) {
   const len = actx.sampleRate * duration;
   const buf = actx.createBuffer(2, len, actx.sampleRate);
-  for (let ch = 0; ch < 2; ch++) {
-    const d = buf.getChannelData(ch);
-    for (let i = 0; i < len; i++) d[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / len, decayPower);
-  }
+  for (let ch = 0; ch < 2; ch++) fillReverbIR(buf.getChannelData(ch), deriveSeed(seed, 'reverb', ch), decayPower);
   return buf;
 }
 
-function synthDrum(actx, dest, time, synth, velocity) {
+function synthDrum(actx, dest, time, synth, velocity, samples, seed) {
   const v = velocity;
   const t = synth.type;
   if (t === "sine_pitch_env") {
@@ -268,7 +297,7 @@ function synthDrum(actx, dest, time, synth, velocity) {
     osc.connect(g); g.connect(dest);
     osc.start(time); osc.stop(time + synth.gain_decay + 0.05);
     if (synth.noise_mix > 0) {
-      const ns = actx.createBufferSource(); ns.buffer = getNoiseBuffer(actx);
+      const ns = actx.createBufferSource(); ns.buffer = getNoiseBuffer(actx, seed);
       const ng = actx.createGain();
       ng.gain.setValueAtTime(synth.noise_mix * v, time);
       ng.gain.exponentialRampToValueAtTime(0.001, time + synth.gain_decay);
@@ -282,7 +311,7 @@ function synthDrum(actx, dest, time, synth, velocity) {
     og.gain.exponentialRampToValueAtTime(0.001, time + (synth.sine_decay || 0.1));
     osc.connect(og); og.connect(dest);
     osc.start(time); osc.stop(time + (synth.sine_decay || 0.1) + 0.05);
-    const ns = actx.createBufferSource(); ns.buffer = getNoiseBuffer(actx);
+    const ns = actx.createBufferSource(); ns.buffer = getNoiseBuffer(actx, seed);
     const nf = actx.createBiquadFilter();
     nf.type = synth.noise_filter_type || "bandpass"; nf.frequency.value = synth.noise_filter_freq || 2000;
     const ng = actx.createGain();
@@ -291,7 +320,7 @@ function synthDrum(actx, dest, time, synth, velocity) {
     ns.connect(nf); nf.connect(ng); ng.connect(dest);
     ns.start(time); ns.stop(time + (synth.noise_decay || 0.2) + 0.05);
   } else if (t === "filtered_noise") {
-    const ns = actx.createBufferSource(); ns.buffer = getNoiseBuffer(actx);
+    const ns = actx.createBufferSource(); ns.buffer = getNoiseBuffer(actx, seed);
     const f = actx.createBiquadFilter();
     f.type = synth.filter_type || "highpass"; f.frequency.value = synth.filter_freq || 8000;
     if (synth.filter_q) f.Q.value = synth.filter_q;
@@ -302,7 +331,7 @@ function synthDrum(actx, dest, time, synth, velocity) {
     ns.start(time); ns.stop(time + (synth.gain_decay || 0.05) + 0.1);
   } else if (t === "noise_burst") {
     const play1 = (t0) => {
-      const ns = actx.createBufferSource(); ns.buffer = getNoiseBuffer(actx);
+      const ns = actx.createBufferSource(); ns.buffer = getNoiseBuffer(actx, seed);
       const f = actx.createBiquadFilter();
       f.type = synth.filter_type || "bandpass"; f.frequency.value = synth.filter_freq || 1500;
       if (synth.filter_q) f.Q.value = synth.filter_q;
@@ -322,6 +351,24 @@ function synthDrum(actx, dest, time, synth, velocity) {
     g.gain.exponentialRampToValueAtTime(0.001, time + (synth.gain_decay || 0.02));
     osc.connect(g); g.connect(dest);
     osc.start(time); osc.stop(time + (synth.gain_decay || 0.02) + 0.02);
+  } else if (t === "sample") {
+    // User-loaded audio; silent until its buffer has been decoded
+    const buf = samples?.[synth.sample_id];
+    if (!buf) return;
+    const r = sampleRegion(buf.duration, synth);
+    if (r.duration <= 0) return;
+    const src = actx.createBufferSource();
+    src.buffer = synth.reverse ? getReversedBuffer(actx, buf) : buf;
+    src.playbackRate.value = r.rate;
+    const attack = synth.gain_attack || 0.001;
+    const g = actx.createGain();
+    g.gain.setValueAtTime(0, time);
+    g.gain.linearRampToValueAtTime(v, time + attack);
+    if (synth.gain_decay > 0) {
+      g.gain.exponentialRampToValueAtTime(0.001, time + Math.max(attack, synth.gain_decay));
+    }
+    src.connect(g); g.connect(dest);
+    src.start(time, r.offset, r.duration);
   }
 }
 
@@ -377,7 +424,7 @@ function synthNote(actx, dest, time, midi, duration, synth, velocity) {
 }
 
 // ── Master Effects Chain Builder ──
-function buildMasterChain(actx, masterCfg) {
+function buildMasterChain(actx, masterCfg, seed) {
   const dryBus = actx.createGain(); dryBus.gain.value = 1;
   const reverbBus = actx.createGain(); reverbBus.gain.value = 1;
   const masterGain = actx.createGain(); masterGain.gain.value = masterCfg.volume;
@@ -385,7 +432,7 @@ function buildMasterChain(actx, masterCfg) {
   let convolver = null, reverbWet = null;
   if (masterCfg.reverb.enabled) {
     convolver = actx.createConvolver();
-    convolver.buffer = createReverbIR(actx, masterCfg.reverb.decay, 2 + masterCfg.reverb.room_size * 3);
+    convolver.buffer = createReverbIR(actx, masterCfg.reverb.decay, 2 + masterCfg.reverb.room_size * 3, seed);
     reverbWet = actx.createGain(); reverbWet.gain.value = masterCfg.reverb.wet;
     reverbBus.connect(convolver); convolver.connect(reverbWet); reverbWet.connect(masterGain);
   }
@@ -422,7 +469,7 @@ function buildMasterChain(actx, masterCfg) {
   }
 
   masterGain.connect(actx.destination);
-  return { dryBus, reverbBus, masterGain };
+  return { dryBus, reverbBus, masterGain, seed };
 }
 
 function routeToMaster(actx, chain, mixer, velocity) {
@@ -438,10 +485,151 @@ function routeToMaster(actx, chain, mixer, velocity) {
   return cg;
 }
 
+// Routes one event into a channel's persistent insert strip. Pan and
+// send levels are refreshed from the mixer per event; the lo-fi node's
+// own parameters are kept current by syncChannelInserts.
+function routeToInsert(actx, strip, mixer, velocity) {
+  const cg = actx.createGain(); cg.gain.value = mixer.volume * velocity;
+  strip.pan.pan.value = mixer.pan;
+  strip.dry.gain.value = 1 - (mixer.reverb_send || 0);
+  strip.send.gain.value = mixer.reverb_send || 0;
+  cg.connect(strip.node);
+  return cg;
+}
+
+// ── Lo-Fi Worklet (Layer 5) ──
+// Works on live and offline contexts alike. The module is added once per
+// context; the master insert and every channel insert share it.
+const lofiModules = new WeakMap();
+
+function loadLofiModule(actx) {
+  if (!lofiModules.has(actx)) {
+    const workletUrl = new URL('./lofi-processor.worklet.js', import.meta.url).href;
+    lofiModules.set(actx, actx.audioWorklet.addModule(workletUrl));
+  }
+  return lofiModules.get(actx);
+}
+
+// Writes a hardware block's settings to a lo-fi node's AudioParams.
+// signal_chain_order is a construction option and cannot change here.
+function setLofiParams(lofiNode, hw) {
+  lofiNode.parameters.get('enabled').value = 1;
+  lofiNode.parameters.get('saturationEnabled').value = hw.dac_saturation?.enabled ? 1 : 0;
+  lofiNode.parameters.get('saturationGain').value = hw.dac_saturation?.gain || 1.2;
+  lofiNode.parameters.get('targetSampleRate').value = hw.sample_rate || 26040;
+  lofiNode.parameters.get('bitDepth').value = hw.bit_depth || 12;
+  lofiNode.parameters.get('downsampleEnabled').value = 1;
+  lofiNode.parameters.get('crackleAmount').value = hw.crackle_amount || 0;
+  lofiNode.parameters.get('filterCutoff').value = hw.anti_alias_filter?.cutoff_hz || 18000;
+  lofiNode.parameters.get('filterRipple').value = hw.anti_alias_filter?.ripple_db || 0.5;
+  lofiNode.parameters.get('filterOrder').value = hw.anti_alias_filter?.order || 4;
+}
+
+async function createLofiNode(actx, hw, crackleSeed) {
+  await loadLofiModule(actx);
+  const lofiNode = new AudioWorkletNode(actx, 'lofi-processor', {
+    processorOptions: { signalChainOrder: hw.signal_chain_order, crackleSeed },
+  });
+  setLofiParams(lofiNode, hw);
+  return lofiNode;
+}
+
+// Inserts the lo-fi worklet between masterGain and the destination when
+// the profile's dac_saturation is enabled. Returns the node, or null when
+// gated off or AudioWorklet is unavailable (the chain is left untouched).
+async function insertMasterLofi(actx, chain, hw) {
+  if (!hw?.dac_saturation?.enabled) return null;
+  let lofiNode;
+  try {
+    lofiNode = await createLofiNode(actx, hw, deriveSeed(chain.seed, 'crackle', 'master'));
+  } catch (e) {
+    // AudioWorklet not supported — continue without lo-fi processing
+    console.warn('[LofiUnavailable] ' + e.message);
+    return null;
+  }
+  chain.masterGain.disconnect();
+  chain.masterGain.connect(lofiNode);
+  lofiNode.connect(actx.destination);
+  return lofiNode;
+}
+
+function hasLofiInsert(ch) {
+  const insert = ch.mixer.insert;
+  return !!insert?.enabled && insert.type === "lofi";
+}
+
+// Builds one channel's persistent insert strip (lofi → pan → dry/reverb
+// sends). A lo-fi node carries filter and hold state, so it lives for
+// the whole render rather than per event. Returns null when the insert
+// fails to load; the channel then falls back to direct routing.
+async function buildInsertStrip(actx, chain, ch) {
+  const hw = ch.mixer.insert.hardware || {};
+  let node;
+  try {
+    node = await createLofiNode(actx, hw, deriveSeed(chain.seed, 'crackle', ch.id));
+  } catch (e) {
+    console.warn('[LofiUnavailable] ' + e.message);
+    return null;
+  }
+  const pan = actx.createStereoPanner();
+  const dry = actx.createGain();
+  const send = actx.createGain();
+  node.connect(pan);
+  pan.connect(dry); dry.connect(chain.dryBus);
+  pan.connect(send); send.connect(chain.reverbBus);
+  return { node, pan, dry, send, order: hw.signal_chain_order };
+}
+
+function releaseInsertStrip(strip) {
+  strip.node.disconnect(); strip.pan.disconnect();
+  strip.dry.disconnect(); strip.send.disconnect();
+}
+
+// Builds a strip for every channel whose mixer.insert hosts an enabled
+// lo-fi slot. Returns { [channelId]: strip }.
+async function buildChannelInserts(actx, chain, channels) {
+  const inserts = {};
+  for (const ch of channels) {
+    if (!hasLofiInsert(ch)) continue;
+    const strip = await buildInsertStrip(actx, chain, ch);
+    if (strip) inserts[ch.id] = strip;
+  }
+  return inserts;
+}
+
+// Brings a running chain's insert strips in line with the channels:
+// parameter edits go straight to the live node, enabling an insert
+// builds its strip, disabling (or removing the channel) releases it.
+// A new signal_chain_order needs a fresh node, so that strip is rebuilt.
+async function syncChannelInserts(actx, chain, channels) {
+  const wanted = new Map(channels.filter(hasLofiInsert).map(ch => [ch.id, ch]));
+  for (const id of Object.keys(chain.inserts)) {
+    if (!wanted.has(id)) { releaseInsertStrip(chain.inserts[id]); delete chain.inserts[id]; }
+  }
+  for (const [id, ch] of wanted) {
+    const hw = ch.mixer.insert.hardware || {};
+    const strip = chain.inserts[id];
+    if (strip && strip.order === hw.signal_chain_order) { setLofiParams(strip.node, hw); continue; }
+    const rebuilt = await buildInsertStrip(actx, chain, ch);
+    if (strip) releaseInsertStrip(strip);
+    if (rebuilt) chain.inserts[id] = rebuilt; else delete chain.inserts[id];
+  }
+}
+
+// Synthesizes one collected sequencer event through its channel strip
+function playEvent(actx, chain, ev) {
+  const strip = chain.inserts?.[ev.channel.id];
+  const dest = strip
+    ? routeToInsert(actx, strip, ev.channel.mixer, ev.velocity)
+    : routeToMaster(actx, chain, ev.channel.mixer, ev.velocity);
+  if (ev.type === "drum") synthDrum(actx, dest, ev.time, ev.channel.synthesis, ev.velocity, chain.samples, chain.seed);
+  else synthNote(actx, dest, ev.time, ev.midi, ev.duration, ev.channel.synthesis, ev.velocity);
+}
+
 // ═══════════════════════════════════════════════════════════
 // BEAT ENGINE COMPONENT
 // ═══════════════════════════════════════════════════════════
-export default function BeatEngine({ briefBpm, briefKey, onBounce, onExportKernel, artistName, apiKey, onNeedApiKey }) {
+export default function BeatEngine({ briefBpm, briefKey, onBounce, onExportKernel, artistName, apiKey, onNeedApiKey, chopKit, onChopKitLoaded }) {
   const [transport, setTransport] = useState({ bpm: briefBpm || 90, swing: 0.15, time_signature: "4/4", key: briefKey || "C", scale: "minor", steps_per_pattern: 16 });
   const [drums, setDrums] = useState(() => defaultDrums());
   const [instruments, setInstruments] = useState(() => defaultInstruments());
@@ -449,37 +637,85 @@ export default function BeatEngine({ briefBpm, briefKey, onBounce, onExportKerne
   const [playing, setPlaying] = useState(false);
   const [currentStep, setCurrentStep] = useState(-1);
   const [activeInstTab, setActiveInstTab] = useState(0);
+  const [activeDrum, setActiveDrum] = useState(-1);
+  const [curveChannel, setCurveChannel] = useState("snare");
+  const [trigTarget, setTrigTarget] = useState(null); // { type: "drum"|"note", ci, si, midi? }
+  const [fill, setFill] = useState(false);
   const [drawVelocity, setDrawVelocity] = useState(0.8);
   const [view, setView] = useState("drums"); // drums | instruments | mixer | master | groove
   const [beatName, setBeatName] = useState("Untitled Beat");
   const [bouncing, setBouncing] = useState(false);
+  const [renderHash, setRenderHash] = useState(null); // SHA-256 of the last bounce's 16-bit PCM
   const [aiPrompt, setAiPrompt] = useState("");
   const [aiGenerating, setAiGenerating] = useState(false);
 
   // ── Groove Physics Engine State ──
   const [grooveProfile, setGrooveProfile] = useState(() => createDefaultGrooveProfile(briefBpm || 90));
   const [groovePresetIdx, setGroovePresetIdx] = useState(0);
+  const [extractStats, setExtractStats] = useState(null);
   const [grooveEnabled, setGrooveEnabled] = useState(true);
 
+  // ── Arrangement State ──
+  // drums/instruments hold the pattern being edited; every pattern's
+  // content (including the edited one) is kept in the arrangement.
+  const [arrangement, setArrangement] = useState(() => createArrangement(drums, instruments));
+  const [editPattern, setEditPattern] = useState("A");
+  const [playingBar, setPlayingBar] = useState(-1);
+  const [bounceLength, setBounceLength] = useState({ mode: "chain", count: 1 }); // chain | loops | bars
+  const [midiGridOnly, setMidiGridOnly] = useState(false);
+  const [midiReport, setMidiReport] = useState(null);
+  // ── Author Signatures ──
+  const [signExports, setSignExports] = useState(false);
+  const [authorFingerprint, setAuthorFingerprint] = useState(null);
+  const [kernelAuthor, setKernelAuthor] = useState(null); // verifyDocument() result of the last import
+  const [kernelIntegrity, setKernelIntegrity] = useState(null); // kernel_hash check of the last import
+
+  // ── Sample Kit ──
+  // samples holds the encoded files (exported with the kernel);
+  // sampleBuffersRef holds their decoded AudioBuffers by the same id.
+  const [samples, setSamples] = useState({});
+  const sampleBuffersRef = useRef({});
+
   const actxRef = useRef(null);
   const chainRef = useRef(null);
   const schedulerRef = useRef(null);
   const stepRef = useRef(0);
   const nextTimeRef = useRef(0);
   const barRef = useRef(0);
-  const rngRef = useRef(new SeededRNG(42));
+  const trigStateRef = useRef({});
+  const fillRef = useRef(fill);
+  const grooveEnabledRef = useRef(grooveEnabled);
   const lofiNodeRef = useRef(null);
   const drumsRef = useRef(drums);
   const instRef = useRef(instruments);
   const masterRef = useRef(master);
   const transportRef = useRef(transport);
   const grooveProfileRef = useRef(grooveProfile);
+  const arrangementRef = useRef(arrangement);
 
   useEffect(() => { drumsRef.current = drums; }, [drums]);
   useEffect(() => { instRef.current = instruments; }, [instruments]);
   useEffect(() => { masterRef.current = master; }, [master]);
   useEffect(() => { transportRef.current = transport; }, [transport]);
   useEffect(() => { grooveProfileRef.current = grooveProfile; }, [grooveProfile]);
+  useEffect(() => { arrangementRef.current = arrangement; }, [arrangement]);
+  useEffect(() => { fillRef.current = fill; }, [fill]);
+  useEffect(() => { grooveEnabledRef.current = grooveEnabled; }, [grooveEnabled]);
+
+  // Apply insert edits to the running chain. Syncs are queued so a
+  // strip still loading is never built twice, and dropped once stopped.
+  useEffect(() => {
+    const chain = chainRef.current, actx = actxRef.current;
+    if (!chain || !actx) return;
+    const channels = [...drums, ...instruments];
+    chain.insertSync = (chain.insertSync || Promise.resolve())
+      .then(() => chainRef.current === chain && syncChannelInserts(actx, chain, channels));
+  }, [drums, instruments]);
+
+  // Write grid edits through to the pattern being edited
+  useEffect(() => {
+    setArrangement(a => storePattern(a, editPattern, drums, instruments));
+  }, [drums, instruments, editPattern]);
 
   // Sync BPM/key from brief when changed
   useEffect(() => {
@@ -491,53 +727,26 @@ export default function BeatEngine({ briefBpm, briefKey, onBounce, onExportKerne
 
   // ── Scheduler (with Groove Physics Engine) ──
   const scheduleStep = useCallback((step, time, actx, chain) => {
-    const dr = drumsRef.current;
-    const ins = instRef.current;
     const tr = transportRef.current;
     const gp = grooveProfileRef.current;
-    const rng = rngRef.current;
     const barIndex = barRef.current;
-    const hasSoloD = dr.some(c => c.mixer.solo);
-    const hasSoloI = ins.some(c => c.mixer.solo);
-
-    // Update groove profile BPM to match transport
-    const activeProfile = gp ? { ...gp, bpm: tr.bpm } : null;
-
-    dr.forEach(ch => {
-      if (!ch.enabled || ch.mixer.mute) return;
-      if (hasSoloD && !ch.mixer.solo) return;
-      const s = ch.pattern.steps[step];
-      if (s && s.active) {
-        // Apply groove displacement per channel
-        const groove = applyGroove(
-          time, step, ch.id, activeProfile, barIndex,
-          rng, tr.scale, s.velocity
-        );
-        if (!groove.shouldPlay) return;
-        const finalVel = groove.velocity != null ? groove.velocity : s.velocity;
-        const dest = routeToMaster(actx, chain, ch.mixer, finalVel);
-        synthDrum(actx, dest, groove.time, ch.synthesis, finalVel);
-      }
-    });
-
-    const secPerStep = 60 / tr.bpm / 4;
-    ins.forEach(ch => {
-      if (!ch.enabled || ch.mixer.mute) return;
-      if (hasSoloI && !ch.mixer.solo) return;
-      ch.notes.forEach(n => {
-        if (n.step === step) {
-          const dur = n.length_steps * secPerStep;
-          // Apply groove displacement for instrument channels
-          const groove = applyGroove(
-            time, step, ch.id, activeProfile, barIndex,
-            rng, tr.scale, n.velocity
-          );
-          const finalVel = groove.velocity != null ? groove.velocity : n.velocity;
-          const dest = routeToMaster(actx, chain, ch.mixer, finalVel);
-          synthNote(actx, dest, groove.time, n.midi_note, dur, ch.synthesis, finalVel);
-        }
-      });
+    const arr = arrangementRef.current;
+
+    // Update groove profile BPM and swing to match transport
+    const activeProfile = gp ? { ...gp, bpm: tr.bpm, swing: tr.swing || 0 } : null;
+
+    const events = collectStepEvents({
+      step, barIndex, time,
+      drums: drumsRef.current, instruments: instRef.current,
+      pattern: arr.patterns[patternForBar(arr, barIndex)],
+      grooveProfile: activeProfile,
+      scale: tr.scale, secPerStep: 60 / tr.bpm / 4,
+      songPosition: songPositionForBar(arr, barIndex, { drums: drumsRef.current, fill: fillRef.current, seed: grooveSeed(gp) }),
+      fill: fillRef.current, trigState: trigStateRef.current,
+      // Read per step: the A/B bypass switches on the next scheduled step
+      grooveEnabled: grooveEnabledRef.current,
     });
+    events.forEach(ev => playEvent(actx, chain, ev));
   }, []);
 
   const startPlayback = useCallback(async () => {
@@ -548,35 +757,15 @@ export default function BeatEngine({ briefBpm, briefKey, onBounce, onExportKerne
     // Initialize lo-fi AudioWorklet — coefficient-gated by dac_saturation.enabled
     // (CMD-007: no groove_type branching — style from coefficients only)
     const gp = grooveProfileRef.current;
-    if (gp?.hardware_emulation?.dac_saturation?.enabled) {
-      try {
-        const workletUrl = new URL('./lofi-processor.worklet.js', import.meta.url).href;
-        await actx.audioWorklet.addModule(workletUrl);
-        const lofiNode = new AudioWorkletNode(actx, 'lofi-processor');
-        lofiNode.parameters.get('enabled').value = 1;
-        lofiNode.parameters.get('saturationEnabled').value = gp.hardware_emulation.dac_saturation.enabled ? 1 : 0;
-        lofiNode.parameters.get('saturationGain').value = gp.hardware_emulation.dac_saturation.gain || 1.2;
-        lofiNode.parameters.get('targetSampleRate').value = gp.hardware_emulation.sample_rate || 26040;
-        lofiNode.parameters.get('bitDepth').value = gp.hardware_emulation.bit_depth || 12;
-        lofiNode.parameters.get('downsampleEnabled').value = 1;
-        lofiNodeRef.current = lofiNode;
-      } catch (e) {
-        // AudioWorklet not supported — continue without lo-fi processing
-        lofiNodeRef.current = null;
-      }
-    }
-
-    const chain = buildMasterChain(actx, masterRef.current);
-    // Insert lo-fi worklet into chain if available
-    if (lofiNodeRef.current) {
-      chain.masterGain.disconnect();
-      chain.masterGain.connect(lofiNodeRef.current);
-      lofiNodeRef.current.connect(actx.destination);
-    }
+    const chain = buildMasterChain(actx, masterRef.current, grooveSeed(gp));
+    lofiNodeRef.current = await insertMasterLofi(actx, chain, gp?.hardware_emulation);
+    chain.inserts = await buildChannelInserts(actx, chain, [...drumsRef.current, ...instRef.current]);
+    chain.samples = sampleBuffersRef.current;
     chainRef.current = chain;
 
-    // Reset groove engine state (RULE 7: RNG resets at transport start)
-    rngRef.current.reset(gp?.randomization_seed || 42);
+    // Reset groove engine state. Groove RNG streams are addressed per
+    // event (see sequencer.js), so only the trig state carries over.
+    trigStateRef.current = {};
     barRef.current = 0;
     stepRef.current = 0;
     nextTimeRef.current = actx.currentTime + 0.05;
@@ -592,15 +781,11 @@ export default function BeatEngine({ briefBpm, briefKey, onBounce, onExportKerne
         const step = stepRef.current;
         scheduleStep(step, nextTimeRef.current, actx, chain);
         setCurrentStep(step);
-        const secPerStep = 60 / tr.bpm / 4;
-        const swing = tr.swing || 0;
-        if (step % 2 === 0) {
-          nextTimeRef.current += secPerStep * (1 - swing);
-        } else {
-          nextTimeRef.current += secPerStep * (1 + swing);
-        }
+        setPlayingBar(barRef.current);
+        nextTimeRef.current += computeSwingDuration(step, 60 / tr.bpm / 4, tr.swing || 0);
         const nextStep = (step + 1) % tr.steps_per_pattern;
-        // Track bar index for groove field (Layer 2) computations
+        // Track bar index for groove field (Layer 2) computations and
+        // pattern chain position (one pattern per bar)
         if (nextStep === 0) {
           barRef.current += 1;
         }
@@ -616,69 +801,111 @@ export default function BeatEngine({ briefBpm, briefKey, onBounce, onExportKerne
     if (lofiNodeRef.current) { try { lofiNodeRef.current.disconnect(); } catch(e){} lofiNodeRef.current = null; }
     if (actxRef.current) { try { actxRef.current.close(); } catch(e){} }
     actxRef.current = null; chainRef.current = null;
-    setPlaying(false); setCurrentStep(-1);
+    setPlaying(false); setCurrentStep(-1); setPlayingBar(-1);
   }, []);
 
   // ── Bounce (with Groove Physics Engine) ──
   const bounceBeat = useCallback(async () => {
     setBouncing(true);
     try {
-      const tr = transport;
-      const gp = grooveProfile ? { ...grooveProfile, bpm: tr.bpm } : null;
-      const bounceRng = new SeededRNG(gp?.randomization_seed || 42);
-      const secPerStep = 60 / tr.bpm / 4;
-      const totalSteps = tr.steps_per_pattern;
-      const duration = totalSteps * secPerStep + 2;
-      const sr = 48000;
+      const arr = storePattern(arrangement, editPattern, drums, instruments);
+      const bars = bounceBarCount(arr, bounceLength);
+      // Same event collection as the live scheduler, from bar 0
+      const { events, endTime } = collectTimelineEvents({
+        arrangement: arr, drums, instruments, transport, grooveProfile, bars, fill, grooveEnabled,
+      });
+      const duration = endTime + 2;
+      const sr = RENDER_SAMPLE_RATE;
       const offCtx = new OfflineAudioContext(2, Math.ceil(duration * sr), sr);
-      const chain = buildMasterChain(offCtx, master);
-
-      const hasSoloD = drums.some(c => c.mixer.solo);
-      const hasSoloI = instruments.some(c => c.mixer.solo);
+      const chain = buildMasterChain(offCtx, master, grooveSeed(grooveProfile));
+      // Same Layer 5 insert as live playback, so the bounce carries the lo-fi chain
+      await insertMasterLofi(offCtx, chain, grooveProfile?.hardware_emulation);
+      chain.inserts = await buildChannelInserts(offCtx, chain, [...drums, ...instruments]);
+      chain.samples = sampleBuffersRef.current;
 
-      for (let step = 0; step < totalSteps; step++) {
-        const swingOff = transport.swing || 0;
-        const barIndex = Math.floor(step / 16);
-        let time = 0;
-        for (let s = 0; s < step; s++) {
-          time += s % 2 === 0 ? secPerStep * (1 - swingOff) : secPerStep * (1 + swingOff);
-        }
-
-        drums.forEach(ch => {
-          if (!ch.enabled || ch.mixer.mute) return;
-          if (hasSoloD && !ch.mixer.solo) return;
-          const st = ch.pattern.steps[step];
-          if (st && st.active) {
-            const groove = applyGroove(time, step, ch.id, gp, barIndex, bounceRng, tr.scale, st.velocity);
-            if (!groove.shouldPlay) return;
-            const finalVel = groove.velocity != null ? groove.velocity : st.velocity;
-            const dest = routeToMaster(offCtx, chain, ch.mixer, finalVel);
-            synthDrum(offCtx, dest, groove.time, ch.synthesis, finalVel);
-          }
-        });
-
-        instruments.forEach(ch => {
-          if (!ch.enabled || ch.mixer.mute) return;
-          if (hasSoloI && !ch.mixer.solo) return;
-          ch.notes.forEach(n => {
-            if (n.step === step) {
-              const dur = n.length_steps * secPerStep;
-              const groove = applyGroove(time, step, ch.id, gp, barIndex, bounceRng, tr.scale, n.velocity);
-              const finalVel = groove.velocity != null ? groove.velocity : n.velocity;
-              const dest = routeToMaster(offCtx, chain, ch.mixer, finalVel);
-              synthNote(offCtx, dest, groove.time, n.midi_note, dur, ch.synthesis, finalVel);
-            }
-          });
-        });
-      }
+      events.forEach(ev => playEvent(offCtx, chain, ev));
 
       const rendered = await offCtx.startRendering();
+      if (crypto?.subtle) {
+        try { setRenderHash(await computeRenderHash(rendered)); } catch (he) { setRenderHash(null); }
+      }
       if (onBounce) onBounce(rendered, beatName);
     } catch (e) {
       alert("Bounce error: " + e.message);
     }
     setBouncing(false);
-  }, [transport, drums, instruments, master, grooveProfile, onBounce, beatName]);
+  }, [transport, drums, instruments, master, grooveProfile, grooveEnabled, arrangement, editPattern, bounceLength, fill, onBounce, beatName]);
+
+  // ── Export MIDI (SMF type 1) ──
+  // Same bar count and event collection as the bounce; grid-only writes every
+  // active step on the grid (no trigs, nudge, groove or swing).
+  const exportMidi = useCallback(() => {
+    const arr = storePattern(arrangement, editPattern, drums, instruments);
+    const bytes = exportBeatMidi({
+      arrangement: arr, drums, instruments, transport, grooveProfile,
+      bars: bounceBarCount(arr, bounceLength), grooveBaked: grooveEnabled && !midiGridOnly, grid: midiGridOnly, name: beatName, fill,
+    });
+    const blob = new Blob([bytes], { type: "audio/midi" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a"); a.href = url;
+    a.download = `${beatName.replace(/\s+/g, "-").toLowerCase()}${midiGridOnly ? "-grid" : ""}.mid`;
+    a.click(); URL.revokeObjectURL(url);
+  }, [transport, drums, instruments, grooveProfile, grooveEnabled, arrangement, editPattern, bounceLength, midiGridOnly, fill, beatName]);
+
+  // ── Import MIDI ──
+  // Quantizes onto the step grid, one pattern per bar. The report lists
+  // what the grid could not keep (off-grid timing, unmapped notes).
+  const importMidiFile = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      const midi = readMidiFile(await file.arrayBuffer());
+      const steps = transportRef.current.steps_per_pattern;
+      const { arrangement: arr, report } = midiToArrangement(midi, drumsRef.current, instRef.current, steps);
+      const firstId = arr.pattern_chain[0];
+      const loaded = loadPatternChannels(drumsRef.current, instRef.current, arr.patterns[firstId], steps);
+      setArrangement(arr);
+      setEditPattern(firstId);
+      setDrums(loaded.drums);
+      setInstruments(loaded.instruments);
+      if (midi.bpm) setTransport(t => ({ ...t, bpm: Math.round(midi.bpm) }));
+      setMidiReport({ name: file.name, ...report });
+    } catch (err) {
+      alert("MIDI import error: " + err.message);
+    }
+  }, []);
+
+  const onDropFile = (e) => {
+    const file = e.dataTransfer?.files?.[0];
+    if (!file || !/\.midi?$/i.test(file.name)) return;
+    e.preventDefault();
+    importMidiFile(file);
+  };
+
+  // ── Groove Extraction ──
+  // Fits a profile to a played performance. MIDI files carry their own
+  // tempo; audio is measured against the transport BPM.
+  const extractGrooveFrom = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      let onsets, bpm = transportRef.current.bpm;
+      if (/\.midi?$/i.test(file.name)) {
+        const midi = readMidiFile(await file.arrayBuffer());
+        if (midi.bpm) bpm = midi.bpm;
+        onsets = onsetsFromMidi(midi);
+      } else {
+        const buffer = await decodeAtRenderRate(await file.arrayBuffer());
+        onsets = onsetsFromAudio(buffer.getChannelData(0), buffer.sampleRate);
+      }
+      if (!onsets.length) throw new Error("no onsets found");
+      const { profile, stats } = extractGrooveProfile(onsets, { bpm, stepsPerBar: transportRef.current.steps_per_pattern });
+      profile.bpm = transportRef.current.bpm;
+      setGrooveProfile(profile);
+      setGroovePresetIdx(-1);
+      setExtractStats({ name: file.name, ...stats });
+    } catch (err) {
+      alert("Groove extraction error: " + err.message);
+    }
+  }, []);
 
   // ── Export Beat Kernel JSON ──
   const exportKernel = useCallback(async () => {
@@ -692,36 +919,152 @@ export default function BeatEngine({ briefBpm, briefKey, onBounce, onExportKerne
       },
       transport, drums: { channels: drums }, instruments: { channels: instruments }, master,
       groove_profile: grooveProfile,
-      randomization_seed: grooveProfile?.randomization_seed ?? 42,
+      groove_enabled: grooveEnabled,
+      randomization_seed: grooveSeed(grooveProfile),
       groove_hash: null,
-      arrangement: { pattern_chain: ["A"], patterns: { A: { name: "Main", description: "Primary pattern" } } },
+      kernel_hash: null,
+      arrangement: storePattern(arrangement, editPattern, drums, instruments),
+      samples: referencedSamples(drums, samples),
     };
     if (grooveProfile && crypto?.subtle) {
       try { kernel.groove_hash = await computeGrooveHash(grooveProfile); } catch (e) { /* continue without hash */ }
     }
-    if (onExportKernel) onExportKernel(kernel);
-    const blob = new Blob([JSON.stringify(kernel, null, 2)], { type: "application/json" });
+    if (crypto?.subtle) {
+      try { kernel.kernel_hash = await computeKernelHash(kernel); } catch (e) { /* continue without hash */ }
+    }
+    // Signed after hashing, so the signature covers both hashes. A kernel
+    // that was meant to be signed is never written unsigned.
+    let out = kernel;
+    if (signExports) {
+      try {
+        if (!crypto?.subtle) throw new Error("crypto.subtle not available");
+        out = await signDocument(kernel, await getOrCreateAuthorKey());
+      } catch (e) {
+        console.warn('[KernelSignFailed] ' + e.message);
+        alert("Signing failed, kernel not exported: " + e.message);
+        return;
+      }
+    }
+    if (onExportKernel) onExportKernel(out);
+    const blob = new Blob([JSON.stringify(out, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a"); a.href = url;
     a.download = `beat-kernel-${beatName.replace(/\s+/g, "-").toLowerCase()}.json`;
     a.click(); URL.revokeObjectURL(url);
-  }, [transport, drums, instruments, master, grooveProfile, beatName, artistName, onExportKernel]);
+  }, [transport, drums, instruments, master, grooveProfile, grooveEnabled, arrangement, editPattern, samples, beatName, artistName, signExports, onExportKernel]);
+
+  // Show the local author fingerprint: a stored key from the start, or a
+  // new one once signing is on (the key is created on first use)
+  useEffect(() => {
+    if (!crypto?.subtle) return;
+    let cancelled = false;
+    (signExports ? getOrCreateAuthorKey() : loadAuthorKey())
+      .then(key => key && keyFingerprint(key.publicJwk))
+      .then(fp => { if (!cancelled && fp) setAuthorFingerprint(fp); })
+      .catch(e => console.warn('[AuthorKeyUnavailable] ' + e.message));
+    return () => { cancelled = true; };
+  }, [signExports]);
+
+  // ── Sample Loading ──
+  // Decodes a kernel samples block into sampleBuffersRef, at the fixed
+  // render rate (decodeAtRenderRate). Buffers are added in place so a
+  // running chain picks them up.
+  const loadKernelSamples = useCallback(async (block) => {
+    if (!CAN_DECODE) return;
+    for (const [id, entry] of Object.entries(block)) {
+      try {
+        sampleBuffersRef.current[id] = await decodeAtRenderRate(base64ToBytes(entry.data).buffer);
+      } catch (err) {
+        console.warn(`[SampleDecodeFailed] ${id}: ${err.message}`);
+      }
+    }
+  }, []);
+
+  const loadDrumSample = async (ci, file) => {
+    if (!file || !CAN_DECODE) return;
+    try {
+      const bytes = await file.arrayBuffer();
+      const data = bytesToBase64(bytes);
+      const buffer = await decodeAtRenderRate(bytes);
+      const id = `smp_${Date.now().toString(36)}`;
+      sampleBuffersRef.current[id] = buffer;
+      setSamples(s => ({ ...s, [id]: { name: file.name, mime: file.type || "audio/wav", data } }));
+      setDrums(p => p.map((ch, i) => i !== ci ? ch : { ...ch, synthesis: createSampleSynthesis(id) }));
+    } catch (err) {
+      alert("Could not decode audio file: " + err.message);
+    }
+  };
+
+  // ── Chopped pads from Studio ──
+  // Replaces any previous pad channels with one pad per slice.
+  useEffect(() => {
+    if (!chopKit) return;
+    let cancelled = false;
+    (async () => {
+      const bytes = await chopKit.blob.arrayBuffer();
+      const data = bytesToBase64(bytes);
+      // Re-decoded at the render rate; slices are fractions, so they still fit
+      const buffer = await decodeAtRenderRate(bytes);
+      if (cancelled) return;
+      const id = `smp_${Date.now().toString(36)}`;
+      sampleBuffersRef.current[id] = buffer;
+      setSamples(s => ({ ...s, [id]: { name: chopKit.name, mime: chopKit.blob.type || "audio/wav", data } }));
+      const pads = createPadChannels(id, chopKit.slices, transportRef.current.steps_per_pattern);
+      setDrums(p => [...p.filter(ch => !isPadChannel(ch)), ...pads]);
+      setView("drums");
+      if (onChopKitLoaded) onChopKitLoaded();
+    })();
+    return () => { cancelled = true; };
+  }, [chopKit]);
 
   // ── Import Beat Kernel JSON ──
   const importKernel = useCallback((e) => {
     const file = e.target.files[0];
     if (!file) return;
+    setKernelAuthor(null);
+    setKernelIntegrity(null);
     const reader = new FileReader();
     reader.onload = async (ev) => {
       try {
         const k = JSON.parse(ev.target.result);
         if (k.schema_version !== "beat-kernel-v1") throw new Error("Not a Beat Kernel v1 file");
+        setKernelAuthor(crypto?.subtle
+          ? await verifyDocument(k)
+          : { status: k.metadata?.signature ? "invalid" : "unsigned", fingerprint: null, reason: "crypto.subtle not available" });
+        let integrity = { status: "missing" };
+        if (k.kernel_hash) {
+          if (!crypto?.subtle) {
+            console.warn('[KernelHashUnavailable] crypto.subtle not available');
+            integrity = { status: "unchecked", reason: "crypto.subtle not available" };
+          } else {
+            try {
+              const actual = await computeKernelHash(k);
+              integrity = actual === k.kernel_hash ? { status: "verified" } : { status: "mismatch", expected: k.kernel_hash, actual };
+              if (integrity.status === "mismatch") console.warn(`[KernelHashMismatch] expected=${k.kernel_hash} actual=${actual}`);
+            } catch (he) {
+              integrity = { status: "unchecked", reason: he.message };
+            }
+          }
+        }
+        setKernelIntegrity(integrity);
         if (k.transport) setTransport(k.transport);
-        if (k.drums?.channels) setDrums(k.drums.channels);
-        if (k.instruments?.channels) setInstruments(k.instruments.channels);
+        if (k.samples) {
+          await loadKernelSamples(k.samples);
+          setSamples(k.samples);
+        }
+        const dr = k.drums?.channels || drumsRef.current;
+        const ins = k.instruments?.channels || instRef.current;
+        const arr = normalizeArrangement(k.arrangement, dr, ins);
+        const firstId = arr.pattern_chain[0];
+        const loaded = loadPatternChannels(dr, ins, arr.patterns[firstId], k.transport?.steps_per_pattern || 16);
+        setArrangement(arr);
+        setEditPattern(firstId);
+        setDrums(loaded.drums);
+        setInstruments(loaded.instruments);
         if (k.master) setMaster(k.master);
+        setGrooveEnabled(k.groove_enabled ?? true);
         if (k.groove_profile) {
-          setGrooveProfile(k.groove_profile); setGroovePresetIdx(-1);
+          setGrooveProfile(k.groove_profile); setGroovePresetIdx(-1); setExtractStats(null);
           if (k.groove_hash) {
             if (!crypto?.subtle) {
               console.warn('[GrooveHashUnavailable] crypto.subtle not available');
@@ -740,7 +1083,7 @@ export default function BeatEngine({ briefBpm, briefKey, onBounce, onExportKerne
     };
     reader.readAsText(file);
     e.target.value = "";
-  }, []);
+  }, [loadKernelSamples]);
 
   // ── AI Beat Generation ──
   const generateBeatFromAI = useCallback(async () => {
@@ -864,6 +1207,8 @@ Rules:
     setTransport(p.transport);
     setDrums(p.drums);
     setInstruments(p.instruments);
+    setArrangement(createArrangement(p.drums, p.instruments));
+    setEditPattern("A");
     setMaster(p.master);
     setBeatName(p.label);
     // Load matching groove profile if available
@@ -887,7 +1232,93 @@ Rules:
     }
   };
 
+  // ── Performer Capture edits ──
+  // Merges into performer_capture (or one of its sections), filling
+  // defaults for profiles saved before the block existed.
+  const setPerformer = (section, values) => setGrooveProfile(p => {
+    const pc = p.performer_capture || createDefaultGrooveProfile(p.bpm).performer_capture;
+    return { ...p, performer_capture: section ? { ...pc, [section]: { ...pc[section], ...values } } : { ...pc, ...values } };
+  });
+
+  // ── Drawn Drag Curves ──
+  // Pointer position → one point of drag_curve.custom_points[curveChannel]
+  // (up = late). A channel's first stroke starts from the analytic curve
+  // it was playing, so drawing edits what is heard rather than a flat line.
+  const drawCurvePoint = (e) => {
+    if (e.type === "pointermove" && !e.buttons) return;
+    const r = e.currentTarget.getBoundingClientRect();
+    const i = Math.max(0, Math.min(15, Math.floor((e.clientX - r.left) / r.width * 16)));
+    const ch = curveChannel;
+    setGrooveProfile(p => {
+      const dc = p.drag_curve;
+      const max = dc.max_drag_ms || 25;
+      const y = 1 - 2 * Math.max(0, Math.min(1, (e.clientY - r.top) / r.height));
+      const basis = DRIFT_BASIS[dc.drift_mode] || DRIFT_BASIS.power;
+      const scale = dc.per_channel_scaling?.[ch] ?? 1.0;
+      const pts = dc.custom_points?.[ch]?.length === 16
+        ? [...dc.custom_points[ch]]
+        : Array.from({ length: 16 }, (_, n) => Math.round(basis(n, 16, max, dc, 1, scale) * 2) / 2);
+      pts[i] = Math.round(y * max * 2) / 2;
+      return { ...p, drag_curve: { ...dc, custom_points: { ...dc.custom_points, [ch]: pts } } };
+    });
+  };
+
+  const clearCurve = (ch) => setGrooveProfile(p => {
+    const { [ch]: _, ...rest } = p.drag_curve.custom_points || {};
+    return { ...p, drag_curve: { ...p.drag_curve, custom_points: rest } };
+  });
+
+  // ── Pattern / Chain Handlers ──
+  const selectPattern = (id) => {
+    if (id === editPattern || !arrangement.patterns[id]) return;
+    const arr = storePattern(arrangement, editPattern, drums, instruments);
+    const loaded = loadPatternChannels(drums, instruments, arr.patterns[id], transport.steps_per_pattern);
+    setArrangement(arr);
+    setDrums(loaded.drums);
+    setInstruments(loaded.instruments);
+    setEditPattern(id);
+  };
+
+  const createPattern = (duplicate) => {
+    const id = nextPatternId(arrangement);
+    if (!id) return;
+    const arr = storePattern(arrangement, editPattern, drums, instruments);
+    const content = duplicate ? arr.patterns[editPattern] : null;
+    const next = addPattern(arr, id, content);
+    const loaded = loadPatternChannels(drums, instruments, next.patterns[id], transport.steps_per_pattern);
+    setArrangement(next);
+    setDrums(loaded.drums);
+    setInstruments(loaded.instruments);
+    setEditPattern(id);
+  };
+
+  const deletePattern = () => {
+    const next = removePattern(arrangement, editPattern);
+    if (next === arrangement) return;
+    const id = next.pattern_chain[0];
+    const loaded = loadPatternChannels(drums, instruments, next.patterns[id], transport.steps_per_pattern);
+    setArrangement(next);
+    setDrums(loaded.drums);
+    setInstruments(loaded.instruments);
+    setEditPattern(id);
+  };
+
+  const appendToChain = (id) => {
+    setArrangement(a => ({ ...a, pattern_chain: [...a.pattern_chain, id] }));
+  };
+
+  const removeFromChain = (idx) => {
+    setArrangement(a => a.pattern_chain.length <= 1 ? a
+      : { ...a, pattern_chain: a.pattern_chain.filter((_, i) => i !== idx) });
+  };
+
+  const playingChainIdx = playingBar >= 0 ? playingBar % arrangement.pattern_chain.length : -1;
+  const playingPattern = playingChainIdx >= 0 ? arrangement.pattern_chain[playingChainIdx] : null;
+  const gridStep = playingPattern === editPattern ? currentStep : -1;
+
   // ── Drum Grid Handlers ──
+  // A fresh step object: nudge and trig settings go with the hit, so a
+  // re-activated step does not bring back ones it no longer shows
   const toggleDrumStep = (chIdx, stepIdx) => {
     setDrums(prev => prev.map((ch, ci) => ci !== chIdx ? ch : {
       ...ch, pattern: { steps: ch.pattern.steps.map((s, si) => si !== stepIdx ? s :
@@ -896,9 +1327,50 @@ Rules:
     }));
   };
 
+  // ── Step Trig Editor ──
+  // Right-click a drum step or note to edit its nudge_ms,
+  // probability and trig condition.
+  const setTrigField = (field, value) => {
+    const t = trigTarget;
+    if (t?.type === "drum") {
+      setDrums(prev => prev.map((ch, ci) => ci !== t.ci ? ch : {
+        ...ch, pattern: { steps: ch.pattern.steps.map((s, si) => si !== t.si ? s : { ...s, [field]: value }) }
+      }));
+    } else if (t?.type === "note") {
+      setInstruments(prev => prev.map((ch, ci) => ci !== t.ci ? ch : {
+        ...ch, notes: ch.notes.map(n => n.step === t.si && n.midi_note === t.midi ? { ...n, [field]: value } : n)
+      }));
+    }
+  };
+  const fmtNudge = (ms) => `${ms > 0 ? "+" : ""}${ms || 0} ms`;
+  // Short cell label: condition, else probability below 100%
+  const trigLabel = (t) => t?.condition || ((t?.probability ?? 1) < 1 ? `${Math.round(t.probability * 100)}%` : "");
+
   // ── Instrument Note Grid ──
   const activeInst = instruments[activeInstTab];
   const instOctave = activeInst?.synthesis?.octave || 3;
+  const activeDrumCh = drums[activeDrum];
+  const trigStep = trigTarget?.type === "drum" ? drums[trigTarget.ci]?.pattern.steps[trigTarget.si] : null;
+  const trigNote = trigTarget?.type === "note" && trigTarget.ci === activeInstTab
+    ? activeInst?.notes.find(n => n.step === trigTarget.si && n.midi_note === trigTarget.midi) : null;
+  const trigEdit = trigStep || trigNote;
+  const drawnPts = grooveProfile.drag_curve?.custom_points?.[curveChannel] || [];
+  // Curves are keyed by groove channel; stored ones stay listed so they can be cleared
+  const curveChannels = [...new Set([
+    ...[...drums, ...instruments].map(ch => resolveChannel(ch.id)),
+    ...Object.keys(grooveProfile.drag_curve?.custom_points || {}),
+  ])];
+  const drawMax = grooveProfile.drag_curve?.max_drag_ms || 25;
+  const perf = grooveProfile.performer_capture || {};
+  const perfSnare = perf.phase_behavior?.snare_drag_curve || {};
+  const perfRow = (label, value, min, max, step, onChange, unit = "") => (
+    <div key={label} style={{ display: "flex", alignItems: "center", gap: 4, marginBottom: 3 }}>
+      <span style={{ fontSize: 8, color: "#666", width: 70 }}>{label}</span>
+      <input type="range" min={min} max={max} step={step} value={value ?? 0}
+        style={{ ...S.slider, flex: 1 }} onChange={e => onChange(+e.target.value)} />
+      <span style={{ fontSize: 8, color: "#888", width: 36 }}>{value ?? 0}{unit}</span>
+    </div>
+  );
   const scaleNotes = getScaleNotes(transport.key, transport.scale, instOctave - 1, instOctave + 1).reverse();
 
   const toggleInstNote = (midi, step) => {
@@ -915,6 +1387,7 @@ Rules:
   };
 
   const hasNote = (midi, step) => activeInst?.notes.some(n => n.step === step && n.midi_note === midi);
+  const noteAt = (midi, step) => activeInst?.notes.find(n => n.step === step && n.midi_note === midi);
 
   // ── Styles ──
   const S = {
@@ -939,26 +1412,62 @@ Rules:
       fontWeight: 600, transition: "all 0.15s",
     }),
     slider: { accentColor: "#f59e0b", cursor: "pointer" },
-    gridCell: (active, isCurrent, vel) => ({
+    gridCell: (active, isCurrent, vel, nudge = 0) => ({
       width: 42, height: 28, borderRadius: 3, cursor: "pointer", transition: "all 0.1s",
+      display: "flex", alignItems: "center", justifyContent: "center", fontSize: 8, color: "#0a0a14",
       border: isCurrent ? "2px solid #f59e0b" : "1px solid #222244",
       background: active ? `rgba(245,158,11,${0.2 + vel * 0.6})` : isCurrent ? "#1a1a2e" : "#0d0d1a",
+      // Nudged steps get an edge on the side they lean toward
+      boxShadow: active && nudge ? `inset ${nudge > 0 ? -3 : 3}px 0 0 #ec4899` : "none",
     }),
-    noteCell: (active, isCurrent, vel) => ({
+    noteCell: (active, isCurrent, vel, nudge = 0) => ({
       width: 42, height: 18, borderRadius: 2, cursor: "pointer", transition: "all 0.1s",
+      display: "flex", alignItems: "center", justifyContent: "center", fontSize: 7, color: "#0a0a14",
       border: isCurrent ? "1px solid #06b6d4" : "1px solid rgba(34,34,68,0.5)",
       background: active ? `rgba(6,182,212,${0.3 + vel * 0.5})` : isCurrent ? "rgba(26,26,46,0.5)" : "transparent",
+      boxShadow: active && nudge ? `inset ${nudge > 0 ? -3 : 3}px 0 0 #ec4899` : "none",
     }),
     chLabel: { width: 70, fontSize: 10, fontWeight: 600, color: "#888", textAlign: "right", flexShrink: 0 },
     noteLabel: { width: 40, fontSize: 9, fontWeight: 600, color: "#666", textAlign: "right", flexShrink: 0 },
     mixStrip: { display: "flex", flexDirection: "column", alignItems: "center", padding: "8px 6px", background: "#0d0d1a", borderRadius: 6, border: "1px solid #1a1a2e", minWidth: 70, gap: 4 },
   };
 
+  // Trig editor card, shown under whichever grid holds the target
+  const trigCard = trigEdit && (
+    <div style={{ ...S.card, display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginTop: 12 }}>
+      <span style={S.label}>
+        {trigStep ? drums[trigTarget.ci].name : (trigNote.note_name || midiToName(trigNote.midi_note))} — step {trigTarget.si + 1}
+      </span>
+      <div>
+        <span style={S.label}>Nudge</span>
+        <input type="range" min={-50} max={50} step={1} value={trigEdit.nudge_ms || 0}
+          style={{ ...S.slider, width: 120 }} onChange={e => setTrigField("nudge_ms", +e.target.value)} />
+        <span style={{ fontSize: 9, color: "#888", marginLeft: 4 }}>{fmtNudge(trigEdit.nudge_ms)}</span>
+      </div>
+      <div>
+        <span style={S.label}>Probability</span>
+        <input type="range" min={0} max={1} step={0.05} value={trigEdit.probability ?? 1}
+          style={{ ...S.slider, width: 100 }} onChange={e => setTrigField("probability", +e.target.value)} />
+        <span style={{ fontSize: 9, color: "#888", marginLeft: 4 }}>{Math.round((trigEdit.probability ?? 1) * 100)}%</span>
+      </div>
+      <div>
+        <span style={S.label}>Condition</span>
+        <select style={{ ...S.input, fontSize: 9 }} value={trigEdit.condition || ""}
+          onChange={e => setTrigField("condition", e.target.value || null)}>
+          <option value="">Always</option>
+          {TRIG_CONDITIONS.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+      </div>
+      <button style={S.btn("ghost")} onClick={() => { setTrigField("nudge_ms", 0); setTrigField("probability", 1); setTrigField("condition", null); }}>Reset</button>
+      <button style={S.btn("ghost")} onClick={() => setTrigTarget(null)}>Close</button>
+    </div>
+  );
+
   // ═══════════════════════════════════════════════════════════
   // RENDER
   // ═══════════════════════════════════════════════════════════
   return (
-    <div style={S.wrap}>
+    <div style={S.wrap} onDragOver={e => e.preventDefault()} onDrop={onDropFile}>
       {/* ── Transport Bar ── */}
       <div style={{ ...S.card, display: "flex", alignItems: "center", gap: 16, flexWrap: "wrap" }}>
         <button style={S.btn("success")} onClick={startPlayback} disabled={playing}>
@@ -967,6 +1476,13 @@ Rules:
         <button style={S.btn("danger")} onClick={stopPlayback} disabled={!playing}>
           STOP
         </button>
+        <button style={S.chip(fill)} title="Fill mode for fill / not_fill trig conditions" onClick={() => setFill(f => !f)}>
+          FILL
+        </button>
+        <button style={S.chip(grooveEnabled)} title="A/B: grooved vs. straight grid (live, bounce and kernel)"
+          onClick={() => setGrooveEnabled(g => !g)}>
+          GROOVE {grooveEnabled ? "ON" : "OFF"}
+        </button>
         <div>
           <span style={S.label}>BPM</span>
           <input type="number" min={40} max={200} value={transport.bpm}
@@ -1037,6 +1553,40 @@ Rules:
         </button>
       </div>
 
+      {/* ── Patterns & Chain ── */}
+      <div style={{ ...S.card, display: "flex", gap: 16, flexWrap: "wrap", alignItems: "center" }}>
+        <div style={{ display: "flex", gap: 4, alignItems: "center", flexWrap: "wrap" }}>
+          <span style={{ ...S.label, marginBottom: 0, marginRight: 4 }}>Pattern</span>
+          {Object.keys(arrangement.patterns).sort().map(id => (
+            <button key={id} style={{ ...S.chip(id === editPattern), ...(id === playingPattern ? { borderColor: "#22c55e" } : {}) }}
+              onClick={() => selectPattern(id)}
+              title={arrangement.patterns[id].name}>
+              {id}
+            </button>
+          ))}
+          <button style={S.chip(false)} onClick={() => createPattern(false)} disabled={!nextPatternId(arrangement)}>+ New</button>
+          <button style={S.chip(false)} onClick={() => createPattern(true)} disabled={!nextPatternId(arrangement)}>Dup</button>
+          <button style={S.chip(false)} onClick={deletePattern} disabled={Object.keys(arrangement.patterns).length <= 1}>Del</button>
+          <input style={{ ...S.input, width: 110, marginLeft: 4 }} value={arrangement.patterns[editPattern]?.name || ""}
+            onChange={e => setArrangement(a => ({
+              ...a, patterns: { ...a.patterns, [editPattern]: { ...a.patterns[editPattern], name: e.target.value } }
+            }))} />
+        </div>
+        <div style={{ display: "flex", gap: 4, alignItems: "center", flexWrap: "wrap" }}>
+          <span style={{ ...S.label, marginBottom: 0, marginRight: 4 }}>Chain</span>
+          {arrangement.pattern_chain.map((id, i) => (
+            <button key={i} style={{ ...S.chip(i === playingChainIdx), padding: "5px 8px" }}
+              onClick={() => removeFromChain(i)} title="Remove from chain">
+              {id}
+            </button>
+          ))}
+          <button style={S.chip(false)} onClick={() => appendToChain(editPattern)}>+ {editPattern}</button>
+          <span style={{ fontSize: 9, color: "#666", marginLeft: 4 }}>
+            {arrangement.pattern_chain.length} bar{arrangement.pattern_chain.length === 1 ? "" : "s"}
+          </span>
+        </div>
+      </div>
+
       {/* ── View Tabs ── */}
       <div style={{ display: "flex", gap: 4, marginBottom: 16 }}>
         {[["drums","Drums"],["instruments","Instruments"],["mixer","Mixer"],["master","Master FX"],["groove","Groove"]].map(([k,l]) => (
@@ -1047,7 +1597,7 @@ Rules:
       {/* ── DRUMS VIEW ── */}
       {view === "drums" && (
         <div style={S.section}>
-          <div style={S.sTitle}>Drum Sequencer — {transport.steps_per_pattern} Steps</div>
+          <div style={S.sTitle}>Drum Sequencer — Pattern {editPattern} — {transport.steps_per_pattern} Steps</div>
           {/* Step numbers */}
           <div style={{ display: "flex", alignItems: "center", gap: 2, marginBottom: 4, paddingLeft: 78 }}>
             {Array.from({ length: transport.steps_per_pattern }, (_, i) => (
@@ -1058,15 +1608,69 @@ Rules:
           </div>
           {drums.map((ch, ci) => (
             <div key={ch.id} style={{ display: "flex", alignItems: "center", gap: 2, marginBottom: 2 }}>
-              <div style={{ ...S.chLabel, opacity: ch.mixer.mute ? 0.3 : 1 }}>{ch.name}</div>
+              <div style={{ ...S.chLabel, opacity: ch.mixer.mute ? 0.3 : 1, cursor: "pointer", color: ci === activeDrum ? "#f59e0b" : S.chLabel.color }}
+                title="Edit voice" onClick={() => setActiveDrum(a => a === ci ? -1 : ci)}>
+                {ch.synthesis.type === "sample" ? "◆ " : ""}{ch.name}
+              </div>
               {ch.pattern.steps.map((s, si) => (
                 <div key={si}
-                  style={S.gridCell(s.active, si === currentStep, s.velocity)}
+                  style={S.gridCell(s.active, si === gridStep, s.velocity, s.nudge_ms)}
+                  title={s.active ? `Nudge ${fmtNudge(s.nudge_ms)} (right-click to edit)` : undefined}
                   onClick={() => toggleDrumStep(ci, si)}
-                />
+                  onContextMenu={e => { e.preventDefault(); if (s.active) setTrigTarget({ type: "drum", ci, si }); }}
+                >{s.active && trigLabel(s)}</div>
               ))}
             </div>
           ))}
+
+          {/* Trig editor for the right-clicked step */}
+          {trigStep && trigCard}
+
+          {/* Voice editor for the selected drum channel */}
+          {activeDrumCh && (
+            <div style={{ ...S.card, display: "flex", gap: 16, flexWrap: "wrap", alignItems: "flex-end", marginTop: 12 }}>
+              <div>
+                <span style={S.label}>{activeDrumCh.name} Voice</span>
+                <div style={{ fontSize: 9, color: "#888" }}>
+                  {activeDrumCh.synthesis.type === "sample"
+                    ? (samples[activeDrumCh.synthesis.sample_id]?.name || "missing sample")
+                    : activeDrumCh.synthesis.type}
+                </div>
+              </div>
+              <label style={{ ...S.btn("ghost"), opacity: CAN_DECODE ? 1 : 0.4 }}>
+                Load Sample
+                <input type="file" accept="audio/*" style={{ display: "none" }} disabled={!CAN_DECODE}
+                  onChange={e => { loadDrumSample(activeDrum, e.target.files[0]); e.target.value = ""; }} />
+              </label>
+              {activeDrumCh.synthesis.type === "sample" && (<>
+                {[
+                  ["pitch", "Pitch", -24, 24, 1, v => `${v > 0 ? "+" : ""}${v} st`],
+                  ["start", "Start", 0, 1, 0.01, v => `${Math.round(v * 100)}%`],
+                  ["end", "End", 0, 1, 0.01, v => `${Math.round(v * 100)}%`],
+                  ["gain_attack", "Attack", 0.001, 0.1, 0.001, v => `${Math.round(v * 1000)}ms`],
+                  ["gain_decay", "Decay", 0, 2, 0.01, v => v > 0 ? `${v.toFixed(2)}s` : "full"],
+                ].map(([k, l, mn, mx, st, f]) => (
+                  <div key={k}>
+                    <span style={S.label}>{l}</span>
+                    <input type="range" min={mn} max={mx} step={st} value={activeDrumCh.synthesis[k] ?? mn}
+                      style={{ ...S.slider, width: 80 }}
+                      onChange={e => setDrums(p => p.map((ch, i) => i !== activeDrum ? ch : { ...ch, synthesis: { ...ch.synthesis, [k]: +e.target.value }}))} />
+                    <span style={{ fontSize: 9, color: "#666", marginLeft: 4 }}>{f(activeDrumCh.synthesis[k] ?? mn)}</span>
+                  </div>
+                ))}
+                <button style={S.chip(activeDrumCh.synthesis.reverse)}
+                  onClick={() => setDrums(p => p.map((ch, i) => i !== activeDrum ? ch : { ...ch, synthesis: { ...ch.synthesis, reverse: !ch.synthesis.reverse }}))}>
+                  Reverse
+                </button>
+                <button style={S.btn("ghost")}
+                  onClick={() => setDrums(p => p.map((ch, i) => i !== activeDrum ? ch : {
+                    ...ch, synthesis: (defaultDrums().find(d => d.id === ch.id) || defaultDrums()[0]).synthesis,
+                  }))}>
+                  Back to Synth
+                </button>
+              </>)}
+            </div>
+          )}
         </div>
       )}
 
@@ -1148,13 +1752,20 @@ Rules:
                 <div style={{ ...S.noteLabel, color: n.name.includes(transport.key) && !n.name.includes("#") ? "#06b6d4" : "#555" }}>{n.name}</div>
                 {Array.from({ length: transport.steps_per_pattern }, (_, si) => (
                   <div key={si}
-                    style={S.noteCell(hasNote(n.midi, si), si === currentStep, drawVelocity)}
+                    style={S.noteCell(hasNote(n.midi, si), si === gridStep, drawVelocity, noteAt(n.midi, si)?.nudge_ms)}
                     onClick={() => toggleInstNote(n.midi, si)}
-                  />
+                    onContextMenu={e => {
+                      e.preventDefault();
+                      if (hasNote(n.midi, si)) setTrigTarget({ type: "note", ci: activeInstTab, si, midi: n.midi });
+                    }}
+                  >{trigLabel(noteAt(n.midi, si))}</div>
                 ))}
               </div>
             ))}
           </div>
+
+          {/* Trig editor for the right-clicked note */}
+          {trigNote && trigCard}
         </div>
       )}
 
@@ -1197,6 +1808,31 @@ Rules:
                       style={{ ...S.slider, width: 50 }}
                       onChange={e => setFn(p => p.map((c, i) => i !== idx ? c : { ...c, mixer: { ...c.mixer, reverb_send: +e.target.value }}))} />
                   </div>
+                  {/* Insert slot — per-channel lo-fi processor */}
+                  <button style={{ ...S.chip(ch.mixer.insert?.enabled), padding: "2px 6px", fontSize: 8 }}
+                    onClick={() => setFn(p => p.map((c, i) => i !== idx ? c : {
+                      ...c, mixer: { ...c.mixer, insert: c.mixer.insert ? { ...c.mixer.insert, enabled: !c.mixer.insert.enabled } : createLofiInsert() }
+                    }))}>LOFI</button>
+                  {ch.mixer.insert?.enabled && (<>
+                    <select style={{ ...S.input, width: 60, fontSize: 8, padding: "1px 2px" }} value={ch.mixer.insert.preset || ""}
+                      onChange={e => setFn(p => p.map((c, i) => i !== idx ? c : { ...c, mixer: { ...c.mixer, insert: createLofiInsert(e.target.value) }}))}>
+                      {!ch.mixer.insert.preset && <option value="">Custom</option>}
+                      {Object.keys(HARDWARE_PRESETS).map(k => <option key={k} value={k}>{k.toUpperCase()}</option>)}
+                    </select>
+                    {[
+                      ["bit_depth", "BITS", 4, 24, 1],
+                      ["sample_rate", "RATE", 4000, 48000, 1000],
+                    ].map(([k, l, mn, mx, st]) => (
+                      <div key={k}>
+                        <span style={{ fontSize: 8, color: "#555" }}>{l}</span>
+                        <input type="range" min={mn} max={mx} step={st} value={ch.mixer.insert.hardware?.[k] || mn}
+                          style={{ ...S.slider, width: 50 }}
+                          onChange={e => setFn(p => p.map((c, i) => i !== idx ? c : {
+                            ...c, mixer: { ...c.mixer, insert: { ...c.mixer.insert, preset: null, hardware: { ...c.mixer.insert.hardware, [k]: +e.target.value } } }
+                          }))} />
+                      </div>
+                    ))}
+                  </>)}
                 </div>
               );
             })}
@@ -1312,6 +1948,16 @@ Rules:
                 {gp.label}
               </button>
             ))}
+            <label style={{ ...S.btn("ghost"), marginLeft: "auto" }}>
+              Extract from Performance
+              <input type="file" accept={CAN_DECODE ? ".mid,.midi,audio/*" : ".mid,.midi"} style={{ display: "none" }}
+                onChange={e => { extractGrooveFrom(e.target.files[0]); e.target.value = ""; }} />
+            </label>
+            {extractStats && groovePresetIdx === -1 && (
+              <span style={{ fontSize: 9, color: "#888" }}>
+                {extractStats.name}: {extractStats.onsets} onsets over {extractStats.bars} bars, {extractStats.residualMs.toFixed(1)}ms RMS jitter
+              </span>
+            )}
           </div>
 
           {/* Groove Type & Core Controls */}
@@ -1395,8 +2041,42 @@ Rules:
                     <option value="power">Power</option>
                     <option value="log">Logarithmic</option>
                     <option value="linear">Linear</option>
+                    <option value="exponential">Exponential</option>
+                    <option value="sigmoid">S-Curve</option>
                   </select>
                 </div>
+                {[
+                  ["log", "log_k", "Log k", 0.5, 12, 0.5, 4],
+                  ["exponential", "exp_k", "Exp k", 0.5, 8, 0.25, 3],
+                  ["sigmoid", "sigmoid_k", "Steepness", 2, 20, 0.5, 8],
+                ].filter(([mode]) => grooveProfile.drag_curve?.drift_mode === mode).map(([, k, l, mn, mx, st, def]) => (
+                  <div key={k} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}>
+                    <span style={{ fontSize: 9, color: "#666", width: 90 }}>{l}</span>
+                    <input type="range" min={mn} max={mx} step={st} value={grooveProfile.drag_curve?.[k] ?? def}
+                      style={{ ...S.slider, flex: 1 }}
+                      onChange={e => setGrooveProfile(p => ({ ...p, drag_curve: { ...p.drag_curve, [k]: +e.target.value } }))} />
+                    <span style={{ fontSize: 9, color: "#888", width: 35, textAlign: "right" }}>
+                      {(grooveProfile.drag_curve?.[k] ?? def).toFixed(2)}
+                    </span>
+                  </div>
+                ))}
+                <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
+                  <span style={{ fontSize: 9, color: "#666", width: 90 }}>Snap Back</span>
+                  <select style={{ ...S.input, width: 100 }} value={grooveProfile.drag_curve?.snap_mode || 'hard'}
+                    onChange={e => setGrooveProfile(p => ({ ...p, drag_curve: { ...p.drag_curve, snap_mode: e.target.value } }))}>
+                    <option value="hard">Hard</option>
+                    <option value="soft">Soft</option>
+                    <option value="elastic">Elastic</option>
+                  </select>
+                  {grooveProfile.drag_curve?.snap_mode && grooveProfile.drag_curve.snap_mode !== 'hard' && (<>
+                    <input type="range" min={1} max={16} step={1} value={grooveProfile.drag_curve?.snap_steps ?? 4}
+                      style={{ ...S.slider, flex: 1 }}
+                      onChange={e => setGrooveProfile(p => ({ ...p, drag_curve: { ...p.drag_curve, snap_steps: +e.target.value } }))} />
+                    <span style={{ fontSize: 9, color: "#888", width: 35, textAlign: "right" }}>
+                      {grooveProfile.drag_curve?.snap_steps ?? 4} st
+                    </span>
+                  </>)}
+                </div>
                 {[
                   ["drag_exponent", "Exponent (α)", 0.5, 2.0, 0.05],
                   ["max_drag_ms", "Max Drag (ms)", 5, 50, 1],
@@ -1425,6 +2105,37 @@ Rules:
                     <span style={{ fontSize: 8, color: "#888", width: 25, textAlign: "right" }}>{(val * 100).toFixed(0)}%</span>
                   </div>
                 ))}
+                <div style={{ display: "flex", alignItems: "center", flexWrap: "wrap", gap: 4, marginTop: 10, marginBottom: 4 }}>
+                  <span style={{ fontSize: 10, fontWeight: 600, color: "#888", marginRight: 4 }}>Drawn Curve:</span>
+                  {curveChannels.map(ch => (
+                    <button key={ch} style={{ ...S.chip(curveChannel === ch), fontSize: 8 }} onClick={() => setCurveChannel(ch)}>
+                      {ch}{grooveProfile.drag_curve?.custom_points?.[ch]?.length ? " ✎" : ""}
+                    </button>
+                  ))}
+                  {grooveProfile.drag_curve?.custom_points?.[curveChannel]?.length > 0 && (
+                    <button style={{ ...S.btn("ghost"), fontSize: 8, padding: "2px 8px" }} onClick={() => clearCurve(curveChannel)}>Clear</button>
+                  )}
+                </div>
+                <div style={{ position: "relative", display: "flex", height: 80, background: "#0a0a14", borderRadius: 4, cursor: "crosshair", touchAction: "none" }}
+                  onPointerDown={drawCurvePoint} onPointerMove={drawCurvePoint}>
+                  <div style={{ position: "absolute", left: 0, right: 0, top: "50%", borderTop: "1px dashed #333" }} />
+                  {Array.from({ length: 16 }, (_, i) => {
+                    const v = drawnPts[i] || 0;
+                    const h = Math.abs(v) / drawMax * 50;
+                    return (
+                      <div key={i} style={{ flex: 1, position: "relative", borderLeft: i % 4 === 0 ? "1px solid #222" : "none" }}>
+                        <div style={{
+                          position: "absolute", left: "20%", right: "20%",
+                          top: v >= 0 ? `${50 - h}%` : "50%", height: `${h}%`,
+                          background: v >= 0 ? "#ef4444" : "#22c55e", opacity: drawnPts.length ? 0.8 : 0.2,
+                        }} />
+                      </div>
+                    );
+                  })}
+                </div>
+                <div style={{ fontSize: 8, color: "#555", marginTop: 4 }}>
+                  Draw per step (up = late, down = early, ±{grooveProfile.drag_curve?.max_drag_ms || 25}ms). A drawn channel replaces the drift mode curve.
+                </div>
               </>)}
             </div>
           )}
@@ -1433,6 +2144,16 @@ Rules:
           {(
             <div style={{ ...S.card, marginTop: 12 }}>
               <div style={{ fontSize: 11, fontWeight: 700, color: "#f59e0b", marginBottom: 10 }}>HARDWARE EMULATION</div>
+              <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
+                <span style={{ fontSize: 9, color: "#666", width: 90 }}>Device</span>
+                <select style={{ ...S.input, width: 100 }} value=""
+                  onChange={e => e.target.value && setGrooveProfile(p => ({
+                    ...p, hardware_emulation: { ...p.hardware_emulation, ...JSON.parse(JSON.stringify(HARDWARE_PRESETS[e.target.value])) }
+                  }))}>
+                  <option value="">Load preset…</option>
+                  {Object.keys(HARDWARE_PRESETS).map(k => <option key={k} value={k}>{k.toUpperCase()}</option>)}
+                </select>
+              </div>
               <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
                 <span style={{ fontSize: 9, color: "#666", width: 90 }}>PPQN</span>
                 <select style={{ ...S.input, width: 100 }} value={grooveProfile.hardware_emulation?.ppqn || 96}
@@ -1478,8 +2199,37 @@ Rules:
                   <span style={{ fontSize: 9, color: "#888", width: 30, textAlign: "right" }}>{(grooveProfile.hardware_emulation?.dac_saturation?.gain || 1.2).toFixed(1)}</span>
                 </div>
               )}
-              <div style={{ fontSize: 8, color: "#555", marginTop: 6 }}>
-                Signal chain: Saturate → Filter → Downsample → Quantize (Rule 13)
+              {[
+                ["cutoff_hz", "AA Cutoff", 4000, 22000, 500],
+                ["ripple_db", "AA Ripple", 0.1, 3, 0.1],
+              ].map(([k,l,mn,mx,st]) => (
+                <div key={k} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}>
+                  <span style={{ fontSize: 9, color: "#666", width: 90 }}>{l}</span>
+                  <input type="range" min={mn} max={mx} step={st} value={grooveProfile.hardware_emulation?.anti_alias_filter?.[k] || mn}
+                    style={{ ...S.slider, flex: 1 }}
+                    onChange={e => setGrooveProfile(p => ({
+                      ...p, hardware_emulation: { ...p.hardware_emulation, anti_alias_filter: { ...p.hardware_emulation?.anti_alias_filter, [k]: +e.target.value } }
+                    }))} />
+                  <span style={{ fontSize: 9, color: "#888", width: 45, textAlign: "right" }}>
+                    {k === "cutoff_hz" ? `${((grooveProfile.hardware_emulation?.anti_alias_filter?.[k] || mn) / 1000).toFixed(1)}k` : `${(grooveProfile.hardware_emulation?.anti_alias_filter?.[k] || mn).toFixed(1)}dB`}
+                  </span>
+                </div>
+              ))}
+              <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4 }}>
+                <span style={{ fontSize: 9, color: "#666", width: 90 }}>AA Order</span>
+                <select style={{ ...S.input, width: 100 }} value={grooveProfile.hardware_emulation?.anti_alias_filter?.order || 4}
+                  onChange={e => setGrooveProfile(p => ({
+                    ...p, hardware_emulation: { ...p.hardware_emulation, anti_alias_filter: { ...p.hardware_emulation?.anti_alias_filter, order: +e.target.value } }
+                  }))}>
+                  {[2, 4, 6, 8].map(o => <option key={o} value={o}>{o} (Cheby I)</option>)}
+                </select>
+              </div>
+              <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 6 }}>
+                <span style={{ fontSize: 9, color: "#666", width: 90 }}>Signal Chain</span>
+                <select style={{ ...S.input, flex: 1 }} value={grooveProfile.hardware_emulation?.signal_chain_order || "saturate_downsample_quantize"}
+                  onChange={e => setGrooveProfile(p => ({ ...p, hardware_emulation: { ...p.hardware_emulation, signal_chain_order: e.target.value } }))}>
+                  {Object.entries(SIGNAL_CHAIN_ORDERS).map(([k, o]) => <option key={k} value={k}>{o.label}</option>)}
+                </select>
               </div>
             </div>
           )}
@@ -1572,6 +2322,129 @@ Rules:
             </div>
           </div>
 
+          {/* Performer Capture */}
+          <div style={{ ...S.card, marginTop: 12 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+              <span style={{ fontSize: 11, fontWeight: 700, color: "#f59e0b" }}>PERFORMER CAPTURE</span>
+              <button style={S.chip(perf.enabled)} onClick={() => setPerformer(null, { enabled: !perf.enabled })}>
+                {perf.enabled ? "ON" : "OFF"}
+              </button>
+            </div>
+            {perf.enabled && (
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 16 }}>
+                <div>
+                  <div style={{ fontSize: 9, color: "#888", marginBottom: 4 }}>Velocity Response</div>
+                  <div style={{ display: "flex", alignItems: "center", gap: 4, marginBottom: 3 }}>
+                    <span style={{ fontSize: 8, color: "#666", width: 70 }}>Curve</span>
+                    <select style={{ ...S.input, width: 90, fontSize: 9, padding: "3px 6px" }}
+                      value={perf.velocity_response?.curve_type || "linear"}
+                      onChange={e => setPerformer("velocity_response", { curve_type: e.target.value })}>
+                      <option value="linear">Linear</option>
+                      <option value="exponential">Exponential</option>
+                      <option value="logarithmic">Logarithmic</option>
+                      <option value="s_curve">S-Curve</option>
+                    </select>
+                  </div>
+                  {perfRow("Range", perf.velocity_response?.dynamic_range_db, 6, 48, 1,
+                    v => setPerformer("velocity_response", { dynamic_range_db: v }), "dB")}
+                  {perfRow("Ghost Atten", perf.micro_bias?.ghost_note_attenuation_db, -24, -3, 1,
+                    v => setPerformer("micro_bias", { ghost_note_attenuation_db: v }), "dB")}
+                </div>
+                <div>
+                  <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 4 }}>
+                    <span style={{ fontSize: 9, color: "#888" }}>Snare Drag</span>
+                    <button style={S.chip(perfSnare.enabled)}
+                      onClick={() => setPerformer("phase_behavior", { snare_drag_curve: { ...perfSnare, enabled: !perfSnare.enabled } })}>
+                      {perfSnare.enabled ? "ON" : "OFF"}
+                    </button>
+                  </div>
+                  {perfSnare.enabled && (<>
+                    {perfRow("Max Drag", perfSnare.max_drag_ms, 0, 30, 1,
+                      v => setPerformer("phase_behavior", { snare_drag_curve: { ...perfSnare, max_drag_ms: v } }), "ms")}
+                    {perfRow("Exponent", perfSnare.curve_exponent, 0.5, 3, 0.05,
+                      v => setPerformer("phase_behavior", { snare_drag_curve: { ...perfSnare, curve_exponent: v } }))}
+                  </>)}
+                  {perfRow("Kick Push", perf.phase_behavior?.kick_push_ms, 0, 10, 0.5,
+                    v => setPerformer("phase_behavior", { kick_push_ms: v }), "ms")}
+                </div>
+                <div>
+                  <div style={{ fontSize: 9, color: "#888", marginBottom: 4 }}>Hats</div>
+                  {perfRow("Jitter σ", perf.phase_behavior?.hat_jitter_sigma_ms, 0, 8, 0.5,
+                    v => setPerformer("phase_behavior", { hat_jitter_sigma_ms: v }), "ms")}
+                  {perfRow("Rush Prob", perf.micro_bias?.rushing_hat_probability, 0, 1, 0.05,
+                    v => setPerformer("micro_bias", { rushing_hat_probability: v }))}
+                  {perfRow("Rush Amt", perf.micro_bias?.rushing_hat_amount_ms, -10, 0, 0.5,
+                    v => setPerformer("micro_bias", { rushing_hat_amount_ms: v }), "ms")}
+                  {perfRow("Seed", perf.randomization_seed, 0, 999, 1,
+                    v => setPerformer(null, { randomization_seed: v }))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Tension State */}
+          <div style={{ ...S.card, marginTop: 12 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+              <span style={{ fontSize: 11, fontWeight: 700, color: "#f59e0b" }}>TENSION (drag exponent growth)</span>
+              <button style={S.chip(grooveProfile.temporal_state?.enabled)}
+                onClick={() => setGrooveProfile(p => ({ ...p, temporal_state: { ...p.temporal_state, enabled: !p.temporal_state?.enabled } }))}>
+                {grooveProfile.temporal_state?.enabled ? "ON" : "OFF"}
+              </button>
+            </div>
+            {grooveProfile.temporal_state?.enabled && (<>
+              <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "center" }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <span style={{ fontSize: 9, color: "#666" }}>Reset</span>
+                  <select style={{ ...S.input, width: 120, fontSize: 9, padding: "3px 6px" }}
+                    value={grooveProfile.temporal_state?.reset_mode || "every_n_bars"}
+                    onChange={e => setGrooveProfile(p => ({ ...p, temporal_state: { ...p.temporal_state, reset_mode: e.target.value } }))}>
+                    <option value="every_n_bars">Every N bars</option>
+                    <option value="section_change">Section change</option>
+                    <option value="crash">Crash hit</option>
+                    <option value="triangle">Ramp up/down</option>
+                    <option value="manual">Manual</option>
+                  </select>
+                </div>
+                {[
+                  ["reset_period_bars", "Period", 2, 32, 1],
+                  ["tension_increment", "δ/bar", 0.02, 0.5, 0.02],
+                  ["elasticity_amplification", "κ", 0, 1, 0.05],
+                ].map(([k,l,mn,mx,st]) => (
+                  <div key={k} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                    <span style={{ fontSize: 9, color: "#666" }}>{l}</span>
+                    <input type="range" min={mn} max={mx} step={st}
+                      value={grooveProfile.temporal_state?.[k] ?? mn}
+                      style={{ ...S.slider, width: 80 }}
+                      onChange={e => setGrooveProfile(p => ({ ...p, temporal_state: { ...p.temporal_state, [k]: +e.target.value } }))} />
+                    <span style={{ fontSize: 9, color: "#888" }}>{grooveProfile.temporal_state?.[k] ?? mn}</span>
+                  </div>
+                ))}
+              </div>
+              {grooveProfile.temporal_state?.reset_mode === "manual" && (
+                <div style={{ display: "flex", gap: 4, marginTop: 8, alignItems: "flex-end" }}>
+                  <span style={{ fontSize: 8, color: "#666", marginRight: 4 }}>τ per bar</span>
+                  {Array.from({ length: 16 }, (_, i) => {
+                    const curve = grooveProfile.temporal_state?.tension_automation || [];
+                    return (
+                      <input key={i} type="range" min={0} max={1} step={0.05} title={`Bar ${i + 1}`}
+                        value={curve[i] ?? 0}
+                        style={{ ...S.slider, width: 36 }}
+                        onChange={e => setGrooveProfile(p => {
+                          const next = [...(p.temporal_state?.tension_automation || [])];
+                          while (next.length <= i) next.push(0);
+                          next[i] = +e.target.value;
+                          return { ...p, temporal_state: { ...p.temporal_state, tension_automation: next } };
+                        })} />
+                    );
+                  })}
+                </div>
+              )}
+              <div style={{ fontSize: 8, color: "#555", marginTop: 6 }}>
+                Section change and crash follow the song chain; manual holds its last bar's value.
+              </div>
+            </>)}
+          </div>
+
           {/* Phrase Constraints */}
           <div style={{ ...S.card, marginTop: 12 }}>
             <div style={{ fontSize: 11, fontWeight: 700, color: "#f59e0b", marginBottom: 8 }}>PHRASE CONSTRAINTS (Safety Net)</div>
@@ -1579,16 +2452,18 @@ Rules:
               {[
                 ["phrase_length_bars", "Phrase (bars)", 2, 32, 1],
                 ["max_accumulated_phase_error_ms", "Max Error (ms)", 20, 80, 5],
+                ["drift_per_bar_ms", "Drift/Bar (ms)", -5, 5, 0.5],
+                ["snap_back_attack_ms", "Snap Back (ms)", 0, 500, 10],
               ].map(([k,l,mn,mx,st]) => (
                 <div key={k} style={{ display: "flex", alignItems: "center", gap: 6 }}>
                   <span style={{ fontSize: 9, color: "#666" }}>{l}</span>
                   <input type="range" min={mn} max={mx} step={st}
-                    value={grooveProfile.phrase_constraints?.[k] || mn}
+                    value={grooveProfile.phrase_constraints?.[k] ?? (k === "drift_per_bar_ms" ? 0 : mn)}
                     style={{ ...S.slider, width: 80 }}
                     onChange={e => setGrooveProfile(p => ({
                       ...p, phrase_constraints: { ...p.phrase_constraints, [k]: +e.target.value }
                     }))} />
-                  <span style={{ fontSize: 9, color: "#888" }}>{grooveProfile.phrase_constraints?.[k] || mn}</span>
+                  <span style={{ fontSize: 9, color: "#888" }}>{grooveProfile.phrase_constraints?.[k] ?? (k === "drift_per_bar_ms" ? 0 : mn)}</span>
                 </div>
               ))}
               <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
@@ -1605,6 +2480,7 @@ Rules:
             </div>
             <div style={{ fontSize: 8, color: "#555", marginTop: 6 }}>
               All timing displacement is bounded, BPM-scaled, deterministic, and resets at phrase boundary.
+              Drift/Bar builds up through each phrase; Soft reset eases it out over the snap-back time.
             </div>
           </div>
         </div>
@@ -1612,15 +2488,87 @@ Rules:
 
       {/* ── Action Buttons ── */}
       <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 16 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          <select style={{ ...S.input, width: 90 }} value={bounceLength.mode}
+            onChange={e => setBounceLength(b => ({ ...b, mode: e.target.value }))}>
+            <option value="chain">Full chain</option>
+            <option value="loops">Loops</option>
+            <option value="bars">Bars</option>
+          </select>
+          {bounceLength.mode !== "chain" && (
+            <input type="number" min={1} max={256} style={{ ...S.input, width: 55 }} value={bounceLength.count}
+              onChange={e => setBounceLength(b => ({ ...b, count: Math.max(1, Math.min(256, +e.target.value || 1)) }))} />
+          )}
+          <span style={{ fontSize: 9, color: "#666" }}>= {bounceBarCount(arrangement, bounceLength)} bars</span>
+        </div>
         <button style={S.btn("success")} onClick={bounceBeat} disabled={bouncing}>
           {bouncing ? "Bouncing..." : "Bounce Beat to Studio"}
         </button>
-        <button style={S.btn("primary")} onClick={exportKernel}>Export Beat Kernel JSON</button>
+        {renderHash && (
+          <span style={{ fontSize: 9, color: "#666", fontFamily: "monospace", cursor: "copy" }}
+            title={`Render hash (SHA-256 of 16-bit PCM): ${renderHash} — click to copy`}
+            onClick={() => navigator.clipboard?.writeText(renderHash)}>
+            PCM {renderHash.slice(0, 12)}…
+          </span>
+        )}
+        <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          <button style={S.btn("primary")} onClick={exportMidi}>Export MIDI</button>
+          <button style={S.chip(midiGridOnly)} onClick={() => setMidiGridOnly(g => !g)}
+            title="Write every active step on the grid: no groove, swing, nudge or trig rolls">Grid only</button>
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+          <button style={S.btn("primary")} onClick={exportKernel}>Export Beat Kernel JSON</button>
+          <button style={S.chip(signExports)} onClick={() => setSignExports(v => !v)}
+            title={authorFingerprint ? `Author key ${authorFingerprint}` : "Sign exports with your local ECDSA author key"}>
+            Sign{signExports && authorFingerprint ? ` ${authorFingerprint.slice(0, 8)}` : ""}
+          </button>
+        </div>
         <label style={S.btn("ghost")}>
           Import Beat Kernel
           <input type="file" accept=".json" onChange={importKernel} style={{ display: "none" }} />
         </label>
+        <label style={S.btn("ghost")} title="Or drop a .mid file anywhere on the beat engine">
+          Import MIDI
+          <input type="file" accept=".mid,.midi" style={{ display: "none" }}
+            onChange={e => { importMidiFile(e.target.files[0]); e.target.value = ""; }} />
+        </label>
       </div>
+      {(kernelAuthor || kernelIntegrity) && (
+        <div style={{ ...S.card, marginTop: 12, display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+          <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+            {kernelIntegrity && (
+              <span style={{ fontSize: 10, color: kernelIntegrity.status === "verified" ? "#22c55e" : kernelIntegrity.status === "mismatch" ? "#ef4444" : kernelIntegrity.status === "unchecked" ? "#f59e0b" : "#888" }}>
+                {kernelIntegrity.status === "verified" && "✓ Kernel hash matches — contents unchanged since export."}
+                {kernelIntegrity.status === "mismatch" && `✗ Kernel hash mismatch — the file was edited after export (expected ${kernelIntegrity.expected.slice(0, 12)}…, got ${kernelIntegrity.actual.slice(0, 12)}…).`}
+                {kernelIntegrity.status === "missing" && "No kernel hash — contents not checked."}
+                {kernelIntegrity.status === "unchecked" && `Kernel hash not checked — ${kernelIntegrity.reason}.`}
+              </span>
+            )}
+            {kernelAuthor && (
+              <span style={{ fontSize: 10, color: kernelAuthor.status === "verified" ? "#22c55e" : kernelAuthor.status === "invalid" ? "#ef4444" : "#888" }}>
+                {kernelAuthor.status === "verified" && `✓ Verified author — key ${kernelAuthor.fingerprint.slice(0, 16)}…${kernelAuthor.fingerprint === authorFingerprint ? " (you)" : ""}`}
+                {kernelAuthor.status === "unsigned" && "Unsigned kernel — author not verified."}
+                {kernelAuthor.status === "invalid" && `✗ Invalid signature — ${kernelAuthor.reason}. The file was changed after signing or the key does not match.`}
+              </span>
+            )}
+          </div>
+          <button style={{ ...S.btn("ghost"), padding: "2px 8px" }} onClick={() => { setKernelAuthor(null); setKernelIntegrity(null); }}>×</button>
+        </div>
+      )}
+      {midiReport && (
+        <div style={{ ...S.card, marginTop: 12, display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+          <span style={{ fontSize: 10, color: "#888" }}>
+            {midiReport.name}: {midiReport.bars} bars → {midiReport.patterns} patterns, {midiReport.notes} notes.
+            {midiReport.quantized
+              ? ` ${midiReport.quantized} notes moved onto the grid (up to ${midiReport.maxOffsetMs.toFixed(1)} ms off).`
+              : " All notes were on the grid."}
+            {midiReport.unmappedDrums > 0 && ` ${midiReport.unmappedDrums} drum notes had no channel and were dropped.`}
+            {midiReport.unmappedTracks > 0 && ` ${midiReport.unmappedTracks} melodic tracks had no free instrument.`}
+            {midiReport.droppedBars > 0 && ` ${midiReport.droppedBars} bars past the ${PATTERN_IDS.length}-pattern limit were dropped.`}
+          </span>
+          <button style={{ ...S.btn("ghost"), padding: "2px 8px" }} onClick={() => setMidiReport(null)}>×</button>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,5 +1,7 @@
 import { useState, useRef, useEffect, useCallback } from "react";
 import BeatEngine from "./BeatEngine.jsx";
+import { detectTransients, equalSlices, slicesFromStarts } from "./sampleChopper.js";
+import { getOrCreateAuthorKey, loadAuthorKey, keyFingerprint, signDocument, verifyDocument } from "./kernelSignature.js";
 
 // ═══════════════════════════════════════════════════════════
 // ⚡ LIGHTNING STUDIO — Music Production Kernel
@@ -195,6 +197,13 @@ export default function LightningStudio() {
 
   // Beat Kernel state
   const [beatKernel, setBeatKernel] = useState(null);
+  const [signGenome, setSignGenome] = useState(false);
+  const [genomeAuthor, setGenomeAuthor] = useState(null); // verifyDocument() result of the last checked genome
+
+  // Chop state: { beatId, mode: "transient"|"equal", count, sensitivity, slices }
+  const [chop, setChop] = useState(null);
+  const [chopKit, setChopKit] = useState(null); // pads waiting for BeatEngine
+  const chopCanvasRef = useRef(null);
 
   // ── Brief Handlers ──
   const updateBrief = (k, v) => setBrief(p => ({ ...p, [k]: v }));
@@ -498,9 +507,35 @@ Write album-quality lyrics. Every bar must earn its place. No filler. No placeho
     setBeatKernel(kernel);
   };
 
+  // ── Sample Chopper ──
+  const chopBeat = (beat, settings) => {
+    const buf = beat.buffer;
+    const starts = settings.mode === "transient"
+      ? detectTransients(buf.getChannelData(0), buf.sampleRate, { sensitivity: settings.sensitivity })
+      : equalSlices(buf.length, settings.count);
+    setChop({ ...settings, beatId: beat.id, slices: slicesFromStarts(starts, buf.length) });
+  };
+
+  const auditionSlice = (buffer, slice) => {
+    const actx = createAudioCtx();
+    const source = actx.createBufferSource();
+    source.buffer = buffer;
+    source.connect(actx.destination);
+    source.start(0, slice.start * buffer.duration, (slice.end - slice.start) * buffer.duration);
+    source.onended = () => { try { actx.close(); } catch (e) {} };
+  };
+
+  // Hands the slices to BeatEngine, which loads them as pad channels
+  const sendChopToPads = () => {
+    const beat = beats.find(b => b.id === chop?.beatId);
+    if (!beat) return;
+    setChopKit({ name: beat.name, blob: beat.file || audioBufferToWav(beat.buffer), slices: chop.slices });
+    setTab("beats");
+  };
+
   // ── Export Complete Production Genome ──
-  const exportGenome = () => {
-    const genome = {
+  const exportGenome = async () => {
+    let genome = {
       production_genome_version: "1.0.0",
       created: new Date().toISOString(),
       artist: brief.artistName,
@@ -539,6 +574,18 @@ Write album-quality lyrics. Every bar must earn its place. No filler. No placeho
       vocal_takes: recordings.map(r => ({ name: r.name, format: "wav", duration_sec: r.buffer?.duration || 0 })),
       mix_settings: { tracks: tracks.map(t => ({ name: t.name, type: t.type, volume: t.volume, pan: t.pan, muted: t.muted, solo: t.solo })) },
     };
+    // The embedded beat kernel keeps its own signature, if it has one.
+    // A genome that was meant to be signed is never written unsigned.
+    if (signGenome) {
+      try {
+        if (!crypto?.subtle) throw new Error("crypto.subtle not available");
+        genome = await signDocument(genome, await getOrCreateAuthorKey());
+      } catch (e) {
+        console.warn('[GenomeSignFailed] ' + e.message);
+        alert("Signing failed, genome not exported: " + e.message);
+        return;
+      }
+    }
     const blob = new Blob([JSON.stringify(genome, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
@@ -546,6 +593,26 @@ Write album-quality lyrics. Every bar must earn its place. No filler. No placeho
     URL.revokeObjectURL(url);
   };
 
+  // ── Verify a Production Genome's author signature ──
+  const verifyGenome = async (file) => {
+    if (!file) return;
+    setGenomeAuthor(null);
+    try {
+      const doc = JSON.parse(await file.text());
+      if (!doc.production_genome_version) throw new Error("Not a Production Genome file");
+      if (!crypto?.subtle) {
+        setGenomeAuthor({ name: file.name, status: doc.metadata?.signature ? "invalid" : "unsigned", fingerprint: null, reason: "crypto.subtle not available" });
+        return;
+      }
+      const result = await verifyDocument(doc);
+      const local = await loadAuthorKey();
+      const mine = local ? await keyFingerprint(local.publicJwk) : null;
+      setGenomeAuthor({ name: file.name, ...result, mine: !!mine && result.fingerprint === mine });
+    } catch (err) {
+      alert("Genome check error: " + err.message);
+    }
+  };
+
   const exportProject = () => {
     const project = {
       schema_version: "lightning-studio-project-v1",
@@ -603,6 +670,20 @@ Write album-quality lyrics. Every bar must earn its place. No filler. No placeho
     });
   }, [recordings, beats, voiceClones, playingId, playProgress]);
 
+  useEffect(() => {
+    const beat = beats.find(b => b.id === chop?.beatId);
+    const canvas = chopCanvasRef.current;
+    if (!canvas || !beat) return;
+    drawWaveform(canvas, beat.buffer, "#06b6d4");
+    const ctx = canvas.getContext("2d");
+    ctx.strokeStyle = "#f59e0b"; ctx.lineWidth = 1; ctx.fillStyle = "#f59e0b"; ctx.font = "10px monospace";
+    chop.slices.forEach((sl, i) => {
+      const x = Math.round(sl.start * canvas.width) + 0.5;
+      ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, canvas.height); ctx.stroke();
+      ctx.fillText(String(i + 1), x + 3, 11);
+    });
+  }, [chop, beats]);
+
   useEffect(() => {
     if (mixCanvasRef.current && mixBuffer) {
       if (playingId === "mixdown") {
@@ -964,10 +1045,51 @@ Write album-quality lyrics. Every bar must earn its place. No filler. No placeho
                   {playingId === beat.id ? "Stop" : "Play"}
                 </button>
                 <button style={S.btn("primary")} onClick={() => addToMix(beat.name, "beat", beat.buffer)}>+ Mix</button>
+                <button style={S.btn(chop?.beatId === beat.id ? "primary" : "ghost")}
+                  onClick={() => chop?.beatId === beat.id ? setChop(null) : chopBeat(beat, { mode: "transient", count: 8, sensitivity: 0.5 })}>
+                  Chop
+                </button>
                 <button style={{ ...S.btn("ghost"), color: "#ef4444", fontSize: 10 }} onClick={() => setBeats(p => p.filter(b => b.id !== beat.id))}>X</button>
               </div>
             </div>
             <canvas ref={el => { if (el) waveCanvasRefs.current[beat.id] = el; }} width={800} height={60} style={S.waveCanvas} />
+            {chop?.beatId === beat.id && (
+              <div style={{ marginTop: 12 }}>
+                <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 8, flexWrap: "wrap" }}>
+                  <select style={{ ...S.input, width: 140, padding: "4px 8px", fontSize: 12 }} value={chop.mode}
+                    onChange={e => chopBeat(beat, { ...chop, mode: e.target.value })}>
+                    <option value="transient">Transients</option>
+                    <option value="equal">Equal slices</option>
+                  </select>
+                  {chop.mode === "transient" ? (
+                    <label style={{ fontSize: 11, color: "#888", display: "flex", alignItems: "center", gap: 6 }}>
+                      Sensitivity
+                      <input type="range" min={0} max={1} step={0.05} value={chop.sensitivity}
+                        onChange={e => chopBeat(beat, { ...chop, sensitivity: +e.target.value })} />
+                    </label>
+                  ) : (
+                    <label style={{ fontSize: 11, color: "#888", display: "flex", alignItems: "center", gap: 6 }}>
+                      Slices
+                      <select style={{ ...S.input, width: 60, padding: "4px 8px", fontSize: 12 }} value={chop.count}
+                        onChange={e => chopBeat(beat, { ...chop, count: +e.target.value })}>
+                        {[2, 4, 8, 16].map(n => <option key={n} value={n}>{n}</option>)}
+                      </select>
+                    </label>
+                  )}
+                  <span style={{ fontSize: 11, color: "#666" }}>{chop.slices.length} pads</span>
+                  <button style={S.btn("primary")} onClick={sendChopToPads}>Send to Beat Pads</button>
+                </div>
+                <canvas ref={chopCanvasRef} width={800} height={80} style={S.waveCanvas} />
+                <div style={{ display: "grid", gridTemplateColumns: "repeat(8, 1fr)", gap: 4, marginTop: 8 }}>
+                  {chop.slices.map((sl, i) => (
+                    <button key={i} style={{ ...S.btn("ghost"), padding: "10px 0", fontSize: 11 }}
+                      onClick={() => auditionSlice(beat.buffer, sl)}>
+                      Pad {i + 1}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         ))}
       </div>
@@ -1171,8 +1293,23 @@ Write album-quality lyrics. Every bar must earn its place. No filler. No placeho
           <div style={{ fontSize: 14, fontWeight: 700, marginBottom: 12, color: "#f59e0b" }}>Complete Production Genome</div>
           <div style={{ display: "flex", gap: 12, alignItems: "center" }}>
             <button style={S.btn("success")} onClick={exportGenome}>Download Production Genome</button>
+            <button style={S.chip(signGenome)} onClick={() => setSignGenome(v => !v)}
+              title="Sign with your local ECDSA author key (same key as Beat Kernel signing)">Sign</button>
+            <label style={S.btn("ghost")}>
+              Verify Genome
+              <input type="file" accept=".json" style={{ display: "none" }}
+                onChange={e => { verifyGenome(e.target.files[0]); e.target.value = ""; }} />
+            </label>
             <span style={{ fontSize: 12, color: "#888", alignSelf: "center" }}>Song Kernel + Beat Kernel + Lyrics + Mix — the entire production DNA</span>
           </div>
+          {genomeAuthor && (
+            <div style={{ marginTop: 12, fontSize: 11, color: genomeAuthor.status === "verified" ? "#22c55e" : genomeAuthor.status === "invalid" ? "#ef4444" : "#888" }}>
+              {genomeAuthor.name}:{" "}
+              {genomeAuthor.status === "verified" && `✓ Verified author — key ${genomeAuthor.fingerprint.slice(0, 16)}…${genomeAuthor.mine ? " (you)" : ""}`}
+              {genomeAuthor.status === "unsigned" && "Unsigned genome — author not verified."}
+              {genomeAuthor.status === "invalid" && `✗ Invalid signature — ${genomeAuthor.reason}. The file was changed after signing or the key does not match.`}
+            </div>
+          )}
         </div>
 
         {/* Individual Recordings Export */}
@@ -1234,6 +1371,8 @@ Write album-quality lyrics. Every bar must earn its place. No filler. No placeho
         onExportKernel={handleBeatKernelExport}
         apiKey={apiKey}
         onNeedApiKey={() => setShowApiKeyInput(true)}
+        chopKit={chopKit}
+        onChopKitLoaded={() => setChopKit(null)}
       />
     </div>
   );
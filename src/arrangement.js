@@ -0,0 +1,306 @@
+// ═══════════════════════════════════════════════════════════
+// ARRANGEMENT ENGINE — Pattern Chain Sequencing
+// Beat Kernel v1 `arrangement` block
+// ═══════════════════════════════════════════════════════════
+//
+// A beat is a set of named patterns (A, B, C, ...) and a chain
+// that orders them into a song. Each pattern stores its own
+// drum steps and instrument notes, keyed by channel id:
+//
+//   arrangement: {
+//     pattern_chain: ['A', 'A', 'B', 'A'],
+//     patterns: {
+//       A: { name, description, drums: { kick: [steps] }, instruments: { bass: [notes] } },
+//       B: { ... },
+//     },
+//   }
+//
+// Channel configuration (synthesis, mixer) lives on the channels
+// themselves and is shared by every pattern. Only WHAT plays is
+// stored per pattern.
+//
+// All functions are pure. No mutation of inputs. songPositionForBar()
+// memoizes per arrangement; the cache never changes an answer.
+
+import { resolveTrig } from './trigConditions.js';
+
+/**
+ * Pattern identifiers, in allocation order.
+ * @type {ReadonlyArray<string>}
+ */
+export const PATTERN_IDS = Object.freeze('ABCDEFGHIJKLMNOP'.split(''));
+
+function emptySteps(n) {
+  return Array.from({ length: n }, () => ({ active: false, velocity: 0.8 }));
+}
+
+/**
+ * Captures the drum steps and instrument notes of a set of channels
+ * as pattern content.
+ *
+ * @param {Array} drums - Drum channels (with pattern.steps)
+ * @param {Array} instruments - Instrument channels (with notes)
+ * @returns {{ drums: Object<string, Array>, instruments: Object<string, Array> }}
+ */
+export function snapshotPattern(drums, instruments) {
+  const d = {};
+  for (const ch of drums || []) d[ch.id] = ch.pattern.steps.map(s => ({ ...s }));
+  const i = {};
+  for (const ch of instruments || []) i[ch.id] = ch.notes.map(n => ({ ...n }));
+  return { drums: d, instruments: i };
+}
+
+/**
+ * Creates a single-pattern arrangement from the given channels.
+ *
+ * @param {Array} drums - Drum channels
+ * @param {Array} instruments - Instrument channels
+ * @returns {Object} Arrangement with pattern A and chain ['A']
+ */
+export function createArrangement(drums, instruments) {
+  return {
+    pattern_chain: ['A'],
+    patterns: {
+      A: { name: 'Main', description: 'Primary pattern', ...snapshotPattern(drums, instruments) },
+    },
+  };
+}
+
+/**
+ * Writes channel content into a pattern slot. Creates the slot if needed.
+ *
+ * @param {Object} arrangement - Current arrangement
+ * @param {string} patternId - Pattern to write (e.g., 'B')
+ * @param {Array} drums - Drum channels holding the pattern's steps
+ * @param {Array} instruments - Instrument channels holding the pattern's notes
+ * @returns {Object} New arrangement
+ */
+export function storePattern(arrangement, patternId, drums, instruments) {
+  const prev = arrangement.patterns[patternId] || { name: `Pattern ${patternId}`, description: '' };
+  return {
+    ...arrangement,
+    patterns: {
+      ...arrangement.patterns,
+      [patternId]: { ...prev, ...snapshotPattern(drums, instruments) },
+    },
+  };
+}
+
+/**
+ * Loads a pattern's content onto the channels. Channels the pattern
+ * does not mention come back empty. Step arrays are padded or
+ * truncated to stepsPerPattern.
+ *
+ * @param {Array} drums - Drum channels
+ * @param {Array} instruments - Instrument channels
+ * @param {Object|undefined} pattern - Pattern content
+ * @param {number} stepsPerPattern - Steps per pattern (typically 16)
+ * @returns {{ drums: Array, instruments: Array }}
+ */
+export function loadPatternChannels(drums, instruments, pattern, stepsPerPattern) {
+  return {
+    drums: drums.map(ch => {
+      const src = pattern?.drums?.[ch.id] || [];
+      const steps = emptySteps(stepsPerPattern).map((s, i) => (src[i] ? { ...src[i] } : s));
+      return { ...ch, pattern: { ...ch.pattern, steps } };
+    }),
+    instruments: instruments.map(ch => ({
+      ...ch,
+      notes: (pattern?.instruments?.[ch.id] || []).map(n => ({ ...n })),
+    })),
+  };
+}
+
+/**
+ * Returns the first unused pattern id, or null when all are taken.
+ *
+ * @param {Object} arrangement - Current arrangement
+ * @returns {string|null}
+ */
+export function nextPatternId(arrangement) {
+  return PATTERN_IDS.find(id => !arrangement.patterns[id]) || null;
+}
+
+/**
+ * Adds a pattern. With no content it starts empty.
+ *
+ * @param {Object} arrangement - Current arrangement
+ * @param {string} patternId - New pattern id
+ * @param {Object} [content] - { drums, instruments } to copy in
+ * @returns {Object} New arrangement
+ */
+export function addPattern(arrangement, patternId, content) {
+  return {
+    ...arrangement,
+    patterns: {
+      ...arrangement.patterns,
+      [patternId]: {
+        name: `Pattern ${patternId}`,
+        description: '',
+        drums: structuredCopy(content?.drums || {}),
+        instruments: structuredCopy(content?.instruments || {}),
+      },
+    },
+  };
+}
+
+/**
+ * Removes a pattern and every chain slot that references it.
+ * The last remaining pattern cannot be removed.
+ *
+ * @param {Object} arrangement - Current arrangement
+ * @param {string} patternId - Pattern to remove
+ * @returns {Object} New arrangement
+ */
+export function removePattern(arrangement, patternId) {
+  const ids = Object.keys(arrangement.patterns);
+  if (ids.length <= 1 || !arrangement.patterns[patternId]) return arrangement;
+  const patterns = { ...arrangement.patterns };
+  delete patterns[patternId];
+  const chain = arrangement.pattern_chain.filter(id => id !== patternId);
+  return {
+    ...arrangement,
+    patterns,
+    pattern_chain: chain.length ? chain : [Object.keys(patterns).sort()[0]],
+  };
+}
+
+/**
+ * Resolves which pattern plays at a given song bar.
+ * The chain loops: bar chain.length plays chain[0] again.
+ *
+ * @param {Object} arrangement - Current arrangement
+ * @param {number} barIndex - Song bar index (0-based)
+ * @returns {string} Pattern id
+ */
+export function patternForBar(arrangement, barIndex) {
+  const chain = arrangement.pattern_chain;
+  if (!chain.length) return Object.keys(arrangement.patterns)[0];
+  return chain[((barIndex % chain.length) + chain.length) % chain.length];
+}
+
+// Bar positions per arrangement, built forward from bar 0 and reused
+// while the channels, fill mode and seed stay the same. The live
+// scheduler asks for the current bar on every step; after the first
+// ask each lookup is O(1).
+const positionCache = new WeakMap();
+
+// Whether the crash channel is heard at all: enabled, not muted, and
+// not silenced by another drum's solo. Without channels it is.
+function crashAudible(drums) {
+  if (!drums) return true;
+  const ch = drums.find(c => c.id === 'crash');
+  if (!ch || !ch.enabled || ch.mixer?.mute) return false;
+  return !drums.some(c => c.mixer?.solo) || !!ch.mixer.solo;
+}
+
+function locateNextBar(arrangement, cache) {
+  const barIndex = cache.bars.length;
+  const prev = cache.bars[barIndex - 1];
+  const id = patternForBar(arrangement, barIndex);
+  const barsSinceSection = prev && patternForBar(arrangement, barIndex - 1) === id ? prev.barsSinceSection + 1 : 0;
+  const barsSinceCrash = prev ? (prev.crashStep != null ? 0 : prev.barsSinceCrash) + 1 : 0;
+
+  // Replays the crash track's trigs exactly as the sequencer resolves
+  // them, so probability and conditions decide whether a crash plays.
+  let crashStep = null;
+  if (cache.crashAudible) {
+    const trig = { barIndex, fill: cache.fill, seed: cache.seed, state: cache.trigState };
+    (arrangement.patterns[id]?.drums?.crash || []).forEach((s, step) => {
+      if (s.active && resolveTrig(s, 'crash', trig, 'crash', barIndex, step) && crashStep == null) crashStep = step;
+    });
+  }
+
+  return { barsSinceSection, barsSinceCrash, crashStep };
+}
+
+/**
+ * Locates a bar within the song structure, for tension reset modes.
+ *
+ * A section is a run of chain slots playing the same pattern; it
+ * starts when the chain moves to a different pattern. The crash count
+ * restarts at the first crash that actually plays: the crash channel
+ * must be audible and the step's trig must fire. `crashStep` is that
+ * step (null when none plays); barsSinceCrash holds the count before
+ * it, and songPositionAtStep() applies the restart from there on.
+ * Both counts start at bar 0 when nothing earlier qualifies.
+ *
+ * `previous` is where the bar before ended, so the groove can shape
+ * the drag it carries across the barline with that bar's tension. It
+ * is null at bar 0.
+ *
+ * @param {Object} arrangement - Current arrangement
+ * @param {number} barIndex - Song bar index (0-based)
+ * @param {Object} [opts]
+ * @param {Array} [opts.drums] - Drum channels (mute, solo, enabled); omitted = crash always audible
+ * @param {boolean} [opts.fill=false] - Fill mode, for fill / not_fill crash trigs
+ * @param {number} [opts.seed=42] - Randomization seed, for crash probability rolls
+ * @returns {{ barsSinceSection: number, barsSinceCrash: number, crashStep: number|null, previous: Object|null }}
+ */
+export function songPositionForBar(arrangement, barIndex, { drums, fill = false, seed = 42 } = {}) {
+  let cache = positionCache.get(arrangement);
+  if (!cache || cache.drums !== drums || cache.fill !== fill || cache.seed !== seed) {
+    cache = { drums, fill, seed, crashAudible: crashAudible(drums), trigState: {}, bars: [] };
+    positionCache.set(arrangement, cache);
+  }
+  while (cache.bars.length <= barIndex) cache.bars.push(locateNextBar(arrangement, cache));
+
+  const prev = cache.bars[barIndex - 1];
+  return {
+    ...cache.bars[barIndex],
+    previous: prev ? songPositionAtStep(prev, Infinity) : null,
+  };
+}
+
+/**
+ * A bar's song position as heard at one step: from the step its crash
+ * plays, the crash count reads 0.
+ *
+ * @param {Object} [position] - From songPositionForBar()
+ * @param {number} step - Step within the bar
+ * @returns {Object|undefined} Position for this step
+ */
+export function songPositionAtStep(position, step) {
+  if (position?.crashStep == null || step < position.crashStep) return position;
+  return { ...position, barsSinceCrash: 0 };
+}
+
+/**
+ * Brings an imported arrangement block into canonical form.
+ *
+ * Beat Kernels written before multi-pattern support carry
+ * `patterns: { A: { name, description } }` with the steps on the
+ * channels themselves. Those are upgraded by copying the channel
+ * content into every pattern that has none. Chain slots that
+ * reference missing patterns are dropped.
+ *
+ * @param {Object|undefined} arrangement - Arrangement block from a kernel
+ * @param {Array} drums - Drum channels from the same kernel
+ * @param {Array} instruments - Instrument channels from the same kernel
+ * @returns {Object} Canonical arrangement
+ */
+export function normalizeArrangement(arrangement, drums, instruments) {
+  if (!arrangement?.patterns || !Object.keys(arrangement.patterns).length) {
+    return createArrangement(drums, instruments);
+  }
+  const fallback = snapshotPattern(drums, instruments);
+  const patterns = {};
+  for (const [id, p] of Object.entries(arrangement.patterns)) {
+    patterns[id] = {
+      name: p.name || `Pattern ${id}`,
+      description: p.description || '',
+      drums: p.drums || structuredCopy(fallback.drums),
+      instruments: p.instruments || structuredCopy(fallback.instruments),
+    };
+  }
+  const chain = (arrangement.pattern_chain || []).filter(id => patterns[id]);
+  return {
+    ...arrangement,
+    patterns,
+    pattern_chain: chain.length ? chain : [Object.keys(patterns).sort()[0]],
+  };
+}
+
+function structuredCopy(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
@@ -0,0 +1,174 @@
+// ═══════════════════════════════════════════════════════════
+// Arrangement Engine — Tests for pattern storage & chain sequencing
+// ═══════════════════════════════════════════════════════════
+import { describe, it, expect } from 'vitest';
+import {
+  createArrangement,
+  storePattern,
+  loadPatternChannels,
+  addPattern,
+  removePattern,
+  nextPatternId,
+  patternForBar,
+  songPositionForBar,
+  songPositionAtStep,
+  normalizeArrangement,
+} from './arrangement.js';
+import { mkDrum, mkInstrument } from './testFixtures.js';
+
+const mkDrums = (kickSteps) => [mkDrum('kick', kickSteps), mkDrum('snare')];
+const mkInstruments = (notes) => [mkInstrument('bass', notes)];
+
+describe('Arrangement — pattern storage', () => {
+  it('createArrangement captures the channels as pattern A', () => {
+    const arr = createArrangement(mkDrums([0, 8]), mkInstruments([{ step: 0, midi_note: 36, length_steps: 4, velocity: 0.8 }]));
+    expect(arr.pattern_chain).toEqual(['A']);
+    expect(arr.patterns.A.drums.kick.filter(s => s.active)).toHaveLength(2);
+    expect(arr.patterns.A.instruments.bass).toHaveLength(1);
+  });
+
+  it('patterns hold independent drum steps and instrument notes', () => {
+    const drums = mkDrums([0, 8]);
+    const inst = mkInstruments([]);
+    let arr = createArrangement(drums, inst);
+    arr = addPattern(arr, 'B');
+    arr = storePattern(arr, 'B', mkDrums([4, 12]), mkInstruments([{ step: 2, midi_note: 40, length_steps: 1, velocity: 0.5 }]));
+
+    const a = loadPatternChannels(drums, inst, arr.patterns.A, 16);
+    const b = loadPatternChannels(drums, inst, arr.patterns.B, 16);
+    expect(a.drums[0].pattern.steps[0].active).toBe(true);
+    expect(a.drums[0].pattern.steps[4].active).toBe(false);
+    expect(b.drums[0].pattern.steps[0].active).toBe(false);
+    expect(b.drums[0].pattern.steps[4].active).toBe(true);
+    expect(a.instruments[0].notes).toHaveLength(0);
+    expect(b.instruments[0].notes).toHaveLength(1);
+  });
+
+  it('storePattern does not mutate the input arrangement', () => {
+    const arr = createArrangement(mkDrums([0]), mkInstruments([]));
+    const before = JSON.stringify(arr);
+    storePattern(arr, 'A', mkDrums([1, 2, 3]), mkInstruments([]));
+    expect(JSON.stringify(arr)).toBe(before);
+  });
+
+  it('loadPatternChannels pads missing channels with empty steps', () => {
+    const out = loadPatternChannels(mkDrums([]), mkInstruments([]), { drums: {}, instruments: {} }, 16);
+    expect(out.drums[1].pattern.steps).toHaveLength(16);
+    expect(out.drums[1].pattern.steps.every(s => !s.active)).toBe(true);
+  });
+
+  it('removePattern drops the pattern from the chain and keeps at least one', () => {
+    let arr = createArrangement(mkDrums([]), mkInstruments([]));
+    arr = addPattern(arr, 'B');
+    arr = { ...arr, pattern_chain: ['A', 'B', 'A', 'B'] };
+    arr = removePattern(arr, 'B');
+    expect(arr.pattern_chain).toEqual(['A', 'A']);
+    expect(removePattern(arr, 'A')).toBe(arr);
+  });
+
+  it('nextPatternId allocates the first free letter', () => {
+    let arr = createArrangement(mkDrums([]), mkInstruments([]));
+    expect(nextPatternId(arr)).toBe('B');
+    arr = addPattern(arr, 'B');
+    expect(nextPatternId(arr)).toBe('C');
+  });
+});
+
+describe('Arrangement — chain sequencing', () => {
+  it('patternForBar follows the chain and loops', () => {
+    const arr = { pattern_chain: ['A', 'A', 'B', 'C'], patterns: { A: {}, B: {}, C: {} } };
+    expect([0, 1, 2, 3, 4, 6, 7].map(b => patternForBar(arr, b))).toEqual(['A', 'A', 'B', 'C', 'A', 'B', 'C']);
+  });
+
+  it('songPositionForBar counts bars since the section started and since the last crash', () => {
+    const crash = (on) => ({ drums: { crash: [{ active: on, velocity: 0.8 }] } });
+    const arr = { pattern_chain: ['A', 'A', 'B', 'B', 'B', 'A'], patterns: { A: crash(false), B: crash(true) } };
+    const pos = [0, 1, 2, 3, 4, 5, 6, 7].map(b => songPositionForBar(arr, b));
+    expect(pos.map(p => p.barsSinceSection)).toEqual([0, 1, 0, 1, 2, 0, 1, 2]);
+    expect(pos.map(p => songPositionAtStep(p, 0).barsSinceCrash)).toEqual([0, 1, 0, 0, 0, 1, 2, 3]);
+    expect(pos[0].previous).toBe(null);
+    expect(pos.slice(1).map(p => p.previous.barsSinceSection)).toEqual([0, 1, 0, 1, 2, 0, 1]);
+  });
+
+  const crashAt = (step, over = {}) => ({ drums: { crash: Array.from({ length: 16 }, (_, i) => ({ active: i === step, velocity: 0.8, ...over })) } });
+  const crashChannel = (mixer = {}) => [
+    { id: 'kick', enabled: true, mixer: { mute: false, solo: false } },
+    { id: 'crash', enabled: true, mixer: { mute: false, solo: false, ...mixer } },
+  ];
+
+  it('the crash count restarts from the step the crash plays', () => {
+    const arr = { pattern_chain: ['A', 'A', 'B', 'A'], patterns: { A: crashAt(-1), B: crashAt(8) } };
+    const bar2 = songPositionForBar(arr, 2);
+    expect(bar2.crashStep).toBe(8);
+    expect(songPositionAtStep(bar2, 4).barsSinceCrash).toBe(2);
+    expect(songPositionAtStep(bar2, 8).barsSinceCrash).toBe(0);
+    expect(songPositionForBar(arr, 3).barsSinceCrash).toBe(1);
+    expect(songPositionForBar(arr, 3).previous.barsSinceCrash).toBe(0);
+  });
+
+  it('muted or soloed-out crash channels do not reset the count', () => {
+    const arr = { pattern_chain: ['A', 'B', 'A'], patterns: { A: crashAt(-1), B: crashAt(0) } };
+    const count = (drums) => songPositionAtStep(songPositionForBar(arr, 2, { drums }), 0).barsSinceCrash;
+    expect(count(crashChannel())).toBe(1);
+    expect(count(crashChannel({ mute: true }))).toBe(2);
+    const kickSolo = crashChannel();
+    kickSolo[0].mixer = { mute: false, solo: true };
+    expect(count(kickSolo)).toBe(2);
+  });
+
+  it('crash trigs must fire to reset the count', () => {
+    const everyOther = { pattern_chain: ['A'], patterns: { A: crashAt(0, { condition: '2:2' }) } };
+    expect([0, 1, 2, 3].map(b => songPositionForBar(everyOther, b).crashStep)).toEqual([null, 0, null, 0]);
+    const never = { pattern_chain: ['A'], patterns: { A: crashAt(0, { probability: 0 }) } };
+    expect(songPositionAtStep(songPositionForBar(never, 3), 0).barsSinceCrash).toBe(3);
+    const fillOnly = { pattern_chain: ['A'], patterns: { A: crashAt(0, { condition: 'fill' }) } };
+    expect(songPositionForBar(fillOnly, 1).crashStep).toBe(null);
+    expect(songPositionForBar(fillOnly, 1, { fill: true }).crashStep).toBe(0);
+  });
+
+  it('answers in any order once a bar has been located', () => {
+    const arr = { pattern_chain: ['A', 'B', 'B', 'A'], patterns: { A: crashAt(4, { probability: 0.5 }), B: crashAt(-1) } };
+    const late = songPositionForBar(arr, 40);
+    const early = songPositionForBar(arr, 5);
+    const fresh = { ...arr };
+    expect(songPositionForBar(fresh, 5)).toEqual(early);
+    expect(songPositionForBar(fresh, 40)).toEqual(late);
+  });
+});
+
+describe('Arrangement — Beat Kernel import', () => {
+  it('upgrades a legacy single-pattern block using the channel content', () => {
+    const legacy = { pattern_chain: ['A'], patterns: { A: { name: 'Main', description: 'Primary pattern' } } };
+    const arr = normalizeArrangement(legacy, mkDrums([0, 8]), mkInstruments([]));
+    expect(arr.patterns.A.name).toBe('Main');
+    expect(arr.patterns.A.drums.kick[8].active).toBe(true);
+  });
+
+  it('round-trips a multi-pattern arrangement through JSON', () => {
+    let arr = createArrangement(mkDrums([0]), mkInstruments([]));
+    arr = addPattern(arr, 'B', arr.patterns.A);
+    arr = storePattern(arr, 'B', mkDrums([3]), mkInstruments([{ step: 3, midi_note: 38, length_steps: 2, velocity: 0.9 }]));
+    arr = { ...arr, pattern_chain: ['A', 'B', 'B', 'A'] };
+
+    const restored = normalizeArrangement(JSON.parse(JSON.stringify(arr)), mkDrums([]), mkInstruments([]));
+    expect(restored).toEqual(arr);
+  });
+
+  it('keeps per-step trig fields through storage and JSON', () => {
+    const drums = mkDrums([4]);
+    drums[0].pattern.steps[4] = { active: true, velocity: 0.8, nudge_ms: 6, probability: 0.5, condition: '3:4' };
+    const notes = [{ step: 2, midi_note: 36, length_steps: 1, velocity: 0.8, condition: 'fill' }];
+    const arr = normalizeArrangement(JSON.parse(JSON.stringify(createArrangement(drums, mkInstruments(notes)))), [], []);
+    const loaded = loadPatternChannels(mkDrums([]), mkInstruments([]), arr.patterns.A, 16);
+    expect(loaded.drums[0].pattern.steps[4]).toEqual(drums[0].pattern.steps[4]);
+    expect(loaded.instruments[0].notes).toEqual(notes);
+  });
+
+  it('drops chain slots that reference missing patterns', () => {
+    const arr = normalizeArrangement(
+      { pattern_chain: ['A', 'Z'], patterns: { A: { drums: {}, instruments: {} } } },
+      mkDrums([]), mkInstruments([]),
+    );
+    expect(arr.pattern_chain).toEqual(['A']);
+  });
+});
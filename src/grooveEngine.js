@@ -7,6 +7,7 @@
 // Layer 3 orchestrates the complete timing pipeline via the
 // Unified Displacement Kernel (grooveKernel.js):
 //
+//   0. Map velocity through the performer response (gated)
 //   1. Assemble coefficient context from groove profile
 //   2. Evaluate fΔ(context) — single closed-form displacement
 //   3. Apply PPQN rounding (coefficient-gated by ppqn value)
@@ -23,16 +24,20 @@
 //   Rule 24: f(n,v) = Δ_C(n) + Ω(v) coupled before gravity
 
 import {
-  computeDragCurve,
-  computeLogDrift,
+  DRIFT_BASIS,
   velocityPhaseCoupling,
   computeMacroDrift,
   computeTensionState,
+  computePhraseDrift,
+  phrasePosition,
+  computeSnapBack,
+  computeCustomDrift,
 } from './grooveField.js';
 
 import { computeGrooveDisplacement } from './grooveKernel.js';
 import { roundToPPQN } from './hardwareEmulation.js';
 import { applyEmotionalBias } from './emotionField.js';
+import { applyVelocityResponse, computePerformerPhase } from './performerCapture.js';
 
 // ── Seeded PRNG (Mulberry32) ──
 // Invariant: DETERMINISTIC. Same seed = same output. No Math.random().
@@ -62,6 +67,24 @@ export class SeededRNG {
   }
 }
 
+/**
+ * Derives a 32-bit seed from a base seed and an event address
+ * (FNV-1a over the parts). Streams seeded this way depend only on
+ * where an event sits, not on how many draws came before it.
+ *
+ * @param {number} seed - Base seed
+ * @param {...(string|number)} parts - Address, e.g. channelId, barIndex, step
+ * @returns {number} Derived seed
+ */
+export function deriveSeed(seed, ...parts) {
+  let h = (0x811C9DC5 ^ (seed | 0)) >>> 0;
+  for (const ch of parts.join(':')) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h | 0;
+}
+
 // ── Feel Bias Offset Limits (ms, before BPM scaling) ──
 // These define the maximum displacement in each direction
 // based on the groove's feel bias.
@@ -96,7 +119,7 @@ const CHANNEL_MAP = {
  * @param {string} channelId - Specific channel ID (e.g., 'hihat_closed')
  * @returns {string} Canonical channel name (e.g., 'hihat')
  */
-function resolveChannel(channelId) {
+export function resolveChannel(channelId) {
   return CHANNEL_MAP[channelId] || channelId;
 }
 
@@ -117,9 +140,11 @@ function resolveChannel(channelId) {
  * @param {SeededRNG|null} rng - Seeded random number generator
  * @param {string} scaleMode - Current scale mode (e.g., 'minor', 'dorian')
  * @param {number} baseVelocity - Original velocity of the event (0.0–1.0)
+ * @param {Object} [songPosition] - Bar's place in the arrangement (for tension reset modes)
+ * @param {number} [midiNote] - MIDI note of an instrument event (addresses its performer stream)
  * @returns {Object} Coefficient context for computeGrooveDisplacement()
  */
-export function assembleGrooveContext(step, channelId, grooveProfile, barIndex, rng, scaleMode, baseVelocity) {
+export function assembleGrooveContext(step, channelId, grooveProfile, barIndex, rng, scaleMode, baseVelocity, songPosition, midiNote) {
   const bpm = grooveProfile.bpm || 90;
   const stepsPerBar = grooveProfile.steps_per_bar || 16;
   const stepInBar = step % stepsPerBar;
@@ -129,7 +154,7 @@ export function assembleGrooveContext(step, channelId, grooveProfile, barIndex,
   const channelCfg = channelOffsets[canonicalChannel] || {};
 
   // ── Δ_L — Linear offset (per-channel constant displacement, unscaled ms) ──
-  const linearOffset = channelCfg.timing_offset_ms || 0;
+  let linearOffset = channelCfg.timing_offset_ms || 0;
 
   // ── Δ_C(n) — Topological curvature (unscaled ms) ──
   // Coefficient-gated: drag_curve.enabled controls activation
@@ -138,25 +163,25 @@ export function assembleGrooveContext(step, channelId, grooveProfile, barIndex,
     const dc = grooveProfile.drag_curve;
     const channelScale = dc.per_channel_scaling?.[canonicalChannel] ?? 1.0;
 
-    const tensionState = computeTensionState(barIndex, grooveProfile.temporal_state);
-    const effectiveExponent = (dc.drag_exponent || 1.25) * tensionState.exponentMultiplier;
-
-    if (dc.drift_mode === 'log') {
-      // Pass bpmScale=1: kernel applies β
-      curvature = computeLogDrift(
-        stepInBar, stepsPerBar,
-        dc.max_drag_ms || 25,
-        dc.log_k || 4,
-        channelScale, 1
-      );
-    } else {
-      // Default: power curve. Pass bpmScale=1: kernel applies β
-      curvature = computeDragCurve(
-        stepInBar, stepsPerBar,
-        dc.max_drag_ms || 25,
-        effectiveExponent,
-        channelScale, 1
-      );
+    const tensionState = computeTensionState(barIndex, grooveProfile.temporal_state, songPosition);
+
+    // A drawn curve for this channel replaces the analytic basis;
+    // otherwise the basis is selected by drift_mode (unknown → power).
+    // Both return unscaled ms: kernel applies β
+    const drawn = dc.custom_points?.[canonicalChannel];
+    const basis = DRIFT_BASIS[dc.drift_mode] || DRIFT_BASIS.power;
+    const curveAt = drawn?.length
+      ? (n) => computeCustomDrift(n, stepsPerBar, drawn, dc.max_drag_ms || 25, 1)
+      : (n, tension) => basis(n, stepsPerBar, dc.max_drag_ms || 25, dc, tension.exponentMultiplier, channelScale);
+
+    curvature = curveAt(stepInBar, tensionState);
+
+    // Snap-back — coefficient-gated by snap_mode ('hard' = none).
+    // The carry is the previous bar's last-step drag, shaped by that
+    // bar's own tension; bar 0 has none.
+    if (barIndex > 0) {
+      const prevTension = computeTensionState(barIndex - 1, grooveProfile.temporal_state, songPosition?.previous);
+      curvature += computeSnapBack(stepInBar, curveAt(stepsPerBar - 1, prevTension), dc.snap_mode, dc.snap_steps ?? 4);
     }
   }
 
@@ -178,14 +203,29 @@ export function assembleGrooveContext(step, channelId, grooveProfile, barIndex,
     harmonicGravity = grooveProfile.harmonic_gravity.gravity_by_mode?.[mode] ?? 1.0;
   }
 
+  // Phrase position — Ψ and Φ accumulate across bars and restart each
+  // phrase. swing is the transport's, set next to bpm by the caller.
+  const msPerStep = 60000 / bpm / 4;
+  const swing = grooveProfile.swing || 0;
+  const phrase = phrasePosition(barIndex, stepInBar, stepsPerBar, grooveProfile.phrase_constraints, msPerStep, swing);
+
   // ── Ψ(b) — Macro-drift (unscaled ms) ──
   // Coefficient-gated: macro_drift.enabled controls activation
   let macroDrift = 0;
   if (grooveProfile.macro_drift?.enabled) {
     // Pass bpmScale=1: kernel applies β
-    macroDrift = computeMacroDrift(barIndex, grooveProfile.macro_drift, 1);
+    const md = grooveProfile.macro_drift;
+    macroDrift = computeMacroDrift(phrase.bar, md, 1);
+    if (phrase.carry) {
+      macroDrift += (computeMacroDrift(phrase.length - 1, md, 1) - computeMacroDrift(0, md, 1)) * phrase.carry;
+    }
   }
 
+  // ── Φ(b,n) — Phrase drift (unscaled ms) ──
+  // Coefficient-gated: phrase_constraints.drift_per_bar_ms ≠ 0 controls activation
+  // Pass bpmScale=1: kernel applies β
+  const phraseDrift = computePhraseDrift(barIndex, stepInBar, stepsPerBar, grooveProfile.phrase_constraints, msPerStep, 1, swing);
+
   // ── σ·G — Stochastic jitter (unscaled ms) ──
   // Coefficient-gated: jitter_ms > 0 controls activation (no groove_type check)
   let jitter = 0;
@@ -196,6 +236,22 @@ export function assembleGrooveContext(step, channelId, grooveProfile, barIndex,
     }
   }
 
+  // ── Performer capture — player behaviour folded into Δ_L, Δ_C, σ·G ──
+  // Coefficient-gated: performer_capture.enabled controls activation.
+  // Own per-event stream so the main RNG sequence is untouched. Chord
+  // notes add their MIDI note to the address, as the groove streams do.
+  const performer = grooveProfile.performer_capture;
+  if (performer?.enabled) {
+    const address = midiNote != null ? [channelId, barIndex, stepInBar, midiNote] : [channelId, barIndex, stepInBar];
+    const performerRng = rng
+      ? new SeededRNG(deriveSeed(performer.randomization_seed ?? 42, ...address))
+      : null;
+    const pTerms = computePerformerPhase(stepInBar, stepsPerBar, canonicalChannel, performer, performerRng);
+    linearOffset += pTerms.linearOffset;
+    curvature += pTerms.curvature;
+    jitter += pTerms.jitter;
+  }
+
   // ── Feel bias limits (unscaled ms) ──
   const feelBias = grooveProfile.feel_bias || 'laid_back';
   const feelLimits = MAX_OFFSET_BY_FEEL[feelBias] || MAX_OFFSET_BY_FEEL.laid_back;
@@ -211,6 +267,7 @@ export function assembleGrooveContext(step, channelId, grooveProfile, barIndex,
     phaseCoupling,
     harmonicGravity,
     macroDrift,
+    phraseDrift,
     jitter,
     maxPushMs: feelLimits.push,
     maxDragMs: feelLimits.drag,
@@ -236,9 +293,11 @@ export function assembleGrooveContext(step, channelId, grooveProfile, barIndex,
  * @param {SeededRNG} rng - Seeded random number generator
  * @param {string} scaleMode - Current scale mode (e.g., 'minor', 'dorian')
  * @param {number} baseVelocity - Original velocity of the event (0.0–1.0)
+ * @param {Object} [songPosition] - Bar's place in the arrangement (from songPositionForBar)
+ * @param {number} [midiNote] - MIDI note of an instrument event
  * @returns {{ time: number, velocity: number, shouldPlay: boolean }}
  */
-export function applyGroove(gridTime, step, channelId, grooveProfile, barIndex, rng, scaleMode, baseVelocity) {
+export function applyGroove(gridTime, step, channelId, grooveProfile, barIndex, rng, scaleMode, baseVelocity, songPosition, midiNote) {
   // No-op if groove is disabled or amount is zero
   if (!grooveProfile || (grooveProfile.groove_amount ?? 1.0) === 0) {
     return { time: gridTime, velocity: baseVelocity, shouldPlay: true };
@@ -249,8 +308,16 @@ export function applyGroove(gridTime, step, channelId, grooveProfile, barIndex,
   const channelOffsets = grooveProfile.channel_offsets || {};
   const channelCfg = channelOffsets[canonicalChannel] || {};
 
+  // ── 0. Performer velocity response — coefficient-gated ──
+  // Everything downstream (coupling, humanization, ghosts) sees the
+  // velocity as the performer plays it.
+  const performer = grooveProfile.performer_capture;
+  const playedVelocity = performer?.enabled && baseVelocity != null
+    ? applyVelocityResponse(baseVelocity, performer.velocity_response)
+    : baseVelocity;
+
   // ── 1. Assemble coefficient context ──
-  const ctx = assembleGrooveContext(step, channelId, grooveProfile, barIndex, rng, scaleMode, baseVelocity);
+  const ctx = assembleGrooveContext(step, channelId, grooveProfile, barIndex, rng, scaleMode, playedVelocity, songPosition, midiNote);
 
   // ── 1.5. Emotional Field Bias — single injection point (D3) ──
   // Pipeline: Groove Field → Emotional Field Bias → Unified Displacement Kernel
@@ -260,11 +327,11 @@ export function applyGroove(gridTime, step, channelId, grooveProfile, barIndex,
   const offsetMs = computeGrooveDisplacement(biasedCtx);
 
   // ── 3. Velocity humanization (side effect — uses RNG) ──
-  let velocity = baseVelocity;
+  let velocity = playedVelocity;
   if (channelCfg.velocity_variance && rng && baseVelocity != null) {
     const variance = channelCfg.velocity_variance;
     const mod = rng.gaussian() * variance;
-    velocity = Math.max(0.05, Math.min(1.0, baseVelocity + mod));
+    velocity = Math.max(0.05, Math.min(1.0, playedVelocity + mod));
   }
 
   // ── 4. Ghost note processing (side effect — uses RNG) ──
@@ -272,9 +339,11 @@ export function applyGroove(gridTime, step, channelId, grooveProfile, barIndex,
   if (channelCfg.ghost_note_probability && rng) {
     const ghostProb = channelCfg.ghost_note_probability;
     if (rng.next() < ghostProb) {
-      const attenuation = channelCfg.ghost_note_attenuation_db || -12;
+      const attenuation = channelCfg.ghost_note_attenuation_db
+        || (performer?.enabled && performer.micro_bias?.ghost_note_attenuation_db)
+        || -12;
       const scale = Math.pow(10, attenuation / 20);
-      velocity = baseVelocity * scale;
+      velocity = playedVelocity * scale;
     }
   }
 
@@ -346,7 +415,11 @@ export function createDefaultGrooveProfile(bpm = 90) {
       max_drag_ms: 25,
       drag_exponent: 1.25,
       snap_mode: 'hard',
+      snap_steps: 4,
       log_k: 4,
+      exp_k: 3,
+      sigmoid_k: 8,
+      custom_points: {},
       per_channel_scaling: {
         snare: 1.0,
         hihat: 0.4,
@@ -361,7 +434,7 @@ export function createDefaultGrooveProfile(bpm = 90) {
       ppqn: 0,
       signal_chain_order: 'saturate_downsample_quantize',
       dac_saturation: { enabled: false, curve: 'tanh', gain: 1.2 },
-      anti_alias_filter: { type: 'chebyshev_type1', cutoff_hz: 18000, ripple_db: 0.5 },
+      anti_alias_filter: { type: 'chebyshev_type1', cutoff_hz: 18000, ripple_db: 0.5, order: 4 },
       sample_rate: 26040,
       bit_depth: 12,
     },
@@ -402,6 +475,7 @@ export function createDefaultGrooveProfile(bpm = 90) {
       reset_mode: 'hard',
       max_accumulated_phase_error_ms: 50,
       snap_back_attack_ms: 20,
+      drift_per_bar_ms: 0,
     },
 
     // Emotional field — neutral vector (zero bias on all coefficients)
@@ -421,6 +495,7 @@ export function createDefaultGrooveProfile(bpm = 90) {
       elasticity_amplification: 0.3,
       reset_mode: 'every_n_bars',
       reset_period_bars: 8,
+      tension_automation: [],
       max_phase_error_ms: 45,
     },
 
@@ -475,3 +550,49 @@ export async function computeGrooveHash(grooveProfile) {
   const digest = await crypto.subtle.digest('SHA-256', bytes);
   return bytesToHex(digest);
 }
+
+// ── Full-Kernel Hash ──
+// kernel_hash covers every field of an exported Beat Kernel except
+// these dotted paths: the hash fields themselves, export bookkeeping
+// that changes on every export without touching the music, and the
+// author signature block, which is added after hashing.
+export const KERNEL_HASH_EXCLUDE = Object.freeze([
+  'kernel_hash',
+  'groove_hash',
+  'metadata.beat_id',
+  'metadata.created',
+  'metadata.modified',
+  'metadata.author_key',
+  'metadata.author_fingerprint',
+  'metadata.signature',
+]);
+
+/**
+ * Returns a JSON round-tripped copy of the kernel with the excluded
+ * paths removed. The round trip makes an in-memory kernel and its
+ * parsed export serialize identically.
+ */
+function kernelHashPayload(kernel) {
+  const copy = JSON.parse(JSON.stringify(kernel));
+  for (const path of KERNEL_HASH_EXCLUDE) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), copy);
+    if (parent && typeof parent === 'object') delete parent[last];
+  }
+  return copy;
+}
+
+/**
+ * Computes SHA-256 hex hash of a whole Beat Kernel using Web Crypto:
+ * transport, channels, master, groove, arrangement, samples and
+ * metadata, minus the KERNEL_HASH_EXCLUDE paths.
+ * @param {Object} kernel - Beat Kernel object (as exported)
+ * @returns {Promise<string>} Lowercase hex SHA-256 hash
+ */
+export async function computeKernelHash(kernel) {
+  const json = stableStringify(kernelHashPayload(kernel));
+  const bytes = new TextEncoder().encode(json);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return bytesToHex(digest);
+}
@@ -0,0 +1,307 @@
+// ═══════════════════════════════════════════════════════════
+// GROOVE EXTRACTION — Performance → Groove Profile
+// Inverse of the Unified Displacement Kernel
+// ═══════════════════════════════════════════════════════════
+//
+// Takes timed onsets from a real performance (an imported MIDI
+// file or transients detected in audio) and fits the kernel
+// coefficients that reproduce its timing:
+//
+//   u = Δ_L(c) + Δ_C(n)·s(c) + Ω(v) + Ψ(b) + σ(c)·G
+//
+// where u is each onset's distance from its grid step in unscaled
+// ms (measured ms / β, β = 90/BPM — the kernel applies β once, so
+// fitted coefficients stay tempo-independent).
+//
+// Fitting is backfitting by least squares: per-channel offset and
+// drag amplitude on a shared exponent (grid-searched), velocity-phase
+// ratio, and macro-drift amplitude over a searched period, each
+// refitted on the residual of the others. What remains is jitter.
+//
+// The result is a complete profile in the createDefaultGrooveProfile
+// schema. Harmonic gravity, ghost notes and emotion stay neutral —
+// the onsets carry no information about them.
+//
+// Pure and deterministic: no RNG, no I/O.
+
+import { createDefaultGrooveProfile, resolveChannel, MAX_OFFSET_BY_FEEL } from './grooveEngine.js';
+import { GM_DRUM_IMPORT_MAP } from './midiFile.js';
+import { detectTransients } from './sampleChopper.js';
+
+const VELOCITY_CENTER = 0.7;
+const MIN_DRAG_MS = 1;
+const MIN_DRIFT_MS = 1;
+const BACKFIT_PASSES = 4;
+
+/**
+ * Grid time of a step, with the transport's swing applied the same
+ * way computeSwingDuration() accumulates it.
+ *
+ * @param {number} k - Absolute step index from bar 0
+ * @param {number} secPerStep - Unswung step length
+ * @param {number} swing - Swing amount (0.0–0.5)
+ * @returns {number} Seconds
+ */
+function gridTime(k, secPerStep, swing) {
+  const pair = Math.floor(k / 2) * 2 * secPerStep;
+  return k % 2 === 0 ? pair : pair + secPerStep * (1 - swing);
+}
+
+/**
+ * Snaps each onset to its nearest step and measures its offset.
+ *
+ * @returns {Array<{ channel, bar, p, x, u }>} p = position in bar (0–1),
+ *   x = velocity coupling regressor, u = offset in unscaled ms
+ */
+function measureOnsets(onsets, bpm, stepsPerBar, swing) {
+  const secPerStep = 60 / bpm / 4;
+  const beta = 90 / bpm;
+  return onsets.map(o => {
+    // Nearest step: check the unswung estimate and its neighbours
+    const est = Math.round(o.time / secPerStep);
+    let k = Math.max(0, est);
+    for (const c of [est - 1, est + 1]) {
+      if (c >= 0 && Math.abs(gridTime(c, secPerStep, swing) - o.time) < Math.abs(gridTime(k, secPerStep, swing) - o.time)) k = c;
+    }
+    const ms = (o.time - gridTime(k, secPerStep, swing)) * 1000;
+    return {
+      channel: resolveChannel(o.channel),
+      bar: Math.floor(k / stepsPerBar),
+      p: (k % stepsPerBar) / stepsPerBar,
+      x: ((o.velocity ?? VELOCITY_CENTER) - VELOCITY_CENTER) * 10,
+      u: ms / beta,
+    };
+  });
+}
+
+// Per-channel fit of u ≈ L + a·p^α for a fixed α. Returns { fits, sse }.
+function fitChannels(rows, target, alpha) {
+  const groups = new Map();
+  rows.forEach((r, i) => {
+    if (!groups.has(r.channel)) groups.set(r.channel, []);
+    groups.get(r.channel).push(i);
+  });
+  const fits = {};
+  let sse = 0;
+  for (const [ch, idx] of groups) {
+    const f = idx.map(i => Math.pow(rows[i].p, alpha));
+    const y = idx.map(i => target[i]);
+    const n = idx.length;
+    const mf = f.reduce((s, v) => s + v, 0) / n;
+    const my = y.reduce((s, v) => s + v, 0) / n;
+    let sff = 0, sfy = 0;
+    for (let j = 0; j < n; j++) { sff += (f[j] - mf) ** 2; sfy += (f[j] - mf) * (y[j] - my); }
+    const a = sff > 1e-12 ? sfy / sff : 0;
+    const L = my - a * mf;
+    for (let j = 0; j < n; j++) sse += (y[j] - L - a * f[j]) ** 2;
+    fits[ch] = { L, a };
+  }
+  return { fits, sse };
+}
+
+// Sine macro-drift amplitude for a period, by projection onto sin(2πb/P)
+function fitDrift(rows, target, period) {
+  let ss = 0, sy = 0;
+  rows.forEach((r, i) => {
+    const s = Math.sin(2 * Math.PI * r.bar / period);
+    ss += s * s; sy += s * target[i];
+  });
+  return ss > 1e-9 ? sy / ss : 0;
+}
+
+/**
+ * Fits a groove profile to a performance.
+ *
+ * @param {Array<{ time: number, channel: string, velocity?: number }>} onsets
+ *   Onset times in seconds from the downbeat of bar 0, with channel ids
+ *   (e.g. 'kick', 'hihat_closed') and velocities 0–1
+ * @param {Object} opts
+ * @param {number} opts.bpm - Tempo of the performance
+ * @param {number} [opts.stepsPerBar=16] - Grid resolution
+ * @param {number} [opts.swing=0] - Transport swing the grid should assume
+ * @returns {{ profile: Object, stats: { onsets: number, bars: number, residualMs: number } }}
+ */
+export function extractGrooveProfile(onsets, { bpm, stepsPerBar = 16, swing = 0 }) {
+  const profile = createDefaultGrooveProfile(bpm);
+  profile.groove_type = 'extracted';
+  profile.steps_per_bar = stepsPerBar;
+  if (!onsets.length) return { profile, stats: { onsets: 0, bars: 0, residualMs: 0 } };
+
+  const rows = measureOnsets(onsets, bpm, stepsPerBar, swing);
+  const bars = rows.reduce((m, r) => Math.max(m, r.bar), 0) + 1;
+  const n = rows.length;
+
+  let chFit = { fits: {}, sse: 0 };
+  let alpha = 1;
+  let ratio = 0;
+  let drift = { amplitude: 0, period: 4 };
+  const channelPart = (r) => {
+    const f = chFit.fits[r.channel];
+    return f ? f.L + f.a * Math.pow(r.p, alpha) : 0;
+  };
+  const driftPart = (r) => drift.amplitude * Math.sin(2 * Math.PI * r.bar / drift.period);
+
+  for (let pass = 0; pass < BACKFIT_PASSES; pass++) {
+    // ── Δ_L + Δ_C: per-channel offset and drag on a shared exponent ──
+    const t1 = rows.map(r => r.u - ratio * r.x - driftPart(r));
+    let best = null;
+    for (let a = 0.5; a <= 3.0001; a += 0.05) {
+      const fit = fitChannels(rows, t1, a);
+      if (!best || fit.sse < best.fit.sse) best = { fit, alpha: a };
+    }
+    chFit = best.fit;
+    alpha = best.alpha;
+
+    // ── Ω(v): velocity-phase ratio ──
+    const t2 = rows.map(r => r.u - channelPart(r) - driftPart(r));
+    let sxx = 0, sxy = 0;
+    rows.forEach((r, i) => { sxx += r.x * r.x; sxy += r.x * t2[i]; });
+    ratio = sxx > 1e-6 ? sxy / sxx : 0;
+
+    // ── Ψ(b): macro-drift over the best-explaining period ──
+    const t3 = rows.map(r => r.u - channelPart(r) - ratio * r.x);
+    drift = { amplitude: 0, period: 4 };
+    let bestGain = 0;
+    for (let period = 3; period <= Math.max(3, bars); period++) {
+      const amp = fitDrift(rows, t3, period);
+      let gain = 0;
+      rows.forEach((r, i) => {
+        const s = amp * Math.sin(2 * Math.PI * r.bar / period);
+        gain += t3[i] ** 2 - (t3[i] - s) ** 2;
+      });
+      if (gain > bestGain) { bestGain = gain; drift = { amplitude: amp, period }; }
+    }
+  }
+
+  // ── σ: per-channel residual spread → jitter ──
+  const resid = rows.map(r => r.u - channelPart(r) - ratio * r.x - driftPart(r));
+  const byChannel = {};
+  rows.forEach((r, i) => {
+    (byChannel[r.channel] ||= []).push(resid[i]);
+  });
+
+  // ── Write coefficients into the profile schema ──
+  const maxA = Math.max(0, ...Object.values(chFit.fits).map(f => f.a));
+  const dragOn = maxA >= MIN_DRAG_MS;
+  // Channels the performance never played get no drag, not the defaults
+  profile.drag_curve.per_channel_scaling = Object.fromEntries(
+    Object.keys(profile.drag_curve.per_channel_scaling).map(ch => [ch, 0]));
+  for (const [ch, f] of Object.entries(chFit.fits)) {
+    const scale = dragOn ? Math.max(0, f.a) / maxA : 0;
+    // Channels whose drag was clipped at 0 keep their fitted slope in the offset
+    const L = dragOn && f.a < 0 ? f.L + f.a * meanPow(rows, ch, alpha) : f.L;
+    const res = byChannel[ch];
+    const jitter = Math.sqrt(res.reduce((s, v) => s + v * v, 0) / res.length);
+    profile.channel_offsets[ch] = {
+      ...(profile.channel_offsets[ch] || { velocity_variance: 0, ghost_note_probability: 0 }),
+      timing_offset_ms: round2(L),
+      jitter_ms: round2(jitter),
+    };
+    profile.drag_curve.per_channel_scaling[ch] = round2(scale);
+  }
+  profile.drag_curve = {
+    ...profile.drag_curve,
+    enabled: dragOn,
+    drift_mode: 'power',
+    max_drag_ms: round2(dragOn ? maxA : profile.drag_curve.max_drag_ms),
+    drag_exponent: round2(alpha),
+  };
+
+  const velSpread = rows.reduce((s, r) => s + r.x * r.x, 0) / n;
+  profile.temporal_coupling = {
+    ...profile.temporal_coupling,
+    enabled: velSpread > 0.01 && Math.abs(ratio) > 0.05,
+    velocity_phase_ratio: round2(ratio),
+    direction: 'natural',
+  };
+
+  // A negative amplitude is the same sine half a period later; the
+  // kernel's sine starts at phase 0, so keep the sign in the amplitude.
+  profile.macro_drift = {
+    ...profile.macro_drift,
+    enabled: Math.abs(drift.amplitude) >= MIN_DRIFT_MS,
+    amplitude_ms: round2(drift.amplitude),
+    period_bars: drift.period,
+    waveform: 'sine',
+  };
+
+  // ── Bounds: pick the tightest feel whose limits hold the performance ──
+  const model = rows.map(r => channelPart(r) + ratio * r.x + driftPart(r));
+  const lo = model.reduce((m, v) => Math.min(m, v), Infinity);
+  const hi = model.reduce((m, v) => Math.max(m, v), -Infinity);
+  const feels = Object.entries(MAX_OFFSET_BY_FEEL)
+    .map(([feel, lim]) => ({ feel, clip: Math.max(0, lim.push - lo) + Math.max(0, hi - lim.drag), width: lim.drag - lim.push }))
+    .sort((a, b) => a.clip - b.clip || a.width - b.width);
+  profile.feel_bias = feels[0].feel;
+  const peak = rows.reduce((m, r) => Math.max(m, Math.abs(r.u)), 0);
+  profile.phrase_constraints = {
+    ...profile.phrase_constraints,
+    max_accumulated_phase_error_ms: Math.max(profile.phrase_constraints.max_accumulated_phase_error_ms, Math.ceil(peak) + 5),
+  };
+
+  const residualMs = Math.sqrt(resid.reduce((s, v) => s + v * v, 0) / n) * (90 / bpm);
+  return { profile, stats: { onsets: n, bars, residualMs } };
+}
+
+/**
+ * Onsets from a parsed MIDI file. Drum notes (channel 10) map to
+ * drum channel ids through the GM import map; melodic notes count as
+ * 'bass' on tracks named like bass, 'keys' otherwise.
+ *
+ * @param {Object} midi - Result of readMidiFile()
+ * @returns {Array<{ time: number, channel: string, velocity: number }>}
+ */
+export function onsetsFromMidi(midi) {
+  const secPerTick = 60 / ((midi.bpm || 120) * midi.ppq);
+  const onsets = [];
+  for (const track of midi.tracks) {
+    const melodic = /bass/i.test(track.name || '') ? 'bass' : 'keys';
+    for (const n of track.notes) {
+      const channel = n.channel === 9 ? GM_DRUM_IMPORT_MAP[n.note] : melodic;
+      if (!channel) continue;
+      onsets.push({ time: n.tick * secPerTick, channel, velocity: n.velocity / 127 });
+    }
+  }
+  return onsets.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Onsets from audio. Transients are detected, the first one is taken
+ * as the downbeat of bar 0, and each hit is classed by zero-crossing
+ * rate over its first 20 ms: low → kick, high → hihat, between → snare.
+ * Velocity is the hit's peak relative to the loudest hit.
+ *
+ * @param {Float32Array} data - Mono sample data
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<{ time: number, channel: string, velocity: number }>}
+ */
+export function onsetsFromAudio(data, sampleRate) {
+  const starts = detectTransients(data, sampleRate, { sensitivity: 0.7, minGapMs: 40, maxSlices: Infinity });
+  const win = Math.round(sampleRate * 0.02);
+  const all = starts.map(s => {
+    let peak = 0, zc = 0;
+    const end = Math.min(data.length, s + win);
+    for (let i = s; i < end; i++) {
+      peak = Math.max(peak, Math.abs(data[i]));
+      if (i > s && (data[i] >= 0) !== (data[i - 1] >= 0)) zc++;
+    }
+    const zcRate = zc / Math.max(1, end - s) * sampleRate / 2; // ≈ dominant frequency, Hz
+    const channel = zcRate < 250 ? 'kick' : zcRate > 3000 ? 'hihat' : 'snare';
+    return { pos: s, peak, channel };
+  });
+  const loudest = all.reduce((m, h) => Math.max(m, h.peak), 0);
+  // Position 0 is always reported; drop it when it is only the noise floor
+  const hits = all.filter(h => h.peak > loudest * 0.05);
+  if (!hits.length) return [];
+  const t0 = hits[0].pos;
+  return hits.map(h => ({ time: (h.pos - t0) / sampleRate, channel: h.channel, velocity: h.peak / loudest }));
+}
+
+function meanPow(rows, channel, alpha) {
+  const ps = rows.filter(r => r.channel === channel).map(r => Math.pow(r.p, alpha));
+  return ps.reduce((s, v) => s + v, 0) / ps.length;
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
@@ -0,0 +1,160 @@
+// ═══════════════════════════════════════════════════════════
+// Groove Extraction — Tests for fitting profiles to performances
+// ═══════════════════════════════════════════════════════════
+import { describe, it, expect } from 'vitest';
+import { extractGrooveProfile, onsetsFromMidi, onsetsFromAudio } from './grooveExtraction.js';
+import { applyGroove, createDefaultGrooveProfile, SeededRNG } from './grooveEngine.js';
+import { writeMidiFile, readMidiFile, MIDI_PPQ } from './midiFile.js';
+
+const BPM = 90;
+const STEP = 60 / BPM / 4;
+
+// A known pocket the extractor should recover
+function pocket() {
+  const gp = createDefaultGrooveProfile(BPM);
+  gp.channel_offsets.kick.timing_offset_ms = -1;
+  gp.channel_offsets.snare.timing_offset_ms = 4;
+  gp.channel_offsets.hihat.timing_offset_ms = 1;
+  gp.channel_offsets.bass.timing_offset_ms = 2;
+  gp.drag_curve = {
+    ...gp.drag_curve, enabled: true, max_drag_ms: 20, drag_exponent: 1.5,
+    per_channel_scaling: { kick: 0, snare: 1, hihat: 0.5, bass: 0.3, keys: 0 },
+  };
+  gp.temporal_coupling = { enabled: true, velocity_phase_ratio: -1, direction: 'natural' };
+  gp.macro_drift = { enabled: true, amplitude_ms: 3, period_bars: 4, waveform: 'sine' };
+  return gp;
+}
+
+const PARTS = {
+  kick: [0, 7, 8, 10],
+  snare: [4, 12],
+  hihat_closed: [0, 2, 4, 6, 8, 10, 12, 14],
+  bass: [0, 3, 6, 11, 14],
+};
+
+// Plays the parts through the groove engine for a number of bars
+function perform(gp, bars = 8) {
+  const rng = new SeededRNG(7);
+  const onsets = [];
+  for (let bar = 0; bar < bars; bar++) {
+    for (const [channel, steps] of Object.entries(PARTS)) {
+      steps.forEach((step, i) => {
+        const gridTime = (bar * 16 + step) * STEP;
+        // Kick stays near centre velocity so the push never hits the feel limit
+        const velocity = channel === 'kick' ? 0.7 + 0.1 * ((bar + i) % 2) : 0.5 + 0.1 * ((bar * 3 + i) % 5);
+        if (gridTime === 0) return; // a push at t=0 would be clamped
+        const out = applyGroove(gridTime, step, channel, gp, bar, rng, 'minor', velocity);
+        onsets.push({ time: out.time, channel, velocity });
+      });
+    }
+  }
+  return onsets.sort((a, b) => a.time - b.time);
+}
+
+describe('Groove Extraction — fitting', () => {
+  it('recovers channel offsets, drag, coupling and macro-drift', () => {
+    const { profile, stats } = extractGrooveProfile(perform(pocket()), { bpm: BPM });
+    const co = profile.channel_offsets;
+    expect(co.kick.timing_offset_ms).toBeCloseTo(-1, 0);
+    expect(co.snare.timing_offset_ms).toBeCloseTo(4, 0);
+    expect(co.hihat.timing_offset_ms).toBeCloseTo(1, 0);
+    expect(co.bass.timing_offset_ms).toBeCloseTo(2, 0);
+    expect(profile.drag_curve.enabled).toBe(true);
+    expect(profile.drag_curve.max_drag_ms).toBeCloseTo(20, 0);
+    expect(profile.drag_curve.drag_exponent).toBeCloseTo(1.5, 1);
+    expect(profile.drag_curve.per_channel_scaling.hihat).toBeCloseTo(0.5, 1);
+    expect(profile.temporal_coupling).toMatchObject({ enabled: true });
+    expect(profile.temporal_coupling.velocity_phase_ratio).toBeCloseTo(-1, 1);
+    expect(profile.macro_drift).toMatchObject({ enabled: true, period_bars: 4 });
+    expect(profile.macro_drift.amplitude_ms).toBeCloseTo(3, 0);
+    expect(profile.feel_bias).toBe('laid_back');
+    expect(stats.residualMs).toBeLessThan(0.1);
+  });
+
+  it('channels the performance never played get no drag', () => {
+    const { profile } = extractGrooveProfile(perform(pocket()), { bpm: BPM });
+    expect(createDefaultGrooveProfile(BPM).drag_curve.per_channel_scaling.keys).toBeGreaterThan(0);
+    expect(profile.drag_curve.per_channel_scaling.keys).toBe(0);
+    expect(profile.drag_curve.per_channel_scaling.snare).toBeCloseTo(1, 1);
+  });
+
+  it('fitted profile replays the performance', () => {
+    const original = perform(pocket());
+    const { profile } = extractGrooveProfile(original, { bpm: BPM });
+    const replay = perform(profile);
+    const worst = Math.max(...original.map((o, i) => Math.abs(o.time - replay[i].time)));
+    expect(worst * 1000).toBeLessThan(1);
+  });
+
+  it('leftover scatter becomes per-channel jitter', () => {
+    const gp = pocket();
+    gp.channel_offsets.hihat.jitter_ms = 3;
+    const { profile } = extractGrooveProfile(perform(gp, 16), { bpm: BPM });
+    expect(profile.channel_offsets.hihat.jitter_ms).toBeGreaterThan(2);
+    expect(profile.channel_offsets.hihat.jitter_ms).toBeLessThan(4);
+    expect(profile.channel_offsets.snare.jitter_ms).toBeLessThan(1);
+  });
+
+  it('a quantized performance leaves every coefficient off', () => {
+    const { profile } = extractGrooveProfile(perform(null), { bpm: BPM });
+    expect(profile.drag_curve.enabled).toBe(false);
+    expect(profile.macro_drift.enabled).toBe(false);
+    expect(profile.temporal_coupling.enabled).toBe(false);
+    expect(profile.channel_offsets.snare).toMatchObject({ timing_offset_ms: 0, jitter_ms: 0 });
+  });
+
+  it('measures against the swung grid when swing is given', () => {
+    const swing = 0.2;
+    // Off-beats land 3 ms after their swung positions
+    const onsets = [1, 3, 5, 7].map(k => ({ time: (k - swing) * STEP + 0.003, channel: 'hihat', velocity: 0.7 }));
+    const { profile } = extractGrooveProfile(onsets, { bpm: BPM, swing });
+    expect(profile.channel_offsets.hihat.timing_offset_ms).toBeCloseTo(3, 6);
+  });
+});
+
+describe('Groove Extraction — onset sources', () => {
+  it('reads drum and melodic onsets from MIDI', () => {
+    const q = MIDI_PPQ;
+    const bytes = writeMidiFile({ bpm: 120, tracks: [
+      { name: 'Drums', channel: 9, notes: [
+        { tick: 0, duration: 10, note: 36, velocity: 127 },
+        { tick: q, duration: 10, note: 38, velocity: 64 },
+        { tick: q, duration: 10, note: 81, velocity: 64 }, // unmapped
+      ] },
+      { name: 'Bass', channel: 0, notes: [{ tick: q / 2, duration: 10, note: 36, velocity: 100 }] },
+      { name: 'Rhodes', channel: 1, notes: [{ tick: 2 * q, duration: 10, note: 60, velocity: 100 }] },
+    ] });
+    const onsets = onsetsFromMidi(readMidiFile(bytes));
+    expect(onsets.map(o => [o.time, o.channel])).toEqual([
+      [0, 'kick'], [0.25, 'bass'], [0.5, 'snare'], [1, 'keys'],
+    ]);
+    expect(onsets[0].velocity).toBe(1);
+  });
+
+  it('detects and classifies hits in audio', () => {
+    const SR = 48000;
+    const data = new Float32Array(SR * 2);
+    const hit = (t, freq, amp) => {
+      const s = Math.round(t * SR);
+      for (let i = 0; i < SR * 0.1; i++) data[s + i] += amp * Math.sin(2 * Math.PI * freq * i / SR) * Math.exp(-i / (SR * 0.02));
+    };
+    hit(0.1, 60, 0.9);
+    hit(0.6, 1200, 0.5);
+    hit(1.1, 8000, 0.3);
+    const onsets = onsetsFromAudio(data, SR);
+    expect(onsets.map(o => o.channel)).toEqual(['kick', 'snare', 'hihat']);
+    expect(onsets[0]).toMatchObject({ time: 0, velocity: 1 });
+    expect(onsets[1].time).toBeCloseTo(0.5, 2);
+    expect(onsets[2].velocity).toBeLessThan(onsets[1].velocity);
+  });
+
+  it('handles more hits than a function call takes arguments', () => {
+    // 1 kHz keeps the buffer small: one click every 50 ms, 200k of them
+    const SR = 1000, HITS = 200000;
+    const data = new Float32Array(HITS * 50);
+    for (let h = 0; h < HITS; h++) data[h * 50 + 10] = 0.5 + 0.4 * (h % 2);
+    const onsets = onsetsFromAudio(data, SR);
+    expect(onsets.length).toBe(HITS);
+    expect(onsets[1].velocity).toBe(1);
+  });
+});
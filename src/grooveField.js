@@ -79,6 +79,141 @@ export function velocityPhaseCoupling(velocity, ratio, direction) {
   return sign * deviation * ratio * 10;
 }
 
+/**
+ * Computes linear drift — drag grows evenly across the bar.
+ *
+ * Math: Δ(n) = D_max · (n / N)
+ *
+ * @param {number} step - Current step index (0–15)
+ * @param {number} stepsPerBar - Total steps (typically 16)
+ * @param {number} maxDragMs - Maximum drag at end of bar
+ * @param {number} channelScale - Per-channel multiplier
+ * @param {number} bpmScale - BPM scaling factor
+ * @returns {number} Displacement in ms
+ */
+export function computeLinearDrift(step, stepsPerBar, maxDragMs, channelScale, bpmScale) {
+  if (stepsPerBar <= 0) return 0;
+  const p = step / stepsPerBar;
+  return maxDragMs * bpmScale * p * channelScale;
+}
+
+/**
+ * Computes normalized exponential drift — drag stays near grid early
+ * in the bar and piles up at the end. Mirror image of log drift.
+ *
+ * Math: Δ(n) = D_max · (e^(k·p) − 1) / (e^k − 1),  p = n / N
+ * Always returns 0 at step 0, maxDragMs at the bar end.
+ *
+ * @param {number} step - Current step index (0–15)
+ * @param {number} stepsPerBar - Total steps (typically 16)
+ * @param {number} maxDragMs - Maximum drag at end of bar
+ * @param {number} k - Curvature (higher = more back-loaded)
+ * @param {number} channelScale - Per-channel multiplier
+ * @param {number} bpmScale - BPM scaling factor
+ * @returns {number} Displacement in ms
+ */
+export function computeExponentialDrift(step, stepsPerBar, maxDragMs, k, channelScale, bpmScale) {
+  if (stepsPerBar <= 0) return 0;
+  if (k <= 0) return computeLinearDrift(step, stepsPerBar, maxDragMs, channelScale, bpmScale);
+  const p = step / stepsPerBar;
+  return maxDragMs * bpmScale * (Math.expm1(k * p) / Math.expm1(k)) * channelScale;
+}
+
+/**
+ * Computes normalized sigmoid (S-curve) drift — tight on the first
+ * beats, swings late through the middle of the bar, settles at the end.
+ *
+ * Math: Δ(n) = D_max · (σ(k·(p − ½)) − σ(−k/2)) / (σ(k/2) − σ(−k/2))
+ * Always returns 0 at step 0, maxDragMs at the bar end.
+ *
+ * @param {number} step - Current step index (0–15)
+ * @param {number} stepsPerBar - Total steps (typically 16)
+ * @param {number} maxDragMs - Maximum drag at end of bar
+ * @param {number} k - Steepness (higher = sharper middle transition)
+ * @param {number} channelScale - Per-channel multiplier
+ * @param {number} bpmScale - BPM scaling factor
+ * @returns {number} Displacement in ms
+ */
+export function computeSigmoidDrift(step, stepsPerBar, maxDragMs, k, channelScale, bpmScale) {
+  if (stepsPerBar <= 0) return 0;
+  if (k <= 0) return computeLinearDrift(step, stepsPerBar, maxDragMs, channelScale, bpmScale);
+  const p = step / stepsPerBar;
+  const sig = (x) => 1 / (1 + Math.exp(-x));
+  const lo = sig(-k / 2);
+  const hi = sig(k / 2);
+  return maxDragMs * bpmScale * ((sig(k * (p - 0.5)) - lo) / (hi - lo)) * channelScale;
+}
+
+/**
+ * Computes drag from a drawn curve — one displacement per point,
+ * spread evenly across the bar and linearly interpolated between
+ * points (held at the last point to the bar end). A 16-point curve on
+ * a 16-step bar reads each point directly. Points may be negative
+ * (push) as well as positive (drag).
+ *
+ * BOUNDED: each point is clamped to ±maxDragMs before interpolation.
+ *
+ * @param {number} step - Current step index (0–15)
+ * @param {number} stepsPerBar - Total steps (typically 16)
+ * @param {number[]} points - Drawn displacement per point (ms)
+ * @param {number} maxDragMs - Bound on any point's magnitude
+ * @param {number} bpmScale - BPM scaling factor
+ * @returns {number} Displacement in ms
+ */
+export function computeCustomDrift(step, stepsPerBar, points, maxDragMs, bpmScale) {
+  if (stepsPerBar <= 0 || !points?.length) return 0;
+  const at = (i) => Math.max(-maxDragMs, Math.min(maxDragMs, points[Math.min(i, points.length - 1)] || 0));
+  const x = (step / stepsPerBar) * points.length;
+  const i = Math.floor(x);
+  const frac = x - i;
+  const v = i + 1 < points.length ? at(i) + (at(i + 1) - at(i)) * frac : at(i);
+  return v * bpmScale;
+}
+
+// ── Drift basis table ──
+// drift_mode → drag at step n (unscaled ms, bpmScale = 1).
+// `tension` is the tension-state exponent multiplier; it sharpens each
+// mode's own curvature parameter (log and linear have none to sharpen).
+export const DRIFT_BASIS = {
+  power:       (n, N, maxMs, dc, tension, scale) => computeDragCurve(n, N, maxMs, (dc.drag_exponent || 1.25) * tension, scale, 1),
+  log:         (n, N, maxMs, dc, tension, scale) => computeLogDrift(n, N, maxMs, dc.log_k || 4, scale, 1),
+  linear:      (n, N, maxMs, dc, tension, scale) => computeLinearDrift(n, N, maxMs, scale, 1),
+  exponential: (n, N, maxMs, dc, tension, scale) => computeExponentialDrift(n, N, maxMs, (dc.exp_k ?? 3) * tension, scale, 1),
+  sigmoid:     (n, N, maxMs, dc, tension, scale) => computeSigmoidDrift(n, N, maxMs, (dc.sigmoid_k ?? 8) * tension, scale, 1),
+};
+
+// ── Snap-back shapes ──
+// Weight w(x) on the carried drag, x = steps into the bar / snap_steps ∈ [0, 1).
+//   hard    — w = 0: drag drops to grid on the downbeat
+//   soft    — w = 1 − x: linear glide back to grid
+//   elastic — w = (1 − x)·cos(1.5πx): crosses the grid, overshoots early
+//             by up to ~40% of the carry, settles at snap_steps
+export const SNAP_SHAPES = {
+  hard: () => 0,
+  soft: (x) => 1 - x,
+  elastic: (x) => (1 - x) * Math.cos(1.5 * Math.PI * x),
+};
+
+/**
+ * Computes the drag carried over from the end of the previous bar.
+ * Without it the drag curve jumps from its maximum back to 0 on every
+ * downbeat; soft and elastic snap modes return it to grid over the
+ * first snap_steps steps instead.
+ *
+ * BOUNDED: |output| ≤ |carryMs|, and 0 from step snapSteps onward.
+ *
+ * @param {number} step - Step within the bar
+ * @param {number} carryMs - Drag at the last step of the previous bar
+ * @param {string} snapMode - 'hard' | 'soft' | 'elastic'
+ * @param {number} snapSteps - Steps taken to return to grid
+ * @returns {number} Displacement in ms to add to this step's curvature
+ */
+export function computeSnapBack(step, carryMs, snapMode, snapSteps) {
+  const shape = SNAP_SHAPES[snapMode] || SNAP_SHAPES.hard;
+  if (!carryMs || !(snapSteps > 0) || step >= snapSteps) return 0;
+  return carryMs * shape(step / snapSteps);
+}
+
 /**
  * Computes inter-bar macro-drift — the slow breathing oscillation
  * of a live performer's timing across a phrase.
@@ -103,6 +238,84 @@ export function computeMacroDrift(barIndex, macroDrift, bpmScale) {
   return amplitude * Math.sin(phase);
 }
 
+/**
+ * Locates a step within its phrase and weighs how much of the previous
+ * phrase's accumulated displacement it still carries.
+ *
+ * Every term that accumulates across bars (phrase drift Φ, macro-drift
+ * Ψ) runs on `bar` and adds `carry` × (its value at the last step of
+ * the previous phrase − its value at the phrase start). That restarts
+ * each phrase from the same state while keeping the boundary
+ * continuous when reset_mode is soft:
+ *   hard — carry is 0: displacement returns to the phrase start state
+ *          on the downbeat
+ *   soft — carry eases 1 → 0 over snap_back_attack_ms (half-cosine)
+ *
+ * Elapsed time since the boundary follows the swung grid, so the
+ * window closes when the ear hears it close.
+ *
+ * @param {number} barIndex - Current bar number
+ * @param {number} stepInBar - Step within the bar
+ * @param {number} stepsPerBar - Steps per bar
+ * @param {Object} [phraseConstraints] - phrase_constraints config; absent = one endless phrase
+ * @param {number} msPerStep - Unswung duration of one step
+ * @param {number} [swing=0] - Transport swing (0.0–0.5)
+ * @returns {{ bar: number, length: number, carry: number }} Bar within the phrase, phrase length, carry weight
+ */
+export function phrasePosition(barIndex, stepInBar, stepsPerBar, phraseConstraints, msPerStep, swing = 0) {
+  if (!phraseConstraints) return { bar: barIndex, length: Infinity, carry: 0 };
+  const length = Math.max(1, phraseConstraints.phrase_length_bars || 8);
+  const bar = barIndex % length;
+  let carry = 0;
+
+  if (phraseConstraints.reset_mode === 'soft' && barIndex >= length) {
+    const attackMs = phraseConstraints.snap_back_attack_ms || 0;
+    // Even steps are (1 − swing) long, odd steps (1 + swing)
+    const swungMs = (steps) => msPerStep * (steps - (steps % 2) * swing);
+    const sinceBoundaryMs = bar * swungMs(stepsPerBar) + swungMs(stepInBar);
+    if (sinceBoundaryMs < attackMs) carry = 0.5 * (1 + Math.cos(Math.PI * sinceBoundaryMs / attackMs));
+  }
+
+  return { bar, length, carry };
+}
+
+/**
+ * Computes accumulated phrase drift — displacement that builds up
+ * steadily through a phrase and is released at the phrase boundary.
+ *
+ * Within a phrase: Φ = rate · (bars + steps/N) since the phrase began,
+ * bounded by ±max_accumulated_phase_error_ms. At the boundary the
+ * value from the previous phrase's last step is released as
+ * phrasePosition() describes.
+ *
+ * Coefficient-gated: drift_per_bar_ms = 0 → no phrase drift.
+ * RESETTABLE: every phrase starts from the same state.
+ *
+ * @param {number} barIndex - Current bar number
+ * @param {number} stepInBar - Step within the bar
+ * @param {number} stepsPerBar - Steps per bar
+ * @param {Object} phraseConstraints - phrase_constraints config from groove profile
+ * @param {number} msPerStep - Unswung duration of one step (for the snap-back window)
+ * @param {number} bpmScale - BPM scaling factor
+ * @param {number} [swing=0] - Transport swing (0.0–0.5)
+ * @returns {number} Offset in ms
+ */
+export function computePhraseDrift(barIndex, stepInBar, stepsPerBar, phraseConstraints, msPerStep, bpmScale, swing = 0) {
+  const rate = phraseConstraints?.drift_per_bar_ms || 0;
+  if (!rate || stepsPerBar <= 0) return 0;
+  const limit = phraseConstraints.max_accumulated_phase_error_ms || Infinity;
+  const bound = (x) => Math.max(-limit, Math.min(limit, x));
+
+  const phrase = phrasePosition(barIndex, stepInBar, stepsPerBar, phraseConstraints, msPerStep, swing);
+  let drift = bound(rate * (phrase.bar + stepInBar / stepsPerBar));
+  if (phrase.carry) {
+    const last = bound(rate * (phrase.length - 1 / stepsPerBar));
+    drift += last * phrase.carry;
+  }
+
+  return drift * bpmScale;
+}
+
 /**
  * Applies harmonic gravity multiplier.
  * Minor keys and Phrygian modes are perceived as "heavier" —
@@ -120,9 +333,36 @@ export function applyHarmonicGravity(offsetMs, harmonicGravity, scaleMode) {
   return offsetMs * gravity;
 }
 
+// ── Tension reset modes ──
+// Each maps (barIndex, temporal_state, songPosition) → τ before the
+// [0, 1] bound. songPosition comes from the arrangement; without it
+// the song counts as a single section with no crashes.
+//
+//   every_n_bars   — τ builds by δ per bar, resets every reset_period_bars
+//   section_change — τ builds from the first bar of each arrangement section
+//   crash          — τ builds from the last bar with a crash hit
+//   triangle       — τ ramps up by δ per bar for half the period, then back down
+//   manual         — τ read from tension_automation (one value per bar,
+//                    last value held)
+export const TENSION_RESET_MODES = {
+  every_n_bars: (barIndex, ts) => (barIndex % (ts.reset_period_bars || 8)) * (ts.tension_increment || 0.1),
+  section_change: (barIndex, ts, pos) => (pos?.barsSinceSection ?? barIndex) * (ts.tension_increment || 0.1),
+  crash: (barIndex, ts, pos) => (pos?.barsSinceCrash ?? barIndex) * (ts.tension_increment || 0.1),
+  triangle: (barIndex, ts) => {
+    const period = ts.reset_period_bars || 8;
+    const half = period / 2;
+    return (half - Math.abs((barIndex % period) - half)) * (ts.tension_increment || 0.1);
+  },
+  manual: (barIndex, ts) => {
+    const curve = ts.tension_automation || [];
+    return curve.length ? curve[Math.min(barIndex, curve.length - 1)] : 0;
+  },
+};
+
 /**
- * Computes tension state for a given bar in a phrase.
- * τ accumulates per bar and resets at phrase boundaries.
+ * Computes tension state for a given bar.
+ * τ accumulates per bar and resets according to reset_mode
+ * (see TENSION_RESET_MODES).
  *
  * τ ∈ [0, 1] — HARD BOUNDED. τ can NEVER exceed 1.0.
  * τ(b+1) = min(1, τ(b) + δ)
@@ -133,27 +373,19 @@ export function applyHarmonicGravity(offsetMs, harmonicGravity, scaleMode) {
  *
  * @param {number} barIndex - Current bar index
  * @param {Object} temporalState - temporal_state config
+ * @param {{ barsSinceSection: number, barsSinceCrash: number }} [songPosition] - From songPositionForBar()
  * @returns {{ tension: number, exponentMultiplier: number }}
  */
-export function computeTensionState(barIndex, temporalState) {
+export function computeTensionState(barIndex, temporalState, songPosition) {
   if (!temporalState?.enabled) {
     return { tension: 0, exponentMultiplier: 1.0 };
   }
 
-  const delta = temporalState.tension_increment || 0.1;
   const kappa = temporalState.elasticity_amplification || 0.3;
-  const resetPeriod = temporalState.reset_period_bars || 8;
-  const resetMode = temporalState.reset_mode || 'every_n_bars';
-
-  let barInPhrase;
-  if (resetMode === 'every_n_bars') {
-    barInPhrase = barIndex % resetPeriod;
-  } else {
-    barInPhrase = barIndex % resetPeriod;
-  }
+  const mode = TENSION_RESET_MODES[temporalState.reset_mode] || TENSION_RESET_MODES.every_n_bars;
 
-  // τ accumulates linearly per bar within the phrase, capped at 1.0
-  const tension = Math.min(1.0, barInPhrase * delta);
+  // τ capped to [0, 1] whatever the mode produces
+  const tension = Math.max(0, Math.min(1.0, mode(barIndex, temporalState, songPosition) || 0));
   const exponentMultiplier = 1.0 + tension * kappa;
 
   return { tension, exponentMultiplier };
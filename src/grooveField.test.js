@@ -0,0 +1,420 @@
+// ═══════════════════════════════════════════════════════════
+// Groove Field — Tests for drift basis, drawn curves, phrase drift, tension reset & snap-back
+// ═══════════════════════════════════════════════════════════
+import { describe, it, expect } from 'vitest';
+import {
+  computePhraseDrift,
+  phrasePosition,
+  computeTensionState,
+  TENSION_RESET_MODES,
+  computeSnapBack,
+  computeDragCurve,
+  computeLogDrift,
+  computeLinearDrift,
+  computeExponentialDrift,
+  computeSigmoidDrift,
+  computeCustomDrift,
+  DRIFT_BASIS,
+} from './grooveField.js';
+import { createDefaultGrooveProfile, assembleGrooveContext } from './grooveEngine.js';
+import { collectTimelineEvents } from './sequencer.js';
+import { createArrangement } from './arrangement.js';
+import { MIXER, mkSteps, mkDrum } from './testFixtures.js';
+
+const MS_PER_STEP = 60000 / 90 / 4;
+const phrase = (overrides = {}) => ({
+  phrase_length_bars: 4,
+  reset_mode: 'hard',
+  max_accumulated_phase_error_ms: 50,
+  snap_back_attack_ms: 200,
+  drift_per_bar_ms: 2,
+  ...overrides,
+});
+const drift = (bar, step, pc) => computePhraseDrift(bar, step, 16, pc, MS_PER_STEP, 1);
+
+describe('Groove Field — drift basis functions', () => {
+  const N = 16;
+  const bases = {
+    power: (n, max = 20, scale = 1, bpm = 1) => computeDragCurve(n, N, max, 1.5, scale, bpm),
+    log: (n, max = 20, scale = 1, bpm = 1) => computeLogDrift(n, N, max, 4, scale, bpm),
+    linear: (n, max = 20, scale = 1, bpm = 1) => computeLinearDrift(n, N, max, scale, bpm),
+    exponential: (n, max = 20, scale = 1, bpm = 1) => computeExponentialDrift(n, N, max, 3, scale, bpm),
+    sigmoid: (n, max = 20, scale = 1, bpm = 1) => computeSigmoidDrift(n, N, max, 8, scale, bpm),
+  };
+
+  for (const [name, f] of Object.entries(bases)) {
+    it(`${name}: 0 at step 0, D_max at the bar end`, () => {
+      expect(f(0)).toBeCloseTo(0, 12);
+      expect(f(N)).toBeCloseTo(20, 9);
+    });
+
+    it(`${name}: bounded in [0, D_max·scale·β] and non-decreasing`, () => {
+      let prev = -Infinity;
+      for (let n = 0; n < N; n++) {
+        const v = f(n, 20, 0.5, 0.75);
+        expect(v).toBeGreaterThanOrEqual(0);
+        expect(v).toBeLessThanOrEqual(20 * 0.5 * 0.75 + 1e-12);
+        expect(v).toBeGreaterThanOrEqual(prev);
+        prev = v;
+      }
+    });
+
+    it(`${name}: scales linearly with channel scale and β`, () => {
+      expect(f(10, 20, 0.5, 0.5)).toBeCloseTo(f(10) * 0.25, 12);
+      expect(f(10, 20, 0, 1)).toBe(0);
+    });
+  }
+
+  it('shapes differ at mid-bar: exponential < linear < log, sigmoid at half', () => {
+    expect(bases.linear(8)).toBe(10);
+    expect(bases.exponential(8)).toBeLessThan(bases.linear(8));
+    expect(bases.log(8)).toBeGreaterThan(bases.linear(8));
+    expect(bases.sigmoid(8)).toBeCloseTo(10, 9);
+    // S-curve: below linear early, above it late
+    expect(bases.sigmoid(4)).toBeLessThan(bases.linear(4));
+    expect(bases.sigmoid(12)).toBeGreaterThan(bases.linear(12));
+  });
+
+  it('degenerate curvature falls back to linear', () => {
+    expect(computeExponentialDrift(5, N, 20, 0, 1, 1)).toBe(computeLinearDrift(5, N, 20, 1, 1));
+    expect(computeSigmoidDrift(5, N, 20, 0, 1, 1)).toBe(computeLinearDrift(5, N, 20, 1, 1));
+  });
+
+  it('drift_mode selects the basis in the groove context', () => {
+    const ctx = (drift_mode) => {
+      const gp = createDefaultGrooveProfile(90);
+      gp.drag_curve = { ...gp.drag_curve, enabled: true, drift_mode, max_drag_ms: 20, drag_exponent: 1.5, per_channel_scaling: { snare: 1 } };
+      return assembleGrooveContext(4, 'snare', gp, 0, null, 'minor', 0.8).curvature;
+    };
+    expect(ctx('linear')).toBeCloseTo(5, 12);
+    expect(ctx('power')).toBeCloseTo(bases.power(4), 12);
+    expect(ctx('exponential')).toBeCloseTo(bases.exponential(4), 12);
+    expect(ctx('sigmoid')).toBeCloseTo(bases.sigmoid(4), 12);
+    expect(ctx('mystery')).toBe(ctx('power'));
+    expect(Object.keys(DRIFT_BASIS)).toEqual(['power', 'log', 'linear', 'exponential', 'sigmoid']);
+  });
+
+  it('tension sharpens curvature parameters but leaves linear alone', () => {
+    const dc = { drag_exponent: 1.5, exp_k: 3, sigmoid_k: 8 };
+    expect(DRIFT_BASIS.linear(4, N, 20, dc, 1.3, 1)).toBe(DRIFT_BASIS.linear(4, N, 20, dc, 1, 1));
+    expect(DRIFT_BASIS.power(4, N, 20, dc, 1.3, 1)).toBeLessThan(DRIFT_BASIS.power(4, N, 20, dc, 1, 1));
+    expect(DRIFT_BASIS.exponential(4, N, 20, dc, 1.3, 1)).toBeLessThan(DRIFT_BASIS.exponential(4, N, 20, dc, 1, 1));
+  });
+});
+
+describe('Groove Field — drawn drag curves', () => {
+  // Push the "and" of 3 (step 10), lay back on 4 (step 12)
+  const points = [0, 0, 0, 0, 2, 2, 2, 2, 0, 0, -6, 0, 8, 8, 4, 0];
+
+  it('a 16-point curve on 16 steps reads each point directly', () => {
+    expect(Array.from({ length: 16 }, (_, n) => computeCustomDrift(n, 16, points, 25, 1))).toEqual(points);
+  });
+
+  it('interpolates between points on finer grids', () => {
+    expect(computeCustomDrift(21, 32, points, 25, 1)).toBe(-3);   // halfway from -6 to 0
+    expect(computeCustomDrift(31, 32, points, 25, 1)).toBe(0);    // held at the last point
+    expect(computeCustomDrift(2, 16, [0, 8], 25, 1)).toBe(2);     // two points spread over the bar
+  });
+
+  it('clamps points to ±max_drag_ms and scales by β', () => {
+    expect(computeCustomDrift(0, 16, [40], 25, 1)).toBe(25);
+    expect(computeCustomDrift(0, 16, [-40], 25, 1)).toBe(-25);
+    expect(computeCustomDrift(12, 16, points, 25, 0.5)).toBe(4);
+  });
+
+  it('no points means no displacement', () => {
+    expect(computeCustomDrift(4, 16, [], 25, 1)).toBe(0);
+    expect(computeCustomDrift(4, 16, undefined, 25, 1)).toBe(0);
+  });
+
+  it('a channel with a drawn curve ignores the analytic basis; others keep it', () => {
+    const gp = createDefaultGrooveProfile(90);
+    gp.drag_curve = {
+      ...gp.drag_curve, enabled: true, drift_mode: 'linear', max_drag_ms: 20,
+      per_channel_scaling: { snare: 1, hihat: 1 }, custom_points: { snare: points },
+    };
+    const curvature = (ch, step) => assembleGrooveContext(step, ch, gp, 0, null, 'minor', 0.8).curvature;
+    expect(curvature('snare', 10)).toBe(-6);
+    expect(curvature('clap', 12)).toBe(8);
+    expect(curvature('hihat_closed', 8)).toBe(10);
+  });
+
+  it('drawn curves snap back from their own last step', () => {
+    const gp = createDefaultGrooveProfile(90);
+    gp.drag_curve = {
+      ...gp.drag_curve, enabled: true, snap_mode: 'soft', snap_steps: 2, max_drag_ms: 20,
+      custom_points: { snare: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 10] },
+    };
+    const curvature = (bar, step) => assembleGrooveContext(step, 'snare', gp, bar, null, 'minor', 0.8).curvature;
+    expect([curvature(1, 0), curvature(1, 1), curvature(1, 2)]).toEqual([10, 5, 0]);
+  });
+
+  it('carries the drag the previous bar played under its own tension', () => {
+    const gp = createDefaultGrooveProfile(90);
+    gp.drag_curve = { ...gp.drag_curve, enabled: true, drift_mode: 'power', max_drag_ms: 20, drag_exponent: 0.7, snap_mode: 'soft', snap_steps: 4 };
+    gp.temporal_state = { ...gp.temporal_state, enabled: true, reset_mode: 'every_n_bars', reset_period_bars: 8, tension_increment: 0.5, elasticity_amplification: 1 };
+    const hard = { ...gp, drag_curve: { ...gp.drag_curve, snap_mode: 'hard' } };
+    const curvature = (profile, bar, step) => assembleGrooveContext(step, 'snare', profile, bar, null, 'minor', 0.8).curvature;
+    const carry = curvature(gp, 1, 0) - curvature(hard, 1, 0);
+    expect(carry).toBeCloseTo(curvature(gp, 0, 15), 9);
+    expect(carry).not.toBeCloseTo(curvature(hard, 1, 15), 3);
+  });
+});
+
+describe('Groove Field — phrase drift', () => {
+  it('accumulates steadily through the phrase', () => {
+    const pc = phrase();
+    expect(drift(0, 0, pc)).toBe(0);
+    expect(drift(0, 8, pc)).toBe(1);
+    expect(drift(1, 0, pc)).toBe(2);
+    expect(drift(3, 12, pc)).toBe(7.5);
+  });
+
+  it('is off when drift_per_bar_ms is 0 or missing', () => {
+    expect(drift(3, 12, phrase({ drift_per_bar_ms: 0 }))).toBe(0);
+    expect(drift(3, 12, createDefaultGrooveProfile(90).phrase_constraints)).toBe(0);
+    expect(drift(3, 12, undefined)).toBe(0);
+  });
+
+  it('is bounded by max_accumulated_phase_error_ms', () => {
+    const pc = phrase({ drift_per_bar_ms: -10, max_accumulated_phase_error_ms: 15 });
+    expect(drift(1, 0, pc)).toBe(-10);
+    expect(drift(3, 0, pc)).toBe(-15);
+  });
+
+  it('hard reset returns to zero on the phrase downbeat', () => {
+    const pc = phrase();
+    expect(drift(4, 0, pc)).toBe(0);
+    expect(drift(8, 0, pc)).toBe(0);
+    expect(drift(5, 8, pc)).toBe(drift(1, 8, pc));
+  });
+
+  it('soft reset eases the carried drift out over snap_back_attack_ms', () => {
+    const pc = phrase({ reset_mode: 'soft' });
+    // Downbeat of phrase 2 picks up exactly where phrase 1's last step was
+    expect(drift(4, 0, pc)).toBeCloseTo(drift(3, 15, pc), 9);
+    expect(drift(4, 0, pc)).toBeCloseTo(7.875, 9);
+    // Halfway through the 200 ms attack: half carried plus own build-up
+    const halfway = 100 / MS_PER_STEP;
+    expect(computePhraseDrift(4, halfway, 16, pc, MS_PER_STEP, 1)).toBeCloseTo(7.875 / 2 + 2 * halfway / 16, 9);
+    // Past the attack window it matches a hard reset
+    expect(drift(4, 2, pc)).toBe(drift(4, 2, phrase()));
+    // The first phrase has nothing to release
+    expect(drift(0, 0, pc)).toBe(0);
+  });
+
+  it('soft reset eases monotonically toward the new phrase', () => {
+    const pc = phrase({ reset_mode: 'soft', snap_back_attack_ms: 600 });
+    const curve = Array.from({ length: 8 }, (_, s) => drift(4, s, pc) - drift(4, s, phrase()));
+    for (let i = 1; i < curve.length; i++) expect(curve[i]).toBeLessThanOrEqual(curve[i - 1]);
+    expect(curve[curve.length - 1]).toBe(0);
+  });
+
+  it('times the soft window on the swung grid', () => {
+    const pc = phrase({ reset_mode: 'soft' });
+    const carry = (step, swing) => phrasePosition(4, step, 16, pc, MS_PER_STEP, swing).carry;
+    const ease = (ms) => 0.5 * (1 + Math.cos(Math.PI * ms / 200));
+    // Step 1 follows the short first step of the swung pair
+    expect(carry(1, 0.3)).toBeCloseTo(ease(0.7 * MS_PER_STEP), 9);
+    expect(carry(1, 0.3)).toBeGreaterThan(carry(1, 0));
+    // Pairs keep their length, so even steps land where they would unswung
+    expect(carry(2, 0.3)).toBeCloseTo(carry(2, 0), 9);
+  });
+
+  it('restarts macro-drift every phrase', () => {
+    const macro = (reset_mode, bar, step = 0) => {
+      const gp = createDefaultGrooveProfile(90);
+      gp.macro_drift = { enabled: true, amplitude_ms: 15, period_bars: 6, waveform: 'triangle' };
+      gp.phrase_constraints = phrase({ reset_mode, drift_per_bar_ms: 0 });
+      return assembleGrooveContext(step, 'kick', gp, bar, null, 'minor', 0.8).macroDrift;
+    };
+    expect(macro('hard', 4)).toBe(macro('hard', 0));
+    expect(macro('hard', 9)).toBe(macro('hard', 1));
+    // Soft: the downbeat continues from the last bar, then settles into the phrase
+    expect(macro('soft', 4, 0)).toBeCloseTo(macro('soft', 3, 15), 9);
+    expect(macro('soft', 4, 8)).toBe(macro('hard', 4, 8));
+  });
+
+  it('applies bpmScale once', () => {
+    expect(computePhraseDrift(2, 0, 16, phrase(), MS_PER_STEP, 0.5)).toBe(2);
+  });
+});
+
+describe('Groove Field — phrase drift across a multi-bar render', () => {
+  const drums = [mkDrum('kick', [0, 4, 8, 12])];
+  const transport = { bpm: 90, swing: 0, scale: 'minor', steps_per_pattern: 16 };
+  const arrangement = createArrangement(drums, []);
+
+  function render(phraseConstraints, bars = 12) {
+    const gp = createDefaultGrooveProfile(90);
+    gp.phrase_constraints = phraseConstraints;
+    const { events } = collectTimelineEvents({ arrangement, drums, instruments: [], transport, grooveProfile: gp, bars });
+    const sec = 60 / 90 / 4;
+    // Downbeat offsets in ms, one per bar
+    return events.filter((_, i) => i % 4 === 0).map((e, bar) => (e.time - bar * 16 * sec) * 1000);
+  }
+
+  it('downbeats drift later each bar and snap back every phrase (hard)', () => {
+    const offs = render(phrase());
+    const expected = [0, 2, 4, 6, 0, 2, 4, 6, 0, 2, 4, 6];
+    offs.forEach((o, i) => expect(o).toBeCloseTo(expected[i], 6));
+  });
+
+  it('soft reset carries each phrase end into the next downbeat', () => {
+    const offs = render(phrase({ reset_mode: 'soft' }));
+    const expected = [0, 2, 4, 6, 7.875, 2, 4, 6, 7.875, 2, 4, 6];
+    offs.forEach((o, i) => expect(o).toBeCloseTo(expected[i], 6));
+  });
+
+  it('every phrase renders identically after the first (RESETTABLE)', () => {
+    const offs = render(phrase({ reset_mode: 'soft', drift_per_bar_ms: 3 }), 16);
+    expect(offs.slice(8, 12).map(o => o.toFixed(6))).toEqual(offs.slice(4, 8).map(o => o.toFixed(6)));
+    expect(offs.slice(12, 16).map(o => o.toFixed(6))).toEqual(offs.slice(4, 8).map(o => o.toFixed(6)));
+  });
+});
+
+describe('Groove Field — tension reset modes', () => {
+  const ts = (overrides) => ({
+    enabled: true, tension_increment: 0.25, elasticity_amplification: 0.4,
+    reset_mode: 'every_n_bars', reset_period_bars: 4, ...overrides,
+  });
+  const tau = (state, bars, positions = []) => bars.map((b, i) => computeTensionState(b, state, positions[i]).tension);
+
+  it('every_n_bars builds by δ per bar and resets on the period', () => {
+    expect(tau(ts(), [0, 1, 2, 3, 4, 5])).toEqual([0, 0.25, 0.5, 0.75, 0, 0.25]);
+  });
+
+  it('section_change builds from each section start', () => {
+    const positions = [0, 1, 2, 0, 1, 5].map(n => ({ barsSinceSection: n, barsSinceCrash: 0 }));
+    expect(tau(ts({ reset_mode: 'section_change' }), [0, 1, 2, 3, 4, 5], positions)).toEqual([0, 0.25, 0.5, 0, 0.25, 1]);
+  });
+
+  it('crash builds from the last crash bar', () => {
+    const positions = [0, 1, 0, 1, 2].map(n => ({ barsSinceSection: 9, barsSinceCrash: n }));
+    expect(tau(ts({ reset_mode: 'crash' }), [0, 1, 2, 3, 4], positions)).toEqual([0, 0.25, 0, 0.25, 0.5]);
+  });
+
+  it('section and crash modes count from bar 0 without a song position', () => {
+    expect(tau(ts({ reset_mode: 'section_change' }), [2])).toEqual([0.5]);
+    expect(tau(ts({ reset_mode: 'crash' }), [9])).toEqual([1]);
+  });
+
+  it('triangle ramps up then back down over the period', () => {
+    expect(tau(ts({ reset_mode: 'triangle', reset_period_bars: 8 }), [0, 1, 2, 3, 4, 5, 6, 7, 8]))
+      .toEqual([0, 0.25, 0.5, 0.75, 1, 0.75, 0.5, 0.25, 0]);
+  });
+
+  it('manual follows the automation curve and holds its last value', () => {
+    const state = ts({ reset_mode: 'manual', tension_automation: [0, 0.5, 1, 0.2] });
+    expect(tau(state, [0, 1, 2, 3, 10])).toEqual([0, 0.5, 1, 0.2, 0.2]);
+    expect(tau(ts({ reset_mode: 'manual' }), [3])).toEqual([0]);
+  });
+
+  it('τ stays in [0, 1] and drives the exponent multiplier', () => {
+    const wild = ts({ reset_mode: 'manual', tension_automation: [-2, 7] });
+    expect(tau(wild, [0, 1])).toEqual([0, 1]);
+    expect(computeTensionState(1, wild).exponentMultiplier).toBeCloseTo(1.4, 9);
+    expect(computeTensionState(3, { ...wild, enabled: false })).toEqual({ tension: 0, exponentMultiplier: 1 });
+  });
+
+  it('unknown modes fall back to every_n_bars', () => {
+    expect(tau(ts({ reset_mode: 'bogus' }), [5])).toEqual(tau(ts(), [5]));
+    expect(Object.keys(TENSION_RESET_MODES)).toEqual(['every_n_bars', 'section_change', 'crash', 'triangle', 'manual']);
+  });
+});
+
+describe('Groove Field — tension follows the arrangement in a render', () => {
+  const drums = [mkDrum('snare', [12])];
+  const transport = { bpm: 90, swing: 0, scale: 'minor', steps_per_pattern: 16 };
+
+  it('section_change restarts drag growth when the chain moves to a new pattern', () => {
+    const content = { drums: { snare: mkSteps([12]) }, instruments: {} };
+    const arrangement = { pattern_chain: ['A', 'A', 'A', 'B', 'B'], patterns: { A: content, B: content } };
+    const gp = createDefaultGrooveProfile(90);
+    gp.drag_curve = { ...gp.drag_curve, enabled: true, max_drag_ms: 20, drag_exponent: 1, per_channel_scaling: { snare: 1 } };
+    gp.temporal_state = { ...gp.temporal_state, enabled: true, reset_mode: 'section_change', tension_increment: 0.5, elasticity_amplification: 1 };
+    const { events } = collectTimelineEvents({ arrangement, drums, instruments: [], transport, grooveProfile: gp, bars: 5 });
+    const sec = 60 / 90 / 4;
+    const drag = events.map((e, bar) => (e.time - (bar * 16 + 12) * sec) * 1000);
+    // Higher tension → larger exponent → less drag at step 12 (p < 1)
+    expect(drag[1]).toBeLessThan(drag[0]);
+    expect(drag[3]).toBeCloseTo(drag[0], 9);
+    expect(drag[4]).toBeCloseTo(drag[1], 9);
+  });
+
+  it('crash restarts tension from the step the crash plays, unless muted', () => {
+    const snares = mkSteps([4, 12]);
+    const crashes = mkSteps([8]);
+    const arrangement = { pattern_chain: ['A', 'A', 'B'], patterns: { A: { drums: { snare: snares }, instruments: {} }, B: { drums: { snare: snares, crash: crashes }, instruments: {} } } };
+    const gp = createDefaultGrooveProfile(90);
+    gp.drag_curve = { ...gp.drag_curve, enabled: true, max_drag_ms: 20, drag_exponent: 1, per_channel_scaling: { snare: 1 } };
+    gp.temporal_state = { ...gp.temporal_state, enabled: true, reset_mode: 'crash', tension_increment: 0.5, elasticity_amplification: 1 };
+    const sec = 60 / 90 / 4;
+    const snareDrag = (crashMixer) => {
+      const kit = [...drums.map(d => ({ ...d, pattern: { steps: snares } })), mkDrum('crash', [], { mixer: { ...MIXER, ...crashMixer } })];
+      const { events } = collectTimelineEvents({ arrangement, drums: kit, instruments: [], transport, grooveProfile: gp, bars: 3 });
+      return events.filter(e => e.channel.id === 'snare').map((e, i) => (e.time - (Math.floor(i / 2) * 16 + (i % 2 ? 12 : 4)) * sec) * 1000);
+    };
+    // Bar 2: step 4 still feels two bars of tension, step 12 follows the crash
+    const drag = snareDrag({});
+    expect(drag[4]).not.toBeCloseTo(drag[0], 3);
+    expect(drag[5]).toBeCloseTo(drag[1], 9);
+    expect(snareDrag({ mute: true })[5]).not.toBeCloseTo(drag[1], 3);
+  });
+});
+
+describe('Groove Field — drag curve snap-back', () => {
+  it('hard snap carries nothing', () => {
+    expect([0, 1, 2, 3].map(n => computeSnapBack(n, 20, 'hard', 4))).toEqual([0, 0, 0, 0]);
+  });
+
+  it('soft snap glides the carry linearly back to grid', () => {
+    expect([0, 1, 2, 3, 4, 8].map(n => computeSnapBack(n, 20, 'soft', 4))).toEqual([20, 15, 10, 5, 0, 0]);
+  });
+
+  it('elastic snap crosses the grid, overshoots early and settles', () => {
+    const w = [0, 1, 2, 3, 4, 5, 6].map(n => computeSnapBack(n, 18, 'elastic', 6));
+    expect(w[0]).toBe(18);
+    expect(w[2]).toBeCloseTo(0, 9);
+    expect(Math.min(...w)).toBeLessThan(0);
+    expect(Math.min(...w)).toBeGreaterThanOrEqual(-18 * 0.39);
+    expect(w[6]).toBe(0);
+  });
+
+  it('is bounded by the carry and off for zero steps or unknown modes', () => {
+    for (let n = 0; n < 8; n++) {
+      for (const mode of ['soft', 'elastic']) expect(Math.abs(computeSnapBack(n, 10, mode, 8))).toBeLessThanOrEqual(10);
+    }
+    expect(computeSnapBack(0, 10, 'soft', 0)).toBe(0);
+    expect(computeSnapBack(0, 10, 'wobbly', 4)).toBe(0);
+  });
+
+  describe('in the groove context', () => {
+    const profile = (snap_mode) => {
+      const gp = createDefaultGrooveProfile(90);
+      gp.drag_curve = { ...gp.drag_curve, enabled: true, max_drag_ms: 24, drag_exponent: 1.5, snap_mode, snap_steps: 4, per_channel_scaling: { snare: 1 } };
+      return gp;
+    };
+    const curvature = (gp, bar, step) => assembleGrooveContext(step, 'snare', gp, bar, null, 'minor', 0.8).curvature;
+    const lastStep = computeDragCurve(15, 16, 24, 1.5, 1, 1);
+
+    it('soft mode removes the downbeat lurch from bar 1 on', () => {
+      expect(curvature(profile('hard'), 1, 0)).toBe(0);
+      expect(curvature(profile('soft'), 1, 0)).toBeCloseTo(lastStep, 9);
+      expect(curvature(profile('soft'), 1, 2)).toBeCloseTo(computeDragCurve(2, 16, 24, 1.5, 1, 1) + lastStep / 2, 9);
+      expect(curvature(profile('soft'), 1, 6)).toBe(curvature(profile('hard'), 1, 6));
+    });
+
+    it('the first bar of the song has nothing to snap back from', () => {
+      expect(curvature(profile('soft'), 0, 0)).toBe(0);
+      expect(curvature(profile('elastic'), 0, 1)).toBe(curvature(profile('hard'), 0, 1));
+    });
+
+    it('snap_steps defaults to 4 for profiles saved without it', () => {
+      const gp = profile('soft');
+      delete gp.drag_curve.snap_steps;
+      expect(curvature(gp, 1, 3)).toBeCloseTo(computeDragCurve(3, 16, 24, 1.5, 1, 1) + lastStep / 4, 9);
+      expect(curvature(gp, 1, 4)).toBe(curvature(profile('hard'), 1, 4));
+    });
+  });
+});
@@ -5,6 +5,8 @@ import { describe, it, expect, vi } from 'vitest';
 import {
   stableStringify,
   computeGrooveHash,
+  computeKernelHash,
+  KERNEL_HASH_EXCLUDE,
   createDefaultGrooveProfile,
 } from './grooveEngine.js';
 
@@ -30,6 +32,7 @@ async function buildExportedKernel(grooveProfile) {
     groove_profile: grooveProfile,
     randomization_seed: grooveProfile?.randomization_seed ?? 42,
     groove_hash: null,
+    kernel_hash: null,
     arrangement: { pattern_chain: ['A'], patterns: { A: { name: 'Main', description: 'Primary pattern' } } },
   };
   if (grooveProfile && crypto?.subtle) {
@@ -37,14 +40,27 @@ async function buildExportedKernel(grooveProfile) {
       kernel.groove_hash = await computeGrooveHash(grooveProfile);
     } catch (_) { /* continue without hash */ }
   }
+  if (crypto?.subtle) {
+    try {
+      kernel.kernel_hash = await computeKernelHash(kernel);
+    } catch (_) { /* continue without hash */ }
+  }
   return kernel;
 }
 
-// Helper: simulate importKernel hash verification (returns { loaded, warning })
+// Helper: simulate importKernel hash verification (returns { loaded, warning, kernelWarning })
 async function simulateImport(kernelJSON) {
   const k = JSON.parse(kernelJSON);
   if (k.schema_version !== 'beat-kernel-v1') throw new Error('Not a Beat Kernel v1 file');
 
+  let kernelWarning = null;
+  if (k.kernel_hash) {
+    const actual = await computeKernelHash(k);
+    if (actual !== k.kernel_hash) {
+      kernelWarning = `[KernelHashMismatch] expected=${k.kernel_hash} actual=${actual}`;
+    }
+  }
+
   let warning = null;
   if (k.groove_profile && k.groove_hash) {
     if (!crypto?.subtle) {
@@ -59,7 +75,7 @@ async function simulateImport(kernelJSON) {
     }
   }
 
-  return { loaded: k, warning };
+  return { loaded: k, warning, kernelWarning };
 }
 
 describe('Groove Hash — Export', () => {
@@ -173,3 +189,60 @@ describe('stableStringify — determinism', () => {
     expect(stableStringify('hello')).toBe('"hello"');
   });
 });
+
+describe('Kernel Hash — full-kernel integrity', () => {
+  const exported = () => buildExportedKernel(createDefaultGrooveProfile(90));
+  const reimport = (kernel) => simulateImport(JSON.stringify(kernel, null, 2));
+
+  it('exported JSON includes kernel_hash as a 64-character lowercase hex string', async () => {
+    const kernel = await exported();
+    expect(kernel.kernel_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(kernel.kernel_hash).not.toBe(kernel.groove_hash);
+  });
+
+  it('importing an untampered export produces no KernelHashMismatch warning', async () => {
+    const { kernelWarning, warning } = await reimport(await exported());
+    expect(kernelWarning).toBeNull();
+    expect(warning).toBeNull();
+  });
+
+  it.each([
+    ['transport', (k) => { k.transport.bpm = 120; }],
+    ['drums', (k) => { k.drums.channels.push({ id: 'kick', pattern: { steps: [{ active: true, velocity: 1 }] } }); }],
+    ['instruments', (k) => { k.instruments.channels.push({ id: 'bass', notes: [] }); }],
+    ['master', (k) => { k.master.volume = 0.5; }],
+    ['arrangement', (k) => { k.arrangement.pattern_chain.push('A'); }],
+    ['metadata.name', (k) => { k.metadata.name = 'Renamed'; }],
+  ])('tampering %s triggers [KernelHashMismatch] while the groove hash still matches', async (_, tamper) => {
+    const kernel = await exported();
+    tamper(kernel);
+    const { loaded, warning, kernelWarning } = await reimport(kernel);
+    expect(kernelWarning).toMatch(/^\[KernelHashMismatch\] expected=.+ actual=.+$/);
+    expect(warning).toBeNull();
+    expect(loaded.transport).toBeDefined();
+  });
+
+  it('excluded fields can change without a mismatch', async () => {
+    expect(KERNEL_HASH_EXCLUDE).toEqual(expect.arrayContaining(['kernel_hash', 'groove_hash', 'metadata.created', 'metadata.modified']));
+    const kernel = await exported();
+    kernel.metadata.created = '2030-05-05T00:00:00.000Z';
+    kernel.metadata.modified = '2030-05-06T00:00:00.000Z';
+    kernel.metadata.beat_id = 'BK-20300505';
+    const { kernelWarning } = await reimport(kernel);
+    expect(kernelWarning).toBeNull();
+  });
+
+  it('key order and JSON round trip do not change the hash', async () => {
+    const kernel = await exported();
+    const reversed = Object.fromEntries(Object.entries(kernel).reverse());
+    expect(await computeKernelHash(reversed)).toBe(kernel.kernel_hash);
+    expect(await computeKernelHash(JSON.parse(JSON.stringify(kernel)))).toBe(kernel.kernel_hash);
+  });
+
+  it('does not mutate the kernel it hashes', async () => {
+    const kernel = await exported();
+    const before = JSON.stringify(kernel);
+    await computeKernelHash(kernel);
+    expect(JSON.stringify(kernel)).toBe(before);
+  });
+});
@@ -10,7 +10,7 @@
 // The canonical displacement equation:
 //
 //   T_final = Quantize_PPQN(
-//     T_grid + β · [ Δ_L + Γ(m) · f(n,v) + Ψ(b) + σ·G ] · amount
+//     T_grid + β · [ Δ_L + Γ(m) · f(n,v) + Ψ(b) + Φ(b,n) + σ·G ] · amount
 //   )
 //
 // This function computes Δ only. No scheduling. No rounding.
@@ -39,6 +39,7 @@
  * @param {number} context.phaseCoupling    - Ω(v): velocity-phase coupling (ms, unscaled)
  * @param {number} context.harmonicGravity  - Γ(m): scale mode multiplier (≥1.0)
  * @param {number} context.macroDrift       - Ψ(b): inter-bar breathing (ms, unscaled)
+ * @param {number} [context.phraseDrift=0]  - Φ(b,n): accumulated phrase drift (ms, unscaled)
  * @param {number} context.jitter           - σ·G: Gaussian noise term (ms, unscaled)
  * @param {number} context.maxPushMs        - Feel bias push limit (negative, unscaled)
  * @param {number} context.maxDragMs        - Feel bias drag limit (positive, unscaled)
@@ -54,6 +55,7 @@ export function computeGrooveDisplacement(context) {
     phaseCoupling,
     harmonicGravity,
     macroDrift,
+    phraseDrift = 0,
     jitter,
     maxPushMs,
     maxDragMs,
@@ -74,8 +76,8 @@ export function computeGrooveDisplacement(context) {
     ? harmonicGravity * elasticRaw
     : elasticRaw;
 
-  // Unified additive field: β · [ Δ_L + Γ·f(n,v) + Ψ(b) + σ·G ]
-  const raw = beta * (linearOffset + elastic + macroDrift + jitter);
+  // Unified additive field: β · [ Δ_L + Γ·f(n,v) + Ψ(b) + Φ(b,n) + σ·G ]
+  const raw = beta * (linearOffset + elastic + macroDrift + phraseDrift + jitter);
 
   // Phrase constraint safety clamp (Bounded invariant)
   const phraseClamped = maxPhaseErrorMs > 0
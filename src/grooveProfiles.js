@@ -275,7 +275,7 @@ export function grooveMPC60(bpm = 94) {
     ppqn: 96,
     signal_chain_order: 'saturate_downsample_quantize',
     dac_saturation: { enabled: true, curve: 'tanh', gain: 1.2 },
-    anti_alias_filter: { type: 'chebyshev_type1', cutoff_hz: 18000, ripple_db: 0.5 },
+    anti_alias_filter: { type: 'chebyshev_type1', cutoff_hz: 18000, ripple_db: 0.5, order: 4 },
     sample_rate: 26040,
     bit_depth: 12,
   };
@@ -307,7 +307,7 @@ export function grooveSP1200(bpm = 90) {
     ppqn: 96,
     signal_chain_order: 'saturate_downsample_quantize',
     dac_saturation: { enabled: true, curve: 'tanh', gain: 1.4 },
-    anti_alias_filter: { type: 'chebyshev_type1', cutoff_hz: 12000, ripple_db: 1.0 },
+    anti_alias_filter: { type: 'chebyshev_type1', cutoff_hz: 12000, ripple_db: 1.0, order: 6 },
     sample_rate: 26040,
     bit_depth: 12,
   };
@@ -31,6 +31,17 @@ export function roundToPPQN(timeSeconds, bpm, ppqn) {
   return Math.round(timeSeconds / secondsPerPulse) * secondsPerPulse;
 }
 
+/**
+ * Supported signal_chain_order values, keyed by the string stored in
+ * the profile. Stages run left to right in the lo-fi worklet; a stage
+ * the order omits is skipped.
+ */
+export const SIGNAL_CHAIN_ORDERS = {
+  saturate_downsample_quantize: { label: 'Saturate → Filter → Downsample → Quantize', stages: ['saturate', 'downsample', 'quantize'] },
+  downsample_quantize_saturate: { label: 'Filter → Downsample → Quantize → Saturate', stages: ['downsample', 'quantize', 'saturate'] },
+  quantize_then_saturate: { label: 'Quantize → Saturate (no downsample)', stages: ['quantize', 'saturate'] },
+};
+
 /**
  * Default hardware emulation configurations for iconic hardware.
  */
@@ -47,6 +58,7 @@ export const HARDWARE_PRESETS = {
       type: 'chebyshev_type1',
       cutoff_hz: 18000,
       ripple_db: 0.5,
+      order: 4,
     },
     sample_rate: 26040,
     bit_depth: 12,
@@ -63,6 +75,7 @@ export const HARDWARE_PRESETS = {
       type: 'chebyshev_type1',
       cutoff_hz: 12000,
       ripple_db: 1.0,
+      order: 6,
     },
     sample_rate: 26040,
     bit_depth: 12,
@@ -79,8 +92,59 @@ export const HARDWARE_PRESETS = {
       type: 'chebyshev_type1',
       cutoff_hz: 20000,
       ripple_db: 0.1,
+      order: 4,
+    },
+    sample_rate: 44100,
+    bit_depth: 16,
+  },
+  s950: {
+    // Converter drives the output stage: saturation happens after the DAC
+    ppqn: 96,
+    signal_chain_order: 'downsample_quantize_saturate',
+    dac_saturation: {
+      enabled: true,
+      curve: 'tanh',
+      gain: 1.3,
+    },
+    anti_alias_filter: {
+      type: 'chebyshev_type1',
+      cutoff_hz: 15000,
+      ripple_db: 0.5,
+      order: 8,
+    },
+    sample_rate: 40000,
+    bit_depth: 12,
+  },
+  sp404: {
+    // Runs at the host rate; grit comes from quantization into the output stage
+    ppqn: 96,
+    signal_chain_order: 'quantize_then_saturate',
+    dac_saturation: {
+      enabled: true,
+      curve: 'tanh',
+      gain: 1.6,
+    },
+    anti_alias_filter: {
+      type: 'chebyshev_type1',
+      cutoff_hz: 20000,
+      ripple_db: 0.1,
+      order: 4,
     },
     sample_rate: 44100,
     bit_depth: 16,
   },
 };
+
+/**
+ * Creates a channel insert slot hosting the lo-fi processor, seeded
+ * from a hardware preset. Stored on a channel as `mixer.insert`;
+ * PPQN stays a profile-wide setting and is not copied.
+ *
+ * @param {string} [presetKey='sp1200'] - Key into HARDWARE_PRESETS
+ * @returns {{ type: 'lofi', enabled: boolean, preset: string, hardware: Object }}
+ */
+export function createLofiInsert(presetKey = 'sp1200') {
+  const key = HARDWARE_PRESETS[presetKey] ? presetKey : 'sp1200';
+  const { ppqn, ...hardware } = HARDWARE_PRESETS[key];
+  return { type: 'lofi', enabled: true, preset: key, hardware: JSON.parse(JSON.stringify(hardware)) };
+}
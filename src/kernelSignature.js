@@ -0,0 +1,199 @@
+// ═══════════════════════════════════════════════════════════
+// KERNEL SIGNATURE — Author Keys for Beat Kernels + Genomes
+// ECDSA P-256 / SHA-256 via Web Crypto
+// ═══════════════════════════════════════════════════════════
+//
+// kernel_hash shows a file was not edited; a signature shows who
+// exported it. Signing is optional. A signed document carries its
+// author block in `metadata`:
+//
+//   metadata.author_key          public key, JWK { kty, crv, x, y }
+//   metadata.author_fingerprint  SHA-256 hex of the RFC 7638 JWK thumbprint input
+//   metadata.signature           base64 ECDSA signature (raw r‖s)
+//
+// The signature covers the whole document serialized with
+// stableStringify(), minus metadata.signature itself. Hash fields are
+// computed before signing, so the signature covers them too.
+//
+// Verification status:
+//   'verified' — signature checks out against the embedded key
+//   'unsigned' — no signature present
+//   'invalid'  — signature, key or fingerprint do not match
+//
+// 'verified' proves the document is unchanged since that key signed
+// it. Whether the key belongs to who you think it does is up to you:
+// compare fingerprints with the author out of band.
+//
+// The local keypair lives in IndexedDB as CryptoKey objects. The
+// private key is generated non-extractable, so page scripts can sign
+// with it but never read it out; only the public key is exported (for
+// the fingerprint and the author block). Functions that touch storage
+// take the store as a parameter so they run outside the browser.
+
+import { stableStringify } from './grooveEngine.js';
+import { bytesToBase64, base64ToBytes } from './samples.js';
+
+export const AUTHOR_KEY_STORAGE = 'lightning_studio_author_key';
+
+const KEY_DB = 'lightning_studio';
+const KEY_DB_STORE = 'keys';
+
+const ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+function bytesToHex(buffer) {
+  return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function publicMembers(jwk) {
+  return { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+}
+
+// Bytes that get signed: the document without its signature, JSON
+// round-tripped so an in-memory export and its parsed file agree.
+function signingBytes(doc) {
+  const copy = JSON.parse(JSON.stringify(doc));
+  if (copy.metadata) delete copy.metadata.signature;
+  return new TextEncoder().encode(stableStringify(copy));
+}
+
+/**
+ * Key store backed by IndexedDB. Values are stored by structured
+ * clone, which keeps a non-extractable CryptoKey usable but sealed.
+ * @param {IDBFactory} [idb=indexedDB]
+ * @returns {{ get: (name: string) => Promise<*>, set: (name: string, value: *) => Promise<void> }}
+ */
+export function idbKeyStore(idb = globalThis.indexedDB) {
+  const open = () => new Promise((resolve, reject) => {
+    const req = idb.open(KEY_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(KEY_DB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  const run = async (mode, fn) => {
+    const db = await open();
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(KEY_DB_STORE, mode);
+        const req = fn(tx.objectStore(KEY_DB_STORE));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    } finally { db.close(); }
+  };
+  return {
+    get: (name) => run('readonly', store => store.get(name)),
+    set: async (name, value) => { await run('readwrite', store => store.put(value, name)); },
+  };
+}
+
+/**
+ * Generates a new P-256 author keypair. The private key cannot be
+ * exported; the public key comes back as a JWK.
+ * @returns {Promise<{ publicJwk: Object, privateKey: CryptoKey }>}
+ */
+export async function generateAuthorKey() {
+  const pair = await crypto.subtle.generateKey(ALGORITHM, false, ['sign', 'verify']);
+  return {
+    publicJwk: await crypto.subtle.exportKey('jwk', pair.publicKey),
+    privateKey: pair.privateKey,
+  };
+}
+
+// Earlier builds kept the keypair in localStorage as plaintext JWKs.
+// Such a key is moved into the store as a non-extractable CryptoKey
+// (same fingerprint) and the plaintext copy is removed.
+async function migrateLegacyKey(store, legacy) {
+  const raw = legacy?.getItem(AUTHOR_KEY_STORAGE);
+  if (!raw) return null;
+  const { publicJwk, privateJwk } = JSON.parse(raw);
+  const key = {
+    publicJwk,
+    privateKey: await crypto.subtle.importKey('jwk', privateJwk, ALGORITHM, false, ['sign']),
+  };
+  await store.set(AUTHOR_KEY_STORAGE, key);
+  legacy.removeItem(AUTHOR_KEY_STORAGE);
+  return key;
+}
+
+/**
+ * Reads the stored author keypair.
+ * @param {Object} [store=idbKeyStore()] - Key store ({ get, set })
+ * @param {Storage} [legacy=localStorage] - Where older builds kept the key
+ * @returns {Promise<{ publicJwk: Object, privateKey: CryptoKey }|null>}
+ */
+export async function loadAuthorKey(store = idbKeyStore(), legacy = globalThis.localStorage) {
+  try {
+    return (await store.get(AUTHOR_KEY_STORAGE)) || await migrateLegacyKey(store, legacy);
+  } catch { return null; }
+}
+
+/**
+ * Returns the stored author keypair, generating and storing one on
+ * first use.
+ * @param {Object} [store=idbKeyStore()] - Key store ({ get, set })
+ * @param {Storage} [legacy=localStorage] - Where older builds kept the key
+ * @returns {Promise<{ publicJwk: Object, privateKey: CryptoKey }>}
+ */
+export async function getOrCreateAuthorKey(store = idbKeyStore(), legacy = globalThis.localStorage) {
+  const existing = await loadAuthorKey(store, legacy);
+  if (existing) return existing;
+  const key = await generateAuthorKey();
+  try { await store.set(AUTHOR_KEY_STORAGE, key); } catch { /* key lives for this session only */ }
+  return key;
+}
+
+/**
+ * Fingerprint of a public key: SHA-256 hex over its RFC 7638
+ * thumbprint input (required members, sorted, no whitespace).
+ * @param {Object} publicJwk - EC public key JWK
+ * @returns {Promise<string>} Lowercase hex SHA-256
+ */
+export async function keyFingerprint(publicJwk) {
+  const bytes = new TextEncoder().encode(stableStringify(publicMembers(publicJwk)));
+  return bytesToHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+/**
+ * Signs a Beat Kernel or Production Genome. Returns a new document
+ * with the author block in metadata; the input is not mutated.
+ * @param {Object} doc - Document to sign (hashes already computed)
+ * @param {{ publicJwk: Object, privateKey: CryptoKey }} key - Author keypair
+ * @returns {Promise<Object>} Signed document
+ */
+export async function signDocument(doc, key) {
+  const signed = {
+    ...doc,
+    metadata: {
+      ...(doc.metadata || {}),
+      author_key: publicMembers(key.publicJwk),
+      author_fingerprint: await keyFingerprint(key.publicJwk),
+    },
+  };
+  const signature = await crypto.subtle.sign(SIGN_PARAMS, key.privateKey, signingBytes(signed));
+  signed.metadata.signature = bytesToBase64(signature);
+  return signed;
+}
+
+/**
+ * Verifies a document's author signature.
+ * @param {Object} doc - Parsed Beat Kernel or Production Genome
+ * @returns {Promise<{ status: 'verified'|'unsigned'|'invalid', fingerprint: string|null, reason?: string }>}
+ */
+export async function verifyDocument(doc) {
+  const meta = doc?.metadata || {};
+  if (!meta.signature) return { status: 'unsigned', fingerprint: null };
+  const fingerprint = meta.author_fingerprint || null;
+  if (!meta.author_key) return { status: 'invalid', fingerprint, reason: 'missing author_key' };
+  try {
+    if (await keyFingerprint(meta.author_key) !== fingerprint) {
+      return { status: 'invalid', fingerprint, reason: 'fingerprint does not match author_key' };
+    }
+    const publicKey = await crypto.subtle.importKey('jwk', publicMembers(meta.author_key), ALGORITHM, false, ['verify']);
+    const ok = await crypto.subtle.verify(SIGN_PARAMS, publicKey, base64ToBytes(meta.signature), signingBytes(doc));
+    return ok ? { status: 'verified', fingerprint } : { status: 'invalid', fingerprint, reason: 'signature mismatch' };
+  } catch (e) {
+    return { status: 'invalid', fingerprint, reason: e.message };
+  }
+}
@@ -0,0 +1,149 @@
+// ═══════════════════════════════════════════════════════════
+// Kernel Signature — Tests for author keys, signing & verification
+// ═══════════════════════════════════════════════════════════
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  AUTHOR_KEY_STORAGE,
+  generateAuthorKey,
+  loadAuthorKey,
+  getOrCreateAuthorKey,
+  keyFingerprint,
+  signDocument,
+  verifyDocument,
+} from './kernelSignature.js';
+import { computeKernelHash, createDefaultGrooveProfile } from './grooveEngine.js';
+
+// In-memory stand-ins for the IndexedDB key store and localStorage
+function memoryStore() {
+  const m = new Map();
+  return { get: async (k) => m.get(k), set: async (k, v) => { m.set(k, v); } };
+}
+
+function memoryStorage() {
+  const m = new Map();
+  return {
+    getItem: (k) => (m.has(k) ? m.get(k) : null),
+    setItem: (k, v) => m.set(k, String(v)),
+    removeItem: (k) => m.delete(k),
+  };
+}
+
+async function mkKernel() {
+  const kernel = {
+    schema_version: 'beat-kernel-v1',
+    kernel_type: 'beat',
+    metadata: { beat_id: 'BK-TEST', name: 'Test Beat', artist: 'Test Artist', created: '2026-01-01T00:00:00.000Z' },
+    transport: { bpm: 90, swing: 0, key: 'C', scale: 'minor', steps_per_pattern: 16 },
+    drums: { channels: [] },
+    instruments: { channels: [] },
+    master: {},
+    groove_profile: createDefaultGrooveProfile(90),
+    kernel_hash: null,
+  };
+  kernel.kernel_hash = await computeKernelHash(kernel);
+  return kernel;
+}
+
+const roundTrip = (doc) => JSON.parse(JSON.stringify(doc, null, 2));
+
+let key, otherKey;
+beforeAll(async () => {
+  key = await generateAuthorKey();
+  otherKey = await generateAuthorKey();
+});
+
+describe('Kernel Signature — keys', () => {
+  it('generates P-256 keypairs whose private key cannot be exported', async () => {
+    expect(key.publicJwk).toMatchObject({ kty: 'EC', crv: 'P-256' });
+    expect(key.publicJwk.d).toBeUndefined();
+    expect(key.privateKey.extractable).toBe(false);
+    await expect(crypto.subtle.exportKey('jwk', key.privateKey)).rejects.toThrow();
+  });
+
+  it('stores the keypair on first use and reuses it', async () => {
+    const store = memoryStore(), legacy = memoryStorage();
+    expect(await loadAuthorKey(store, legacy)).toBeNull();
+    const first = await getOrCreateAuthorKey(store, legacy);
+    expect(await store.get(AUTHOR_KEY_STORAGE)).toBe(first);
+    expect(await getOrCreateAuthorKey(store, legacy)).toBe(first);
+    expect(legacy.getItem(AUTHOR_KEY_STORAGE)).toBeNull();
+  });
+
+  it('moves a plaintext localStorage key into the store, sealed', async () => {
+    const pair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const publicJwk = await crypto.subtle.exportKey('jwk', pair.publicKey);
+    const privateJwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+    const store = memoryStore(), legacy = memoryStorage();
+    legacy.setItem(AUTHOR_KEY_STORAGE, JSON.stringify({ publicJwk, privateJwk }));
+
+    const moved = await loadAuthorKey(store, legacy);
+    expect(legacy.getItem(AUTHOR_KEY_STORAGE)).toBeNull();
+    expect(moved.privateKey.extractable).toBe(false);
+    expect(await store.get(AUTHOR_KEY_STORAGE)).toBe(moved);
+    expect(await keyFingerprint(moved.publicJwk)).toBe(await keyFingerprint(publicJwk));
+    const signed = roundTrip(await signDocument(await mkKernel(), moved));
+    expect(await verifyDocument(signed)).toMatchObject({ status: 'verified' });
+  });
+
+  it('without a working store, no key is loaded', async () => {
+    const broken = { get: async () => { throw new Error('no IndexedDB'); }, set: async () => {} };
+    expect(await loadAuthorKey(broken, memoryStorage())).toBeNull();
+  });
+
+  it('fingerprints depend only on the public key members', async () => {
+    const fp = await keyFingerprint(key.publicJwk);
+    expect(fp).toMatch(/^[0-9a-f]{64}$/);
+    expect(await keyFingerprint({ ...key.publicJwk, key_ops: ['verify'], ext: true })).toBe(fp);
+    expect(await keyFingerprint(otherKey.publicJwk)).not.toBe(fp);
+  });
+});
+
+describe('Kernel Signature — sign & verify', () => {
+  it('a signed kernel verifies after a JSON round trip', async () => {
+    const kernel = await mkKernel();
+    const signed = await signDocument(kernel, key);
+    expect(signed.metadata.author_fingerprint).toBe(await keyFingerprint(key.publicJwk));
+    expect(signed.metadata.author_key.d).toBeUndefined();
+    expect(kernel.metadata.signature).toBeUndefined();
+    expect(await verifyDocument(roundTrip(signed))).toEqual({
+      status: 'verified', fingerprint: signed.metadata.author_fingerprint,
+    });
+  });
+
+  it('signing leaves the kernel hash valid', async () => {
+    const signed = roundTrip(await signDocument(await mkKernel(), key));
+    expect(await computeKernelHash(signed)).toBe(signed.kernel_hash);
+  });
+
+  it('documents without a signature are unsigned', async () => {
+    expect(await verifyDocument(await mkKernel())).toEqual({ status: 'unsigned', fingerprint: null });
+    expect(await verifyDocument({ production_genome_version: '1.0.0' })).toMatchObject({ status: 'unsigned' });
+  });
+
+  it('any edit after signing makes the signature invalid', async () => {
+    const signed = roundTrip(await signDocument(await mkKernel(), key));
+    signed.transport.bpm = 91;
+    expect(await verifyDocument(signed)).toMatchObject({ status: 'invalid', reason: 'signature mismatch' });
+  });
+
+  it('swapping in another author key is caught', async () => {
+    const signed = roundTrip(await signDocument(await mkKernel(), key));
+    const forged = { ...signed, metadata: { ...signed.metadata, author_key: roundTrip(otherKey.publicJwk) } };
+    expect(await verifyDocument(forged)).toMatchObject({ status: 'invalid' });
+    forged.metadata.author_fingerprint = await keyFingerprint(otherKey.publicJwk);
+    expect(await verifyDocument(forged)).toMatchObject({ status: 'invalid', reason: 'signature mismatch' });
+  });
+
+  it('a garbled signature is invalid, not an exception', async () => {
+    const signed = roundTrip(await signDocument(await mkKernel(), key));
+    signed.metadata.signature = 'not base64!';
+    expect(await verifyDocument(signed)).toMatchObject({ status: 'invalid' });
+  });
+
+  it('signs documents without metadata (Production Genome)', async () => {
+    const genome = { production_genome_version: '1.0.0', artist: 'Test', beat_kernel: await signDocument(await mkKernel(), key) };
+    const signed = roundTrip(await signDocument(genome, key));
+    expect(await verifyDocument(signed)).toMatchObject({ status: 'verified' });
+    expect(await verifyDocument(signed.beat_kernel)).toMatchObject({ status: 'verified' });
+  });
+});
@@ -4,14 +4,110 @@
 // L0-CMD-2026-0216-006-A §3.3.3
 // ═══════════════════════════════════════════════════════════
 //
-// Signal chain order for hardware_emulated profiles (AC-02, Rule 14):
+// Default signal chain order for hardware_emulated profiles (AC-02, Rule 14):
 //   1. Pre-saturation: tanh(gain · x)  — analog domain
 //   2. Anti-alias filtering: Chebyshev Type I LPF
-//   3. Downsample to target sample rate
+//   3. Downsample to target sample rate (fractional sample-and-hold)
 //   4. Bit-depth quantization: round(x · 2^(bits-1)) / 2^(bits-1)
 //
 // This order replicates real hardware behavior:
 // Real hardware saturates in analog, then samples, then quantizes.
+//
+// Other devices differ, so the order is taken from the profile's
+// `signal_chain_order` (processorOptions.signalChainOrder). The string
+// names the stages in processing order, separated by '_':
+//
+//   saturate_downsample_quantize — default (MPC60, SP-1200)
+//   downsample_quantize_saturate — converter first, analog output stage (S950)
+//   quantize_then_saturate       — no rate reduction (SP-404)
+//
+// 'downsample' covers anti-alias filter + sample-and-hold. Stages the
+// string does not name are skipped; 'then' is a readable separator.
+
+const STAGE_SATURATE = 0;
+const STAGE_DOWNSAMPLE = 1;
+const STAGE_QUANTIZE = 2;
+
+const STAGE_TOKENS = {
+  saturate: STAGE_SATURATE,
+  downsample: STAGE_DOWNSAMPLE,
+  quantize: STAGE_QUANTIZE,
+};
+
+const DEFAULT_STAGES = [STAGE_SATURATE, STAGE_DOWNSAMPLE, STAGE_QUANTIZE];
+
+/**
+ * Parses a signal_chain_order string into an ordered stage list.
+ * Unknown tokens are ignored; a string naming no stage falls back
+ * to the default order.
+ *
+ * @param {string|undefined} order - e.g. 'downsample_quantize_saturate'
+ * @returns {number[]} Stage ids in processing order
+ */
+function parseSignalChainOrder(order) {
+  if (typeof order !== 'string') return DEFAULT_STAGES;
+  const stages = [];
+  for (const token of order.toLowerCase().split('_')) {
+    const stage = STAGE_TOKENS[token];
+    if (stage !== undefined && !stages.includes(stage)) stages.push(stage);
+  }
+  return stages.length ? stages : DEFAULT_STAGES;
+}
+
+/**
+ * Designs a Chebyshev Type I lowpass as cascaded second-order sections.
+ *
+ * Analog prototype poles (unit ripple-edge frequency) are scaled to the
+ * prewarped cutoff and mapped through the bilinear transform
+ * s = (1 − z⁻¹)/(1 + z⁻¹). Each conjugate pole pair becomes one biquad
+ * with a double zero at Nyquist; odd orders add a first-order section
+ * for the real pole. Sections are normalized to unity DC gain, then an
+ * even-order cascade is scaled by 1/√(1+ε²) — the Chebyshev I passband
+ * starts at the bottom of the ripple band for even N.
+ *
+ * @param {number} order - Filter order (1–8)
+ * @param {number} rippleDb - Passband ripple in dB (> 0)
+ * @param {number} cutoffHz - Ripple-edge frequency in Hz
+ * @param {number} fs - Host sample rate in Hz
+ * @returns {Array<{b0: number, b1: number, b2: number, a1: number, a2: number}>}
+ */
+function designChebyshev1(order, rippleDb, cutoffHz, fs) {
+  const n = Math.max(1, Math.min(8, Math.round(order)));
+  const eps = Math.sqrt(Math.pow(10, Math.max(0.01, rippleDb) / 10) - 1);
+  const mu = Math.asinh(1 / eps) / n;
+  const fc = Math.max(20, Math.min(cutoffHz, 0.49 * fs));
+  const K = Math.tan(Math.PI * fc / fs);
+  const sections = [];
+
+  for (let k = 1; k <= Math.floor(n / 2); k++) {
+    const theta = Math.PI * (2 * k - 1) / (2 * n);
+    const pr = -Math.sinh(mu) * Math.sin(theta) * K;
+    const pi = Math.cosh(mu) * Math.cos(theta) * K;
+    // z = (1 + p) / (1 − p)
+    const dr = 1 - pr;
+    const den = dr * dr + pi * pi;
+    const zr = ((1 + pr) * dr - pi * pi) / den;
+    const zi = (pi * dr + (1 + pr) * pi) / den;
+    const a1 = -2 * zr;
+    const a2 = zr * zr + zi * zi;
+    const g = (1 + a1 + a2) / 4;
+    sections.push({ b0: g, b1: 2 * g, b2: g, a1, a2 });
+  }
+
+  if (n % 2 === 1) {
+    const pr = -Math.sinh(mu) * K;
+    const a1 = -(1 + pr) / (1 - pr);
+    const g = (1 + a1) / 2;
+    sections.push({ b0: g, b1: g, b2: 0, a1, a2: 0 });
+  } else {
+    const dcGain = 1 / Math.sqrt(1 + eps * eps);
+    sections[0].b0 *= dcGain;
+    sections[0].b1 *= dcGain;
+    sections[0].b2 *= dcGain;
+  }
+
+  return sections;
+}
 
 class LofiProcessor extends AudioWorkletProcessor {
   static get parameterDescriptors() {
@@ -23,19 +119,27 @@ class LofiProcessor extends AudioWorkletProcessor {
       { name: 'bitDepth', defaultValue: 12, minValue: 4, maxValue: 24 },
       { name: 'downsampleEnabled', defaultValue: 0, minValue: 0, maxValue: 1 },
       { name: 'crackleAmount', defaultValue: 0, minValue: 0, maxValue: 1 },
+      { name: 'filterCutoff', defaultValue: 18000, minValue: 1000, maxValue: 24000 },
+      { name: 'filterRipple', defaultValue: 0.5, minValue: 0.01, maxValue: 3 },
+      { name: 'filterOrder', defaultValue: 4, minValue: 1, maxValue: 8 },
       { name: 'dryWet', defaultValue: 1.0, minValue: 0, maxValue: 1 },
     ];
   }
 
-  constructor() {
+  constructor(options) {
     super();
-    // Downsample state per channel
+    this._stages = parseSignalChainOrder(options?.processorOptions?.signalChainOrder);
+    // Downsample state per channel. Phase starts full so the first
+    // input sample is captured immediately.
     this._holdSample = [0, 0];
-    this._holdCounter = [0, 0];
-    // Simple one-pole lowpass for anti-alias approximation
-    this._lpState = [0, 0];
-    // Seeded crackle PRNG (deterministic)
-    this._crackleSeed = 12345;
+    this._holdPhase = [1, 1];
+    // Chebyshev I anti-alias cascade — redesigned when its params change
+    this._filterKey = '';
+    this._sections = [];
+    this._filterState = [[], []];
+    // Seeded crackle PRNG (deterministic). The host derives the seed
+    // from the kernel's randomization_seed, one stream per insert.
+    this._crackleSeed = options?.processorOptions?.crackleSeed ?? 12345;
   }
 
   // Simple deterministic PRNG for crackle (mulberry32)
@@ -47,6 +151,33 @@ class LofiProcessor extends AudioWorkletProcessor {
     return ((t ^ t >>> 14) >>> 0) / 4294967296;
   }
 
+  _updateFilter(order, ripple, cutoff) {
+    const key = `${Math.round(order)}:${ripple}:${cutoff}`;
+    if (key === this._filterKey) return;
+    const prevLength = this._sections.length;
+    this._filterKey = key;
+    this._sections = designChebyshev1(order, ripple, cutoff, sampleRate);
+    // Keep section state across coefficient changes unless the order changed
+    if (this._sections.length !== prevLength) {
+      this._filterState = [0, 1].map(() => this._sections.map(() => [0, 0]));
+    }
+  }
+
+  // Runs one sample through the cascade (transposed direct form II)
+  _filter(ch, x) {
+    const sections = this._sections;
+    const state = this._filterState[ch];
+    for (let k = 0; k < sections.length; k++) {
+      const c = sections[k];
+      const z = state[k];
+      const y = c.b0 * x + z[0];
+      z[0] = c.b1 * x - c.a1 * y + z[1];
+      z[1] = c.b2 * x - c.a2 * y;
+      x = y;
+    }
+    return x;
+  }
+
   process(inputs, outputs, parameters) {
     const input = inputs[0];
     const output = outputs[0];
@@ -70,8 +201,14 @@ class LofiProcessor extends AudioWorkletProcessor {
     const crackle = parameters.crackleAmount[0];
     const dryWet = parameters.dryWet[0];
 
-    // Compute downsample ratio
-    const dsRatio = dsEnabled ? Math.max(1, Math.floor(sampleRate / targetSR)) : 1;
+    if (dsEnabled) {
+      this._updateFilter(parameters.filterOrder[0], parameters.filterRipple[0], parameters.filterCutoff[0]);
+    }
+
+    // Phase advance per host sample: one new held value each time the
+    // accumulator wraps, i.e. targetSR times per second at any host rate.
+    // At or above the host rate every sample passes.
+    const dsStep = dsEnabled ? Math.min(1, targetSR / sampleRate) : 1;
     // Quantization levels
     const quantLevels = Math.pow(2, bitDepth - 1);
 
@@ -83,32 +220,35 @@ class LofiProcessor extends AudioWorkletProcessor {
         let sample = inp[i];
         const dry = sample;
 
-        // ── Step 1: Pre-saturation (tanh) — analog domain ──
-        if (satEnabled) {
-          sample = Math.tanh(satGain * sample);
-        }
+        for (let k = 0; k < this._stages.length; k++) {
+          const stage = this._stages[k];
 
-        // ── Step 2: Anti-alias filter (simple one-pole LPF approximation) ──
-        if (dsEnabled && dsRatio > 1) {
-          const cutoffNorm = targetSR / (2 * sampleRate);
-          const alpha = Math.min(1.0, 2 * Math.PI * cutoffNorm);
-          this._lpState[ch] += alpha * (sample - this._lpState[ch]);
-          sample = this._lpState[ch];
-        }
+          if (stage === STAGE_SATURATE) {
+            // ── Pre-saturation (tanh) — analog domain ──
+            if (satEnabled) {
+              sample = Math.tanh(satGain * sample);
+            }
+          } else if (stage === STAGE_DOWNSAMPLE) {
+            // ── Anti-alias filter (Chebyshev Type I cascade) ──
+            if (dsEnabled) {
+              sample = this._filter(ch, sample);
+            }
 
-        // ── Step 3: Downsample (sample-and-hold) ──
-        if (dsEnabled && dsRatio > 1) {
-          this._holdCounter[ch]++;
-          if (this._holdCounter[ch] >= dsRatio) {
-            this._holdCounter[ch] = 0;
-            this._holdSample[ch] = sample;
+            // ── Downsample (phase-accumulator sample-and-hold) ──
+            if (dsStep < 1) {
+              this._holdPhase[ch] += dsStep;
+              if (this._holdPhase[ch] >= 1) {
+                this._holdPhase[ch] -= 1;
+                this._holdSample[ch] = sample;
+              }
+              sample = this._holdSample[ch];
+            }
+          } else if (stage === STAGE_QUANTIZE) {
+            // ── Bit-depth quantization ──
+            if (dsEnabled) {
+              sample = Math.round(sample * quantLevels) / quantLevels;
+            }
           }
-          sample = this._holdSample[ch];
-        }
-
-        // ── Step 4: Bit-depth quantization ──
-        if (dsEnabled) {
-          sample = Math.round(sample * quantLevels) / quantLevels;
         }
 
         // ── Optional: Vinyl crackle ──
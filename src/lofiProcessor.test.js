@@ -0,0 +1,216 @@
+// ═══════════════════════════════════════════════════════════
+// Lo-Fi Processor — Tests for the Layer 5 AudioWorklet DSP
+// ═══════════════════════════════════════════════════════════
+import { describe, it, expect, beforeAll } from 'vitest';
+
+const SR = 48000;
+const BLOCK = 128;
+let LofiProcessor;
+
+// The worklet runs in AudioWorkletGlobalScope. Provide the three globals
+// it relies on, then capture the class it registers.
+beforeAll(async () => {
+  globalThis.sampleRate = SR;
+  globalThis.AudioWorkletProcessor = class {};
+  globalThis.registerProcessor = (name, cls) => {
+    if (name === 'lofi-processor') LofiProcessor = cls;
+  };
+  await import('./lofi-processor.worklet.js');
+});
+
+function makeParams(overrides) {
+  const params = {};
+  for (const d of LofiProcessor.parameterDescriptors) {
+    params[d.name] = new Float32Array([overrides[d.name] ?? d.defaultValue]);
+  }
+  return params;
+}
+
+// Runs a mono signal through a fresh processor in 128-sample blocks
+function render(input, overrides, processorOptions) {
+  const proc = new LofiProcessor({ processorOptions });
+  const params = makeParams({ enabled: 1, ...overrides });
+  const out = new Float32Array(input.length);
+  for (let i = 0; i < input.length; i += BLOCK) {
+    const inBlock = input.subarray(i, i + BLOCK);
+    const outBlock = new Float32Array(inBlock.length);
+    proc.process([[inBlock]], [[outBlock]], params);
+    out.set(outBlock, i);
+  }
+  return out;
+}
+
+function sine(freq, seconds = 0.25) {
+  const n = Math.floor(SR * seconds);
+  return Float32Array.from({ length: n }, (_, i) => 0.5 * Math.sin(2 * Math.PI * freq * i / SR));
+}
+
+// RMS over the second half, after the filter has settled
+function rmsTail(buf) {
+  let sum = 0;
+  const start = buf.length >> 1;
+  for (let i = start; i < buf.length; i++) sum += buf[i] * buf[i];
+  return Math.sqrt(sum / (buf.length - start));
+}
+
+const db = (ratio) => 20 * Math.log10(ratio);
+
+// Filter only: no saturation, no sample-and-hold (target = host rate),
+// 24-bit quantization is far below the levels measured here.
+const filterOnly = { downsampleEnabled: 1, targetSampleRate: SR, bitDepth: 24 };
+
+describe('Lo-Fi Processor — Chebyshev Type I anti-alias filter', () => {
+  it('passes a tone well below cutoff within the ripple band', () => {
+    const input = sine(1000);
+    const out = render(input, { ...filterOnly, filterCutoff: 12000, filterRipple: 1.0, filterOrder: 6 });
+    const gain = db(rmsTail(out) / rmsTail(input));
+    expect(gain).toBeLessThanOrEqual(0.05);
+    expect(gain).toBeGreaterThanOrEqual(-1.05);
+  });
+
+  it('strongly attenuates a tone above cutoff', () => {
+    const input = sine(20000);
+    const out = render(input, { ...filterOnly, filterCutoff: 12000, filterRipple: 1.0, filterOrder: 6 });
+    expect(db(rmsTail(out) / rmsTail(input))).toBeLessThan(-40);
+  });
+
+  it('higher order gives a steeper rolloff', () => {
+    const input = sine(16000);
+    const low = render(input, { ...filterOnly, filterCutoff: 12000, filterRipple: 0.5, filterOrder: 2 });
+    const high = render(input, { ...filterOnly, filterCutoff: 12000, filterRipple: 0.5, filterOrder: 8 });
+    expect(rmsTail(high)).toBeLessThan(rmsTail(low) * 0.1);
+  });
+
+  it('higher ripple gives a sharper transition at the same order', () => {
+    const input = sine(14000);
+    const smooth = render(input, { ...filterOnly, filterCutoff: 12000, filterRipple: 0.1, filterOrder: 4 });
+    const rippled = render(input, { ...filterOnly, filterCutoff: 12000, filterRipple: 2.0, filterOrder: 4 });
+    expect(rmsTail(rippled)).toBeLessThan(rmsTail(smooth));
+  });
+
+  it('even orders settle at the bottom of the ripple band at DC', () => {
+    const input = new Float32Array(SR / 4).fill(0.5);
+    const out = render(input, { ...filterOnly, filterCutoff: 12000, filterRipple: 1.0, filterOrder: 4 });
+    expect(out[out.length - 1]).toBeCloseTo(0.5 * Math.pow(10, -1.0 / 20), 4);
+  });
+
+  it('odd orders have unity DC gain', () => {
+    const input = new Float32Array(SR / 4).fill(0.5);
+    const out = render(input, { ...filterOnly, filterCutoff: 12000, filterRipple: 1.0, filterOrder: 5 });
+    expect(out[out.length - 1]).toBeCloseTo(0.5, 4);
+  });
+
+  it('passes audio through untouched when disabled', () => {
+    const input = sine(20000, 0.01);
+    const out = render(input, { enabled: 0 });
+    expect(Array.from(out)).toEqual(Array.from(input));
+  });
+});
+
+describe('Lo-Fi Processor — signal_chain_order', () => {
+  // Fixed buffer: a slow ramp through ±0.9, one 128-sample block
+  const ramp = Float32Array.from({ length: BLOCK }, (_, i) => -0.9 + 1.8 * i / (BLOCK - 1));
+  const GAIN = 2;
+  const LEVELS = 8; // bitDepth 4 → 2^(4-1)
+  // Saturation + coarse quantization; the filter sits far above the
+  // ramp's content and sample-and-hold runs at half the host rate.
+  const chain = {
+    saturationEnabled: 1, saturationGain: GAIN,
+    downsampleEnabled: 1, targetSampleRate: SR / 2, bitDepth: 4,
+    filterCutoff: 24000, filterOrder: 2, filterRipple: 0.01,
+  };
+  const onGrid = (x) => Math.abs(x * LEVELS - Math.round(x * LEVELS)) < 1e-6;
+  const onSaturatedGrid = (x) => {
+    const pre = Math.atanh(x) / GAIN * LEVELS;
+    return Math.abs(pre - Math.round(pre)) < 1e-4;
+  };
+
+  it('defaults to saturate_downsample_quantize', () => {
+    const implicit = render(ramp, chain);
+    const explicit = render(ramp, chain, { signalChainOrder: 'saturate_downsample_quantize' });
+    expect(Array.from(implicit)).toEqual(Array.from(explicit));
+  });
+
+  it('saturate_downsample_quantize ends on the quantization grid', () => {
+    const out = render(ramp, chain, { signalChainOrder: 'saturate_downsample_quantize' });
+    expect(Array.from(out).every(onGrid)).toBe(true);
+    // Saturation came first: the loudest level is past what the ramp alone reaches
+    expect(Math.max(...out)).toBeGreaterThan(0.9);
+  });
+
+  it('downsample_quantize_saturate ends on the saturated quantization grid', () => {
+    const out = render(ramp, chain, { signalChainOrder: 'downsample_quantize_saturate' });
+    expect(Array.from(out).every(onSaturatedGrid)).toBe(true);
+    expect(Array.from(out).every(onGrid)).toBe(false);
+  });
+
+  it('quantize_then_saturate matches tanh(gain · round(x)) sample for sample', () => {
+    const out = render(ramp, chain, { signalChainOrder: 'quantize_then_saturate' });
+    const expected = Array.from(ramp, x => Math.tanh(GAIN * Math.round(x * LEVELS) / LEVELS));
+    out.forEach((y, i) => expect(y).toBeCloseTo(expected[i], 6));
+  });
+
+  it('skips stages the order omits', () => {
+    // Without the downsample stage the hold never engages
+    const held = render(ramp, { ...chain, bitDepth: 24, saturationEnabled: 0 }, { signalChainOrder: 'saturate_downsample_quantize' });
+    const free = render(ramp, { ...chain, bitDepth: 24, saturationEnabled: 0 }, { signalChainOrder: 'quantize_then_saturate' });
+    const repeats = (buf) => buf.filter((y, i) => i > 0 && y === buf[i - 1]).length;
+    expect(repeats(held)).toBeGreaterThanOrEqual(BLOCK / 2 - 1);
+    expect(repeats(free)).toBe(0);
+  });
+
+  it('falls back to the default order for unknown strings', () => {
+    const fallback = render(ramp, chain, { signalChainOrder: 'bogus' });
+    const standard = render(ramp, chain);
+    expect(Array.from(fallback)).toEqual(Array.from(standard));
+  });
+});
+
+describe('Lo-Fi Processor — fractional sample-and-hold', () => {
+  // One second of a rising ramp: every held value differs from the last
+  const ramp = (n) => Float32Array.from({ length: n }, (_, i) => 0.5 * i / n);
+  const holdOnly = { downsampleEnabled: 1, bitDepth: 24, filterCutoff: 24000, filterOrder: 2, filterRipple: 0.01 };
+  const updates = (buf) => buf.filter((y, i) => i === 0 || y !== buf[i - 1]).length;
+
+  function atHostRate(rate, fn) {
+    const prev = globalThis.sampleRate;
+    globalThis.sampleRate = rate;
+    try { return fn(); } finally { globalThis.sampleRate = prev; }
+  }
+
+  it('reproduces the 26.04 kHz MPC60 rate at a 48 kHz host rate', () => {
+    const out = render(ramp(SR), { ...holdOnly, targetSampleRate: 26040 });
+    expect(Math.abs(updates(out) - 26040)).toBeLessThanOrEqual(2);
+  });
+
+  it('reproduces the 26.04 kHz rate at a 44.1 kHz host rate', () => {
+    const out = atHostRate(44100, () => render(ramp(44100), { ...holdOnly, targetSampleRate: 26040 }));
+    expect(Math.abs(updates(out) - 26040)).toBeLessThanOrEqual(2);
+  });
+
+  it('reproduces low non-integer-ratio rates', () => {
+    const out = render(ramp(SR), { ...holdOnly, targetSampleRate: 7000 });
+    expect(Math.abs(updates(out) - 7000)).toBeLessThanOrEqual(2);
+  });
+
+  it('passes every sample when the target is at or above the host rate', () => {
+    const out = render(ramp(BLOCK * 4), { ...holdOnly, targetSampleRate: SR });
+    expect(updates(out)).toBe(BLOCK * 4);
+  });
+});
+
+describe('Lo-Fi Processor — seeded crackle', () => {
+  const crackleOnly = { ...filterOnly, crackleAmount: 1 };
+  const silence = () => new Float32Array(SR / 2);
+
+  it('the same crackle seed renders the same clicks', () => {
+    expect(render(silence(), crackleOnly, { crackleSeed: 7 })).toEqual(render(silence(), crackleOnly, { crackleSeed: 7 }));
+  });
+
+  it('different seeds give different clicks', () => {
+    const a = render(silence(), crackleOnly, { crackleSeed: 7 });
+    const b = render(silence(), crackleOnly, { crackleSeed: 8 });
+    expect(rmsTail(a)).toBeGreaterThan(0);
+    expect(a).not.toEqual(b);
+  });
+});
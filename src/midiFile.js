@@ -0,0 +1,432 @@
+// ═══════════════════════════════════════════════════════════
+// MIDI FILE — Standard MIDI File Export & Import
+// SMF type 1, one track per drum/instrument channel
+// ═══════════════════════════════════════════════════════════
+//
+// Track 0 carries tempo, time signature and the beat name. Each
+// channel follows as its own track: drums on MIDI channel 10 with
+// General MIDI drum notes, instruments on channels 1–9, 11–16.
+//
+// Note times come from the same event collection the bounce uses,
+// so a groove-baked export places every note where the rendered
+// WAV places it (displacement, velocity humanization, ghost
+// attenuation included). Grid export drops groove and swing and
+// writes the steps straight.
+//
+// Import reads type 0/1 files, quantizes every note to the step
+// grid and splits the timeline into one pattern per bar (identical
+// bars share a pattern). What the grid cannot hold is reported:
+// timing moved onto the grid, drum notes with no channel, bars past
+// the pattern limit.
+//
+// Pure: bytes in, bytes/objects out, no I/O.
+
+import { collectTimelineEvents } from './sequencer.js';
+import { PATTERN_IDS } from './arrangement.js';
+
+/**
+ * Ticks per quarter note written to the header.
+ * @type {number}
+ */
+export const MIDI_PPQ = 480;
+
+/**
+ * General MIDI drum notes for the default drum channel ids.
+ * @type {Object<string, number>}
+ */
+export const GM_DRUM_NOTES = {
+  kick: 36,
+  rim: 37,
+  snare: 38,
+  clap: 39,
+  hihat_closed: 42,
+  tom: 45,
+  hihat_open: 46,
+  crash: 49,
+};
+
+const GM_DRUM_CHANNEL = 9;
+const DRUM_NOTE_TICKS = MIDI_PPQ / 8;
+
+/**
+ * MIDI note for a drum channel. Chopper pads (pad_N) map upward from
+ * C4; other unknown ids fall back to C4.
+ *
+ * @param {string} channelId - Drum channel id
+ * @returns {number} MIDI note number
+ */
+export function drumNoteForChannel(channelId) {
+  if (GM_DRUM_NOTES[channelId] != null) return GM_DRUM_NOTES[channelId];
+  const pad = /^pad_(\d+)$/.exec(channelId);
+  return pad ? 59 + Number(pad[1]) : 60;
+}
+
+/**
+ * Converts seconds to ticks at a constant tempo.
+ *
+ * @param {number} seconds - Time in seconds
+ * @param {number} bpm - Tempo
+ * @param {number} [ppq=MIDI_PPQ] - Ticks per quarter note
+ * @returns {number} Non-negative integer tick
+ */
+export function secondsToTicks(seconds, bpm, ppq = MIDI_PPQ) {
+  return Math.max(0, Math.round(seconds * bpm / 60 * ppq));
+}
+
+/**
+ * Groups collected sequencer events into one note track per channel.
+ * Every channel gets a track, empty or not, so the track layout is
+ * stable across exports.
+ *
+ * @param {Array<Object>} events - Events from collectTimelineEvents()
+ * @param {Array} drums - Drum channels
+ * @param {Array} instruments - Instrument channels
+ * @param {number} bpm - Tempo
+ * @returns {Array<{ name: string, channel: number, notes: Array<{ tick, duration, note, velocity }> }>}
+ */
+export function buildBeatTracks(events, drums, instruments, bpm) {
+  const tracks = new Map();
+  drums.forEach(ch => tracks.set(ch, { name: ch.name || ch.id, channel: GM_DRUM_CHANNEL, notes: [] }));
+  instruments.forEach((ch, i) => {
+    const channel = i < GM_DRUM_CHANNEL ? i : i + 1;
+    tracks.set(ch, { name: ch.name || ch.id, channel: channel & 0x0f, notes: [] });
+  });
+
+  for (const ev of events) {
+    const track = tracks.get(ev.channel);
+    if (!track) continue;
+    const tick = secondsToTicks(ev.time, bpm);
+    const velocity = Math.max(1, Math.min(127, Math.round(ev.velocity * 127)));
+    if (ev.type === 'drum') {
+      track.notes.push({ tick, duration: DRUM_NOTE_TICKS, note: drumNoteForChannel(ev.channel.id), velocity });
+    } else {
+      const duration = Math.max(1, secondsToTicks(ev.duration, bpm));
+      track.notes.push({ tick, duration, note: ev.midi, velocity });
+    }
+  }
+  return [...tracks.values()];
+}
+
+/**
+ * Encodes tracks as a type 1 Standard MIDI File.
+ *
+ * @param {Object} args
+ * @param {Array} args.tracks - Note tracks from buildBeatTracks()
+ * @param {number} args.bpm - Tempo written to the conductor track
+ * @param {string} [args.timeSignature='4/4'] - Time signature
+ * @param {string} [args.name] - Sequence name for the conductor track
+ * @param {number} [args.ppq=MIDI_PPQ] - Ticks per quarter note
+ * @returns {Uint8Array} File bytes
+ */
+export function writeMidiFile({ tracks, bpm, timeSignature = '4/4', name, ppq = MIDI_PPQ }) {
+  const [num, den] = timeSignature.split('/').map(Number);
+  const usPerQuarter = Math.round(60000000 / bpm);
+  const conductor = [
+    ...(name ? [{ tick: 0, order: 0, bytes: metaText(0x03, name) }] : []),
+    { tick: 0, order: 0, bytes: [0xff, 0x51, 0x03, (usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff] },
+    { tick: 0, order: 0, bytes: [0xff, 0x58, 0x04, num || 4, Math.log2(den || 4), 24, 8] },
+  ];
+
+  const chunks = [trackChunk(conductor)];
+  for (const track of tracks) {
+    const evs = [{ tick: 0, order: 0, bytes: metaText(0x03, track.name) }];
+    for (const n of track.notes) {
+      // At equal ticks note-offs sort before note-ons so repeated notes retrigger
+      evs.push({ tick: n.tick, order: 2, bytes: [0x90 | track.channel, n.note & 0x7f, n.velocity] });
+      evs.push({ tick: n.tick + n.duration, order: 1, bytes: [0x80 | track.channel, n.note & 0x7f, 0] });
+    }
+    chunks.push(trackChunk(evs));
+  }
+
+  const header = [
+    ...ascii('MThd'), ...u32(6),
+    ...u16(1), ...u16(chunks.length), ...u16(ppq),
+  ];
+  return Uint8Array.from([...header, ...chunks.flat()]);
+}
+
+/**
+ * Renders the beat's timeline to MIDI file bytes.
+ *
+ * @param {Object} args
+ * @param {Object} args.arrangement - Arrangement (patterns + chain)
+ * @param {Array} args.drums - Drum channels
+ * @param {Array} args.instruments - Instrument channels
+ * @param {Object} args.transport - Transport (bpm, swing, scale, steps_per_pattern, time_signature)
+ * @param {Object|null} args.grooveProfile - Groove profile
+ * @param {number} args.bars - Bars to export
+ * @param {boolean} [args.grooveBaked=true] - false bypasses the groove, as the A/B switch does (swing and trigs still apply)
+ * @param {boolean} [args.grid=false] - true writes every active step at its quantized position: no trig
+ *   probability or conditions, nudge, groove or swing
+ * @param {string} [args.name] - Sequence name
+ * @param {boolean} [args.fill=false] - Fill mode for fill / not_fill trig conditions
+ * @returns {Uint8Array} File bytes
+ */
+export function exportBeatMidi({ arrangement, drums, instruments, transport, grooveProfile, bars, grooveBaked = true, grid = false, name, fill = false }) {
+  const { events } = collectTimelineEvents({
+    arrangement, drums, instruments, transport, bars, fill, grooveProfile,
+    grooveEnabled: grooveBaked, grid,
+  });
+  return writeMidiFile({
+    tracks: buildBeatTracks(events, drums, instruments, transport.bpm),
+    bpm: transport.bpm,
+    timeSignature: transport.time_signature || '4/4',
+    name,
+  });
+}
+
+/**
+ * GM drum note → drum channel id, for import. Covers the notes the
+ * default kit can voice; anything else is reported as unmapped.
+ * @type {Object<number, string>}
+ */
+export const GM_DRUM_IMPORT_MAP = {
+  35: 'kick', 36: 'kick',
+  37: 'rim',
+  38: 'snare', 40: 'snare',
+  39: 'clap',
+  42: 'hihat_closed', 44: 'hihat_closed',
+  46: 'hihat_open',
+  41: 'tom', 43: 'tom', 45: 'tom', 47: 'tom', 48: 'tom', 50: 'tom',
+  49: 'crash', 52: 'crash', 55: 'crash', 57: 'crash',
+};
+
+/**
+ * Parses a Standard MIDI File (format 0 or 1, PPQ division).
+ * Handles running status, note-on with velocity 0 as note-off,
+ * and skips sysex and unknown meta events.
+ *
+ * @param {Uint8Array|ArrayBuffer} input - File bytes
+ * @returns {{ format: number, ppq: number, bpm: number|null, timeSignature: string,
+ *   tracks: Array<{ name: string|null, notes: Array<{ tick, duration, note, velocity, channel }> }> }}
+ * @throws {Error} On a malformed file or SMPTE time division
+ */
+export function readMidiFile(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tag = (o) => String.fromCharCode(bytes[o], bytes[o + 1], bytes[o + 2], bytes[o + 3]);
+  if (bytes.length < 14 || tag(0) !== 'MThd') throw new Error('Not a MIDI file');
+  const format = dv.getUint16(8);
+  const ntracks = dv.getUint16(10);
+  const ppq = dv.getUint16(12);
+  if (ppq & 0x8000) throw new Error('SMPTE time division is not supported');
+
+  let bpm = null;
+  let timeSignature = '4/4';
+  const tracks = [];
+  let o = 8 + dv.getUint32(4);
+  for (let t = 0; t < ntracks && o + 8 <= bytes.length; t++) {
+    if (tag(o) !== 'MTrk') throw new Error(`Missing track chunk ${t}`);
+    const end = Math.min(bytes.length, o + 8 + dv.getUint32(o + 4));
+    let p = o + 8;
+    let tick = 0;
+    let status = 0;
+    const track = { name: null, notes: [] };
+    const open = new Map();
+    const vlq = () => {
+      let v = 0, b;
+      do { b = bytes[p++]; v = (v * 128) + (b & 0x7f); } while (b & 0x80 && p < end);
+      return v;
+    };
+    const noteOff = (ch, note) => {
+      const key = ch * 128 + note;
+      const stack = open.get(key);
+      const on = stack?.shift();
+      if (on) on.duration = tick - on.tick;
+    };
+
+    while (p < end) {
+      tick += vlq();
+      if (bytes[p] & 0x80) status = bytes[p++];
+      if (status === 0xff) {
+        const type = bytes[p++];
+        const len = vlq();
+        if (type === 0x03 && track.name == null) track.name = new TextDecoder().decode(bytes.subarray(p, p + len));
+        if (type === 0x51 && bpm == null) bpm = 60000000 / ((bytes[p] << 16) | (bytes[p + 1] << 8) | bytes[p + 2]);
+        if (type === 0x58) timeSignature = `${bytes[p]}/${Math.pow(2, bytes[p + 1])}`;
+        p += len;
+        if (type === 0x2f) break;
+      } else if (status === 0xf0 || status === 0xf7) {
+        p += vlq();
+      } else {
+        const kind = status & 0xf0;
+        const ch = status & 0x0f;
+        const d1 = bytes[p++];
+        const d2 = kind === 0xc0 || kind === 0xd0 ? 0 : bytes[p++];
+        if (kind === 0x90 && d2 > 0) {
+          const n = { tick, duration: 0, note: d1, velocity: d2, channel: ch };
+          track.notes.push(n);
+          const key = ch * 128 + d1;
+          if (!open.has(key)) open.set(key, []);
+          open.get(key).push(n);
+        } else if (kind === 0x80 || kind === 0x90) {
+          noteOff(ch, d1);
+        }
+      }
+    }
+    tracks.push(track);
+    o = end;
+  }
+  return { format, ppq, bpm, timeSignature, tracks };
+}
+
+/**
+ * Maps a parsed MIDI file onto the beat's channels as an arrangement.
+ *
+ * Drum notes (MIDI channel 10) go to drum channels through
+ * GM_DRUM_IMPORT_MAP (pad_N channels also accept the notes export
+ * gives them). Other tracks fill instrument channels: a track whose
+ * name matches an instrument's name or id goes there, the rest fill
+ * the remaining instruments in order.
+ *
+ * Each bar of the timeline becomes a pattern; identical bars reuse
+ * one pattern. Notes are snapped to the nearest step.
+ *
+ * @param {Object} midi - Result of readMidiFile()
+ * @param {Array} drums - Drum channels
+ * @param {Array} instruments - Instrument channels
+ * @param {number} stepsPerPattern - Steps per bar (typically 16)
+ * @returns {{ arrangement: Object, report: { bars: number, patterns: number, notes: number,
+ *   quantized: number, maxOffsetMs: number, unmappedDrums: number, unmappedTracks: number, droppedBars: number } }}
+ */
+export function midiToArrangement(midi, drums, instruments, stepsPerPattern) {
+  const [num, den] = midi.timeSignature.split('/').map(Number);
+  const barTicks = midi.ppq * 4 * (num || 4) / (den || 4);
+  const stepTicks = barTicks / stepsPerPattern;
+  const msPerTick = 60000 / ((midi.bpm || 120) * midi.ppq);
+  const report = { bars: 0, patterns: 0, notes: 0, quantized: 0, maxOffsetMs: 0, unmappedDrums: 0, unmappedTracks: 0, droppedBars: 0 };
+
+  const drumIds = new Set(drums.map(ch => ch.id));
+  const drumChannelFor = (note) => {
+    const id = GM_DRUM_IMPORT_MAP[note];
+    if (id && drumIds.has(id)) return id;
+    const pad = drums.find(ch => /^pad_\d+$/.test(ch.id) && drumNoteForChannel(ch.id) === note);
+    return pad ? pad.id : null;
+  };
+
+  // Assign melodic tracks to instruments: by name first, then in order
+  const melodic = midi.tracks.filter(t => t.notes.some(n => n.channel !== GM_DRUM_CHANNEL));
+  const assigned = new Map();
+  const free = [...instruments];
+  for (const t of melodic) {
+    const name = (t.name || '').trim().toLowerCase();
+    const idx = free.findIndex(ch => name && (ch.name?.toLowerCase() === name || ch.id === name));
+    if (idx >= 0) assigned.set(t, free.splice(idx, 1)[0]);
+  }
+  for (const t of melodic) {
+    if (assigned.has(t)) continue;
+    if (free.length) assigned.set(t, free.shift());
+    else report.unmappedTracks++;
+  }
+
+  // Quantize every note into bars
+  const bars = [];
+  const barAt = (i) => {
+    while (bars.length <= i) bars.push({ drums: {}, instruments: {} });
+    return bars[i];
+  };
+  const snap = (tick) => {
+    const gridIndex = Math.round(tick / stepTicks);
+    const offset = Math.abs(tick - gridIndex * stepTicks);
+    if (offset > 0) {
+      report.quantized++;
+      report.maxOffsetMs = Math.max(report.maxOffsetMs, offset * msPerTick);
+    }
+    return { bar: Math.floor(gridIndex / stepsPerPattern), step: gridIndex % stepsPerPattern };
+  };
+
+  for (const t of midi.tracks) {
+    const inst = assigned.get(t);
+    for (const n of t.notes) {
+      if (n.channel === GM_DRUM_CHANNEL) {
+        const id = drumChannelFor(n.note);
+        if (!id) { report.unmappedDrums++; continue; }
+        const { bar, step } = snap(n.tick);
+        const steps = barAt(bar).drums[id] || (barAt(bar).drums[id] = {});
+        const velocity = n.velocity / 127;
+        steps[step] = Math.max(steps[step] || 0, velocity);
+        report.notes++;
+      } else if (inst) {
+        const { bar, step } = snap(n.tick);
+        const notes = barAt(bar).instruments[inst.id] || (barAt(bar).instruments[inst.id] = []);
+        const length = Math.max(1, Math.round(n.duration / stepTicks));
+        const velocity = n.velocity / 127;
+        // Like drum hits, notes that snap onto the same step and pitch
+        // collapse into one (they would share a performer stream anyway)
+        const same = notes.find(x => x.step === step && x.midi_note === n.note);
+        if (same) {
+          same.length_steps = Math.max(same.length_steps, length);
+          same.velocity = Math.max(same.velocity, velocity);
+        } else {
+          notes.push({ step, midi_note: n.note, length_steps: length, velocity });
+        }
+        report.notes++;
+      }
+    }
+  }
+  if (!bars.length) bars.push({ drums: {}, instruments: {} });
+  report.bars = bars.length;
+
+  // Bars → patterns, sharing a pattern between identical bars
+  const patterns = {};
+  const byContent = new Map();
+  const chain = [];
+  for (let b = 0; b < bars.length; b++) {
+    const content = {
+      drums: Object.fromEntries(drums.map(ch => [ch.id, Array.from({ length: stepsPerPattern }, (_, i) => {
+        const v = bars[b].drums[ch.id]?.[i];
+        return v ? { active: true, velocity: v } : { active: false, velocity: 0.8 };
+      })])),
+      instruments: Object.fromEntries(instruments.map(ch => [ch.id, bars[b].instruments[ch.id] || []])),
+    };
+    const key = JSON.stringify(content);
+    let id = byContent.get(key);
+    if (!id) {
+      id = PATTERN_IDS[byContent.size];
+      if (!id) { report.droppedBars = bars.length - b; break; }
+      byContent.set(key, id);
+      patterns[id] = { name: `MIDI ${id}`, description: `Imported from bar ${b + 1}`, ...content };
+    }
+    chain.push(id);
+  }
+  report.patterns = byContent.size;
+
+  return { arrangement: { pattern_chain: chain, patterns }, report };
+}
+
+// ── Encoding helpers ──
+
+function trackChunk(events) {
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+  const body = [];
+  let last = 0;
+  for (const ev of events) {
+    body.push(...varLen(ev.tick - last), ...ev.bytes);
+    last = ev.tick;
+  }
+  body.push(0x00, 0xff, 0x2f, 0x00);
+  return [...ascii('MTrk'), ...u32(body.length), ...body];
+}
+
+function metaText(type, text) {
+  const bytes = [...new TextEncoder().encode(text)];
+  return [0xff, type, ...varLen(bytes.length), ...bytes];
+}
+
+function varLen(n) {
+  const out = [n & 0x7f];
+  while ((n >>= 7) > 0) out.unshift((n & 0x7f) | 0x80);
+  return out;
+}
+
+function ascii(s) {
+  return [...s].map(c => c.charCodeAt(0));
+}
+
+function u32(n) {
+  return [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+}
+
+function u16(n) {
+  return [(n >> 8) & 0xff, n & 0xff];
+}
@@ -0,0 +1,228 @@
+// ═══════════════════════════════════════════════════════════
+// MIDI File — Tests for SMF type 1 export & import
+// ═══════════════════════════════════════════════════════════
+import { describe, it, expect } from 'vitest';
+import {
+  MIDI_PPQ,
+  GM_DRUM_NOTES,
+  drumNoteForChannel,
+  secondsToTicks,
+  writeMidiFile,
+  exportBeatMidi,
+  readMidiFile,
+  midiToArrangement,
+} from './midiFile.js';
+import { collectTimelineEvents } from './sequencer.js';
+import { grooveQuestlove } from './grooveProfiles.js';
+import { createArrangement } from './arrangement.js';
+import { mkSteps, mkDrum, mkInstrument } from './testFixtures.js';
+
+const drums = [mkDrum('kick', [0, 8], { name: 'Kick' }), mkDrum('snare', [4, 12], { name: 'Snare' })];
+const instruments = [mkInstrument('bass', [{ step: 0, midi_note: 36, length_steps: 4, velocity: 1 }], { name: 'Bass' })];
+const transport = { bpm: 90, swing: 0.1, scale: 'minor', steps_per_pattern: 16, time_signature: '4/4' };
+const arrangement = createArrangement(drums, instruments);
+
+// Minimal SMF reader: absolute-tick channel events per track, meta names
+function parse(bytes) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const str = (o, n) => String.fromCharCode(...bytes.subarray(o, o + n));
+  const header = { id: str(0, 4), format: dv.getUint16(8), ntracks: dv.getUint16(10), division: dv.getUint16(12) };
+  const tracks = [];
+  let o = 14;
+  while (o < bytes.length) {
+    expect(str(o, 4)).toBe('MTrk');
+    const end = o + 8 + dv.getUint32(o + 4);
+    let p = o + 8, tick = 0;
+    const track = { name: null, tempo: null, notes: [] };
+    const vlq = () => { let v = 0, b; do { b = bytes[p++]; v = (v << 7) | (b & 0x7f); } while (b & 0x80); return v; };
+    while (p < end) {
+      tick += vlq();
+      const status = bytes[p++];
+      if (status === 0xff) {
+        const type = bytes[p++];
+        const len = vlq();
+        if (type === 0x03) track.name = new TextDecoder().decode(bytes.subarray(p, p + len));
+        if (type === 0x51) track.tempo = (bytes[p] << 16) | (bytes[p + 1] << 8) | bytes[p + 2];
+        p += len;
+      } else {
+        track.notes.push({ tick, kind: status & 0xf0, channel: status & 0x0f, note: bytes[p], velocity: bytes[p + 1] });
+        p += 2;
+      }
+    }
+    tracks.push(track);
+    o = end;
+  }
+  return { header, tracks };
+}
+
+describe('MIDI File — encoding', () => {
+  it('writes a type 1 header with a conductor track plus one track per channel', () => {
+    const { header, tracks } = parse(exportBeatMidi({ arrangement, drums, instruments, transport, grooveProfile: null, bars: 1, name: 'Test' }));
+    expect(header).toEqual({ id: 'MThd', format: 1, ntracks: 4, division: MIDI_PPQ });
+    expect(tracks.map(t => t.name)).toEqual(['Test', 'Kick', 'Snare', 'Bass']);
+    expect(tracks[0].tempo).toBe(Math.round(60000000 / 90));
+  });
+
+  it('drums play GM notes on channel 10, instruments on their own channel', () => {
+    const { tracks } = parse(exportBeatMidi({ arrangement, drums, instruments, transport, grooveProfile: null, bars: 1 }));
+    const ons = (t) => t.notes.filter(n => n.kind === 0x90);
+    expect(ons(tracks[1]).every(n => n.channel === 9 && n.note === GM_DRUM_NOTES.kick)).toBe(true);
+    expect(ons(tracks[3])[0]).toMatchObject({ channel: 0, note: 36, velocity: 127 });
+    // Bass note lasts 4 steps = one quarter note
+    const off = tracks[3].notes.find(n => n.kind === 0x80);
+    expect(off.tick).toBe(MIDI_PPQ);
+  });
+
+  it('grid export writes straight step positions', () => {
+    const { tracks } = parse(exportBeatMidi({
+      arrangement, drums, instruments, transport, grooveProfile: grooveQuestlove(90), bars: 2, grid: true,
+    }));
+    const snareTicks = tracks[2].notes.filter(n => n.kind === 0x90).map(n => n.tick);
+    const q = MIDI_PPQ;
+    expect(snareTicks).toEqual([q, 3 * q, 5 * q, 7 * q]);
+  });
+
+  it('grid export keeps unlikely, conditional and nudged steps', () => {
+    const hats = mkSteps([0, 2, 6]);
+    hats[0].probability = 0;
+    hats[2].condition = 'fill';
+    hats[6].nudge_ms = 25;
+    const hat = mkDrum('hihat', [], { name: 'Hat', pattern: { steps: hats } });
+    const arr = createArrangement([hat], []);
+    const ticks = (opts) => parse(exportBeatMidi({ arrangement: arr, drums: [hat], instruments: [], transport, grooveProfile: null, bars: 1, ...opts }))
+      .tracks[1].notes.filter(n => n.kind === 0x90).map(n => n.tick);
+    const s = MIDI_PPQ / 4;
+    expect(ticks({ grid: true })).toEqual([0, 2 * s, 6 * s]);
+    // The performed export resolves the trigs and keeps the nudge
+    expect(ticks({})).toEqual([secondsToTicks(6 * 60 / 90 / 4 + 0.025, 90)]);
+  });
+
+  it('bypassing the groove keeps the transport swing', () => {
+    const { tracks } = parse(exportBeatMidi({
+      arrangement, drums, instruments, transport, grooveProfile: grooveQuestlove(90), bars: 1, grooveBaked: false,
+    }));
+    const { events } = collectTimelineEvents({ arrangement, drums, instruments, transport, grooveProfile: null, bars: 1 });
+    const snareEvents = events.filter(e => e.channel.id === 'snare');
+    expect(tracks[2].notes.filter(n => n.kind === 0x90).map(n => n.tick)).toEqual(snareEvents.map(e => secondsToTicks(e.time, 90)));
+  });
+
+  it('groove-baked export places notes where the bounce does', () => {
+    const gp = grooveQuestlove(90);
+    const { events } = collectTimelineEvents({ arrangement, drums, instruments, transport, grooveProfile: gp, bars: 2 });
+    const { tracks } = parse(exportBeatMidi({ arrangement, drums, instruments, transport, grooveProfile: gp, bars: 2 }));
+    const snareOns = tracks[2].notes.filter(n => n.kind === 0x90);
+    const snareEvents = events.filter(e => e.channel.id === 'snare');
+    expect(snareOns.map(n => n.tick)).toEqual(snareEvents.map(e => secondsToTicks(e.time, 90)));
+    expect(snareOns.map(n => n.velocity)).toEqual(snareEvents.map(e => Math.max(1, Math.min(127, Math.round(e.velocity * 127)))));
+    // The groove actually moved something off the grid
+    expect(snareOns.some(n => n.tick % (MIDI_PPQ / 4) !== 0)).toBe(true);
+  });
+
+  it('note-offs precede note-ons at the same tick', () => {
+    const bytes = writeMidiFile({
+      bpm: 120, tracks: [{ name: 'x', channel: 0, notes: [
+        { tick: 0, duration: 120, note: 60, velocity: 100 },
+        { tick: 120, duration: 120, note: 60, velocity: 100 },
+      ] }],
+    });
+    const kinds = parse(bytes).tracks[1].notes.map(n => [n.tick, n.kind]);
+    expect(kinds).toEqual([[0, 0x90], [120, 0x80], [120, 0x90], [240, 0x80]]);
+  });
+
+  it('maps chopper pads and unknown drum ids to notes', () => {
+    expect(drumNoteForChannel('pad_1')).toBe(60);
+    expect(drumNoteForChannel('pad_16')).toBe(75);
+    expect(drumNoteForChannel('cowbell')).toBe(60);
+  });
+});
+
+describe('MIDI File — import', () => {
+  const q = MIDI_PPQ;
+  const drumTrack = (notes) => ({ name: 'Drums', channel: 9, notes });
+
+  it('reads back what export writes', () => {
+    const midi = readMidiFile(exportBeatMidi({ arrangement, drums, instruments, transport, grooveProfile: null, bars: 1, name: 'Test' }));
+    expect(midi).toMatchObject({ format: 1, ppq: q, timeSignature: '4/4' });
+    expect(midi.bpm).toBeCloseTo(90, 3);
+    expect(midi.tracks.map(t => t.name)).toEqual(['Test', 'Kick', 'Snare', 'Bass']);
+    expect(midi.tracks[3].notes).toEqual([{ tick: 0, duration: q, note: 36, velocity: 127, channel: 0 }]);
+  });
+
+  it('grid export round-trips into the same pattern', () => {
+    const midi = readMidiFile(exportBeatMidi({ arrangement, drums, instruments, transport, grooveProfile: null, bars: 1 }));
+    const { arrangement: arr, report } = midiToArrangement(midi, drums, instruments, 16);
+    expect(arr.pattern_chain).toEqual(['A']);
+    expect(arr.patterns.A.drums.kick.map(s => s.active)).toEqual(drums[0].pattern.steps.map(s => s.active));
+    expect(arr.patterns.A.drums.snare.map(s => s.active)).toEqual(drums[1].pattern.steps.map(s => s.active));
+    expect(arr.patterns.A.instruments.bass).toEqual([{ step: 0, midi_note: 36, length_steps: 4, velocity: 1 }]);
+    expect(report.quantized).toBe(0);
+  });
+
+  it('quantizes off-grid notes and reports the timing it dropped', () => {
+    const bytes = writeMidiFile({ bpm: 120, tracks: [drumTrack([
+      { tick: 0, duration: 10, note: 36, velocity: 100 },
+      { tick: q + 24, duration: 10, note: 38, velocity: 100 },   // 24 ticks late
+      { tick: 2 * q - 12, duration: 10, note: 36, velocity: 100 }, // 12 ticks early
+    ])] });
+    const { arrangement: arr, report } = midiToArrangement(readMidiFile(bytes), drums, instruments, 16);
+    expect(arr.patterns.A.drums.snare[4].active).toBe(true);
+    expect(arr.patterns.A.drums.kick[8].active).toBe(true);
+    expect(report.quantized).toBe(2);
+    expect(report.maxOffsetMs).toBeCloseTo(24 * 60000 / (120 * q), 6);
+  });
+
+  it('collapses notes that snap onto the same step and pitch', () => {
+    const bytes = writeMidiFile({ bpm: 90, tracks: [{ name: 'Bass', channel: 0, notes: [
+      { tick: 0, duration: 10, note: 36, velocity: 60 },
+      { tick: 20, duration: q, note: 36, velocity: 100 }, // a flam, same step
+      { tick: 0, duration: 10, note: 43, velocity: 90 },
+    ] }] });
+    const { arrangement: arr, report } = midiToArrangement(readMidiFile(bytes), drums, instruments, 16);
+    expect(arr.patterns.A.instruments.bass).toEqual([
+      { step: 0, midi_note: 36, length_steps: 4, velocity: 100 / 127 },
+      { step: 0, midi_note: 43, length_steps: 1, velocity: 90 / 127 },
+    ]);
+    expect(report.notes).toBe(3);
+  });
+
+  it('splits bars into patterns and shares identical bars', () => {
+    const bar = 4 * q;
+    const bytes = writeMidiFile({ bpm: 90, tracks: [drumTrack([
+      { tick: 0, duration: 10, note: 36, velocity: 100 },
+      { tick: bar, duration: 10, note: 38, velocity: 100 },
+      { tick: 2 * bar, duration: 10, note: 36, velocity: 100 },
+    ])] });
+    const { arrangement: arr, report } = midiToArrangement(readMidiFile(bytes), drums, instruments, 16);
+    expect(arr.pattern_chain).toEqual(['A', 'B', 'A']);
+    expect(report).toMatchObject({ bars: 3, patterns: 2 });
+  });
+
+  it('counts drum notes with no matching channel', () => {
+    const bytes = writeMidiFile({ bpm: 90, tracks: [drumTrack([
+      { tick: 0, duration: 10, note: 36, velocity: 100 },
+      { tick: 0, duration: 10, note: 81, velocity: 100 }, // open triangle
+      { tick: 0, duration: 10, note: 42, velocity: 100 }, // closed hat — not in this two-channel kit
+    ])] });
+    const { report } = midiToArrangement(readMidiFile(bytes), drums, instruments, 16);
+    expect(report).toMatchObject({ notes: 1, unmappedDrums: 2 });
+  });
+
+  it('handles running status and note-on velocity 0 as note-off', () => {
+    const track = [
+      0x00, 0x90, 60, 100,       // note on
+      0x60, 60, 0,               // running status note-on vel 0 = off, 96 ticks later
+      0x00, 0xff, 0x2f, 0x00,
+    ];
+    const bytes = Uint8Array.from([
+      0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,
+      0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, track.length, ...track,
+    ]);
+    const midi = readMidiFile(bytes);
+    expect(midi).toMatchObject({ format: 0, ppq: 96, bpm: null });
+    expect(midi.tracks[0].notes).toEqual([{ tick: 0, duration: 96, note: 60, velocity: 100, channel: 0 }]);
+  });
+
+  it('rejects files that are not MIDI', () => {
+    expect(() => readMidiFile(new Uint8Array(20))).toThrow('Not a MIDI file');
+  });
+});
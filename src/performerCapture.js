@@ -0,0 +1,99 @@
+// ═══════════════════════════════════════════════════════════
+// PERFORMER CAPTURE — Player Behaviour Layer
+// Velocity response + per-instrument phase behaviours
+// ═══════════════════════════════════════════════════════════
+//
+// A performer_capture block describes how one player hits the kit,
+// on top of the groove's channel coefficients:
+//
+//   velocity_response  — how programmed velocity becomes hit strength
+//   phase_behavior     — snare drag, hat scatter, kick push
+//   micro_bias         — ghost attenuation, rushed hats
+//
+// Phase behaviours return unscaled ms and fold into the existing
+// kernel terms (Δ_L, Δ_C, σ·G), so β, Γ, emotional bias and every
+// clamp apply to them exactly as to the rest of the field.
+//
+// Coefficient-gated: performer_capture.enabled gates the layer, and
+// each behaviour is off at its neutral value (0 ms, probability 0,
+// snare_drag_curve.enabled false).
+//
+// Randomness comes from the rng passed in, which the scheduler seeds
+// per event from performer_capture.randomization_seed. The layer never
+// draws from the groove's main RNG stream, so enabling it leaves every
+// other random decision unchanged.
+
+import { computeDragCurve } from './grooveField.js';
+
+// ── Velocity Response Curves ──
+// Map normalized velocity (0–1) to a normalized loudness (0–1).
+export const VELOCITY_CURVES = {
+  linear:      (v) => v,
+  exponential: (v) => v * v,
+  logarithmic: (v) => Math.sqrt(v),
+  s_curve:     (v) => v * v * (3 - 2 * v),
+};
+
+/**
+ * Maps a programmed velocity through the performer's response curve
+ * onto their dynamic range. Full velocity stays at 1.0; velocity 0
+ * lands dynamic_range_db below it.
+ *
+ * Math: v' = 10^((curve(v) − 1) · range_db / 20)
+ *
+ * @param {number} velocity - Programmed velocity (0.0–1.0)
+ * @param {Object} response - performer_capture.velocity_response
+ * @returns {number} Performed velocity (0.0–1.0)
+ */
+export function applyVelocityResponse(velocity, response) {
+  const curve = VELOCITY_CURVES[response?.curve_type] || VELOCITY_CURVES.linear;
+  const v = Math.max(0, Math.min(1, velocity));
+  const rangeDb = response?.dynamic_range_db ?? 24;
+  return Math.pow(10, (curve(v) - 1) * rangeDb / 20);
+}
+
+/**
+ * Computes the performer's phase contribution for one event.
+ *
+ * Kick:  kick_push_ms moves every kick ahead (positive = earlier).
+ * Snare: snare_drag_curve adds its own power-curve drag across the bar.
+ * Hihat: hat_jitter_sigma_ms scatters hats; rushing_hat_probability
+ *        moves a hat by rushing_hat_amount_ms.
+ *
+ * RNG draw order is fixed (jitter, then rush) so a seed always
+ * produces the same hits.
+ *
+ * @param {number} stepInBar - Step within the bar
+ * @param {number} stepsPerBar - Steps per bar
+ * @param {string} canonicalChannel - Resolved channel ('kick', 'snare', 'hihat', …)
+ * @param {Object} performer - performer_capture block
+ * @param {SeededRNG} rng - Per-event performer RNG
+ * @returns {{ linearOffset: number, curvature: number, jitter: number }} Unscaled ms
+ */
+export function computePerformerPhase(stepInBar, stepsPerBar, canonicalChannel, performer, rng) {
+  const terms = { linearOffset: 0, curvature: 0, jitter: 0 };
+  if (!performer?.enabled) return terms;
+  const phase = performer.phase_behavior || {};
+  const bias = performer.micro_bias || {};
+
+  if (canonicalChannel === 'kick') {
+    terms.linearOffset = -(phase.kick_push_ms || 0);
+  }
+
+  if (canonicalChannel === 'snare' && phase.snare_drag_curve?.enabled) {
+    const dc = phase.snare_drag_curve;
+    // Pass bpmScale=1: kernel applies β
+    terms.curvature = computeDragCurve(stepInBar, stepsPerBar, dc.max_drag_ms || 0, dc.curve_exponent || 1, 1, 1);
+  }
+
+  if (canonicalChannel === 'hihat' && rng) {
+    const sigma = phase.hat_jitter_sigma_ms || 0;
+    if (sigma > 0) terms.jitter = sigma * rng.gaussian();
+    const rushProb = bias.rushing_hat_probability || 0;
+    if (rushProb > 0 && rng.next() < rushProb) {
+      terms.linearOffset = bias.rushing_hat_amount_ms || 0;
+    }
+  }
+
+  return terms;
+}
@@ -0,0 +1,158 @@
+// ═══════════════════════════════════════════════════════════
+// Performer Capture — Tests for velocity response & phase behaviours
+// ═══════════════════════════════════════════════════════════
+import { describe, it, expect } from 'vitest';
+import { VELOCITY_CURVES, applyVelocityResponse, computePerformerPhase } from './performerCapture.js';
+import { applyGroove, assembleGrooveContext, createDefaultGrooveProfile, deriveSeed, SeededRNG } from './grooveEngine.js';
+
+// Default profile with every other layer neutral and performer capture on
+function withPerformer(patch = {}) {
+  const gp = createDefaultGrooveProfile(90);
+  gp.feel_bias = 'deep_pocket';
+  const pc = gp.performer_capture;
+  gp.performer_capture = {
+    ...pc, enabled: true, ...patch,
+    velocity_response: { ...pc.velocity_response, ...patch.velocity_response },
+    phase_behavior: { ...pc.phase_behavior, hat_jitter_sigma_ms: 0, ...patch.phase_behavior },
+    micro_bias: { ...pc.micro_bias, ...patch.micro_bias },
+  };
+  return gp;
+}
+
+const offsetMs = (gp, step, ch, bar = 0, rng = new SeededRNG(1), v = 0.8) =>
+  (applyGroove(1, step, ch, gp, bar, rng, 'minor', v).time - 1) * 1000;
+
+describe('Performer Capture — velocity response', () => {
+  it('full velocity stays at 1, zero lands at -dynamic_range_db', () => {
+    for (const curve_type of Object.keys(VELOCITY_CURVES)) {
+      expect(applyVelocityResponse(1, { curve_type, dynamic_range_db: 24 })).toBeCloseTo(1, 9);
+      expect(applyVelocityResponse(0, { curve_type, dynamic_range_db: 24 })).toBeCloseTo(Math.pow(10, -24 / 20), 9);
+    }
+  });
+
+  it('curves order mid velocities: exponential < linear < logarithmic', () => {
+    const at = (curve_type) => applyVelocityResponse(0.5, { curve_type, dynamic_range_db: 24 });
+    expect(at('exponential')).toBeLessThan(at('linear'));
+    expect(at('linear')).toBeLessThan(at('logarithmic'));
+    expect(at('s_curve')).toBeCloseTo(at('linear'), 9); // symmetric at the midpoint
+  });
+
+  it('applyGroove returns the performed velocity only when enabled', () => {
+    const on = withPerformer({ velocity_response: { curve_type: 'exponential', dynamic_range_db: 20 } });
+    const off = { ...on, performer_capture: { ...on.performer_capture, enabled: false } };
+    expect(applyGroove(0, 0, 'kick', on, 0, new SeededRNG(1), 'minor', 0.5).velocity).toBeCloseTo(Math.pow(10, -0.75), 9);
+    expect(applyGroove(0, 0, 'kick', off, 0, new SeededRNG(1), 'minor', 0.5).velocity).toBe(0.5);
+  });
+});
+
+describe('Performer Capture — phase behaviours', () => {
+  it('kick_push_ms moves kicks earlier and leaves other channels alone', () => {
+    const gp = withPerformer({ phase_behavior: { kick_push_ms: 2 } });
+    expect(offsetMs(gp, 4, 'kick')).toBeCloseTo(-2, 9);
+    expect(offsetMs(gp, 4, 'tom')).toBeCloseTo(-2, 9);
+    expect(offsetMs(gp, 4, 'snare')).toBe(0);
+  });
+
+  it('snare drag curve follows D·(n/N)^α on snares only', () => {
+    const gp = withPerformer({ phase_behavior: { snare_drag_curve: { enabled: true, max_drag_ms: 12, curve_exponent: 2 } } });
+    expect(offsetMs(gp, 0, 'snare')).toBeCloseTo(0, 9);
+    expect(offsetMs(gp, 8, 'snare')).toBeCloseTo(3, 9);
+    expect(offsetMs(gp, 8, 'clap')).toBeCloseTo(3, 9);
+    expect(offsetMs(gp, 8, 'hihat_closed')).toBe(0);
+  });
+
+  it('phase terms are β-scaled by the kernel', () => {
+    const gp = withPerformer({ phase_behavior: { kick_push_ms: 2 } });
+    gp.bpm = 180;
+    expect(offsetMs(gp, 4, 'kick')).toBeCloseTo(-1, 9);
+  });
+
+  it('hat jitter scatters hats with the configured sigma', () => {
+    const gp = withPerformer({ phase_behavior: { hat_jitter_sigma_ms: 3 } });
+    // Sit hats mid-window so the push limit never clips the scatter
+    gp.channel_offsets.hihat.timing_offset_ms = 10;
+    const offs = [];
+    for (let bar = 0; bar < 200; bar++) {
+      for (let step = 0; step < 16; step++) offs.push(offsetMs(gp, step, 'hihat_closed', bar) - 10);
+    }
+    const mean = offs.reduce((s, v) => s + v, 0) / offs.length;
+    const sd = Math.sqrt(offs.reduce((s, v) => s + (v - mean) ** 2, 0) / offs.length);
+    expect(Math.abs(mean)).toBeLessThan(0.3);
+    expect(sd).toBeGreaterThan(2.6);
+    expect(sd).toBeLessThan(3.4);
+  });
+
+  it('rushing hats move by rushing_hat_amount_ms at the given rate', () => {
+    const gp = withPerformer({ micro_bias: { rushing_hat_probability: 0.25, rushing_hat_amount_ms: -3 } });
+    let rushed = 0, total = 0;
+    for (let bar = 0; bar < 100; bar++) {
+      for (let step = 0; step < 16; step++, total++) {
+        const off = offsetMs(gp, step, 'hihat_closed', bar);
+        expect([0, -3]).toContainEqual(Math.round(off * 1e9) / 1e9);
+        if (off < 0) rushed++;
+      }
+    }
+    expect(rushed / total).toBeGreaterThan(0.2);
+    expect(rushed / total).toBeLessThan(0.3);
+  });
+
+  it('disabled layer contributes nothing even with behaviours set', () => {
+    const terms = computePerformerPhase(8, 16, 'hihat', {
+      enabled: false,
+      phase_behavior: { hat_jitter_sigma_ms: 5, kick_push_ms: 4 },
+      micro_bias: { rushing_hat_probability: 1, rushing_hat_amount_ms: -3 },
+    }, new SeededRNG(1));
+    expect(terms).toEqual({ linearOffset: 0, curvature: 0, jitter: 0 });
+  });
+});
+
+describe('Performer Capture — determinism', () => {
+  it('same performer seed gives the same hits regardless of the main RNG', () => {
+    const gp = withPerformer({ phase_behavior: { hat_jitter_sigma_ms: 3 } });
+    const a = offsetMs(gp, 6, 'hihat_closed', 3, new SeededRNG(1));
+    const b = offsetMs(gp, 6, 'hihat_closed', 3, new SeededRNG(999));
+    expect(a).toBe(b);
+    const reseeded = { ...gp, performer_capture: { ...gp.performer_capture, randomization_seed: 7 } };
+    expect(offsetMs(reseeded, 6, 'hihat_closed', 3)).not.toBe(a);
+  });
+
+  it('chord notes draw their own performer jitter', () => {
+    const gp = withPerformer({ phase_behavior: { hat_jitter_sigma_ms: 3 } });
+    const note = (midi) => (applyGroove(1, 6, 'hihat_closed', gp, 3, new SeededRNG(1), 'minor', 0.8, undefined, midi).time - 1) * 1000;
+    expect(note(60)).toBe(note(60));
+    expect(note(60)).not.toBe(note(64));
+    // Drum hits keep their note-less address
+    expect(note(undefined)).toBe(offsetMs(gp, 6, 'hihat_closed', 3));
+  });
+
+  it('enabling the layer does not advance the main RNG', () => {
+    const gp = createDefaultGrooveProfile(90);
+    gp.channel_offsets.snare.jitter_ms = 4;
+    const on = withPerformer({ phase_behavior: { hat_jitter_sigma_ms: 3 }, micro_bias: { rushing_hat_probability: 0.5 } });
+    on.channel_offsets.snare.jitter_ms = 4;
+    on.feel_bias = gp.feel_bias;
+    const run = (profile) => {
+      const rng = new SeededRNG(5);
+      return [0, 2, 4, 6].flatMap(step => [
+        applyGroove(1, step, 'hihat_closed', profile, 0, rng, 'minor', 0.8),
+        applyGroove(1, step, 'snare', profile, 0, rng, 'minor', 0.8),
+      ]).filter((_, i) => i % 2 === 1).map(r => r.time);
+    };
+    expect(run(on)).toEqual(run(gp));
+  });
+
+  it('deriveSeed depends on every part of the address', () => {
+    const base = deriveSeed(42, 'snare', 0, 4);
+    expect(deriveSeed(42, 'snare', 0, 4)).toBe(base);
+    expect(deriveSeed(43, 'snare', 0, 4)).not.toBe(base);
+    expect(deriveSeed(42, 'kick', 0, 4)).not.toBe(base);
+    expect(deriveSeed(42, 'snare', 1, 4)).not.toBe(base);
+    expect(deriveSeed(42, 'snare', 0, 5)).not.toBe(base);
+  });
+
+  it('context without an RNG carries only the deterministic behaviours', () => {
+    const gp = withPerformer({ phase_behavior: { hat_jitter_sigma_ms: 3, kick_push_ms: 2 } });
+    expect(assembleGrooveContext(4, 'hihat_closed', gp, 0, null, 'minor', 0.8).jitter).toBe(0);
+    expect(assembleGrooveContext(4, 'kick', gp, 0, null, 'minor', 0.8).linearOffset).toBe(-2);
+  });
+});
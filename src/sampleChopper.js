@@ -0,0 +1,137 @@
+// ═══════════════════════════════════════════════════════════
+// SAMPLE CHOPPER — Loop Slicing onto Pads
+// MPC-style chop workflow for beats loaded in Studio
+// ═══════════════════════════════════════════════════════════
+//
+// A loaded loop is cut into slices, either at detected transients
+// or into equal divisions. Each slice becomes a pad: a drum channel
+// whose `sample` synthesis plays that region of the loop. Pads sit
+// on the step grid like any other drum channel, so groove applies.
+//
+// Slices are fractions of the buffer length ({ start, end } in 0–1),
+// the same units as the sample synthesis trim points.
+//
+// All functions are pure.
+
+import { createSampleSynthesis } from './samples.js';
+
+/**
+ * Maximum number of pads a chop produces (one MPC bank).
+ * @type {number}
+ */
+export const MAX_PADS = 16;
+
+const FRAME_MS = 5;
+
+/**
+ * Finds onsets by comparing each short frame's RMS energy with the
+ * frames just before it. An onset fires when energy jumps by more than
+ * the sensitivity-dependent ratio and is above a floor relative to
+ * the loudest frame. Position 0 is always an onset.
+ *
+ * When more than maxSlices onsets are found, the strongest are kept.
+ *
+ * @param {Float32Array} data - Mono sample data
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [opts]
+ * @param {number} [opts.sensitivity=0.5] - 0 (only hard hits) to 1 (every bump)
+ * @param {number} [opts.minGapMs=60] - Minimum spacing between onsets
+ * @param {number} [opts.maxSlices=MAX_PADS] - Upper bound on onsets returned
+ * @returns {number[]} Onset positions in samples, ascending
+ */
+export function detectTransients(data, sampleRate, { sensitivity = 0.5, minGapMs = 60, maxSlices = MAX_PADS } = {}) {
+  const hop = Math.max(1, Math.round(sampleRate * FRAME_MS / 1000));
+  const frames = Math.floor(data.length / hop);
+  if (frames < 2) return [0];
+
+  const env = new Float32Array(frames);
+  let peak = 0;
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    for (let i = f * hop; i < (f + 1) * hop; i++) sum += data[i] * data[i];
+    env[f] = Math.sqrt(sum / hop);
+    if (env[f] > peak) peak = env[f];
+  }
+  if (peak === 0) return [0];
+
+  const s = Math.max(0, Math.min(1, sensitivity));
+  const ratio = 1.5 + (1 - s) * 6;
+  const floor = peak * (0.02 + (1 - s) * 0.2);
+  const minGap = Math.round(sampleRate * minGapMs / 1000);
+  const LOOKBACK = 4;
+
+  const found = [{ pos: 0, strength: Infinity }];
+  for (let f = 1; f < frames; f++) {
+    let prev = 0;
+    const from = Math.max(0, f - LOOKBACK);
+    for (let k = from; k < f; k++) prev += env[k];
+    prev /= f - from;
+    if (env[f] < floor || env[f] <= prev * ratio) continue;
+    const pos = f * hop;
+    // Still inside the previous hit's attack
+    if (pos - found[found.length - 1].pos < minGap) continue;
+    found.push({ pos, strength: env[f] / (prev || 1e-9) });
+  }
+
+  return found
+    .sort((a, b) => b.strength - a.strength)
+    .slice(0, Math.max(1, maxSlices))
+    .map(o => o.pos)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Divides a buffer into equal slices.
+ *
+ * @param {number} length - Buffer length in samples
+ * @param {number} count - Number of slices (clamped to 1–MAX_PADS)
+ * @returns {number[]} Slice start positions in samples
+ */
+export function equalSlices(length, count) {
+  const n = Math.max(1, Math.min(MAX_PADS, Math.floor(count) || 1));
+  return Array.from({ length: n }, (_, i) => Math.round(i * length / n));
+}
+
+/**
+ * Turns slice start positions into { start, end } fractions; each
+ * slice runs to the next start, the last to the end of the buffer.
+ *
+ * @param {number[]} starts - Ascending start positions in samples
+ * @param {number} length - Buffer length in samples
+ * @returns {Array<{ start: number, end: number }>}
+ */
+export function slicesFromStarts(starts, length) {
+  if (!length) return [];
+  return starts.map((s, i) => ({
+    start: s / length,
+    end: (i + 1 < starts.length ? starts[i + 1] : length) / length,
+  }));
+}
+
+/**
+ * Builds one drum channel per slice, each playing its region of the
+ * sample. Channel ids are pad_1 … pad_N.
+ *
+ * @param {string} sampleId - Key into the kernel samples block
+ * @param {Array<{ start: number, end: number }>} slices - Slice regions
+ * @param {number} steps - Steps per pattern
+ * @returns {Array} Drum channels
+ */
+export function createPadChannels(sampleId, slices, steps) {
+  return slices.slice(0, MAX_PADS).map((slice, i) => ({
+    id: `pad_${i + 1}`, name: `Pad ${i + 1}`, enabled: true,
+    synthesis: { ...createSampleSynthesis(sampleId), start: slice.start, end: slice.end },
+    mixer: { volume: 0.8, pan: 0, mute: false, solo: false, reverb_send: 0.05 },
+    pattern: { steps: Array.from({ length: steps }, () => ({ active: false, velocity: 0.8 })) },
+  }));
+}
+
+/**
+ * True for channels created by createPadChannels.
+ *
+ * @param {Object} channel - Drum channel
+ * @returns {boolean}
+ */
+export function isPadChannel(channel) {
+  return /^pad_\d+$/.test(channel.id);
+}
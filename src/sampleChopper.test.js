@@ -0,0 +1,83 @@
+// ═══════════════════════════════════════════════════════════
+// Sample Chopper — Tests for transient detection & slice → pad mapping
+// ═══════════════════════════════════════════════════════════
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_PADS,
+  detectTransients,
+  equalSlices,
+  slicesFromStarts,
+  createPadChannels,
+  isPadChannel,
+} from './sampleChopper.js';
+
+const SR = 48000;
+
+// Decaying noise bursts at the given times over a quiet noise bed
+function hits(times, seconds = 2, amps = []) {
+  const data = new Float32Array(SR * seconds);
+  let seed = 1;
+  const rnd = () => { seed = (seed * 16807) % 2147483647; return seed / 2147483647 * 2 - 1; };
+  for (let i = 0; i < data.length; i++) data[i] = rnd() * 0.001;
+  times.forEach((t, h) => {
+    const start = Math.round(t * SR);
+    const amp = amps[h] ?? 0.8;
+    for (let i = 0; i < SR * 0.15 && start + i < data.length; i++) {
+      data[start + i] += rnd() * amp * Math.exp(-i / (SR * 0.03));
+    }
+  });
+  return data;
+}
+
+describe('Sample Chopper — transient detection', () => {
+  it('finds each hit within one analysis frame', () => {
+    const times = [0.25, 0.5, 1.0, 1.5];
+    const onsets = detectTransients(hits(times), SR);
+    expect(onsets[0]).toBe(0);
+    expect(onsets.length).toBe(times.length + 1);
+    times.forEach((t, i) => expect(Math.abs(onsets[i + 1] - t * SR)).toBeLessThanOrEqual(SR * 0.005));
+  });
+
+  it('lower sensitivity drops quiet hits', () => {
+    const data = hits([0.25, 0.75, 1.25], 2, [0.8, 0.05, 0.8]);
+    const loose = detectTransients(data, SR, { sensitivity: 1 });
+    const strict = detectTransients(data, SR, { sensitivity: 0 });
+    expect(loose.length).toBe(4);
+    expect(strict.length).toBe(3);
+  });
+
+  it('keeps only the strongest onsets when capped', () => {
+    const onsets = detectTransients(hits([0.2, 0.4, 0.6, 0.8, 1.0]), SR, { maxSlices: 3 });
+    expect(onsets.length).toBe(3);
+    expect(onsets[0]).toBe(0);
+    expect(onsets).toEqual([...onsets].sort((a, b) => a - b));
+  });
+
+  it('silence is a single slice', () => {
+    expect(detectTransients(new Float32Array(SR), SR)).toEqual([0]);
+  });
+});
+
+describe('Sample Chopper — slices and pads', () => {
+  it('equal slices divide the buffer evenly and clamp the count', () => {
+    expect(equalSlices(1600, 4)).toEqual([0, 400, 800, 1200]);
+    expect(equalSlices(1600, 64).length).toBe(MAX_PADS);
+  });
+
+  it('slices run from each start to the next, last to the end', () => {
+    expect(slicesFromStarts([0, 400, 1200], 1600)).toEqual([
+      { start: 0, end: 0.25 },
+      { start: 0.25, end: 0.75 },
+      { start: 0.75, end: 1 },
+    ]);
+  });
+
+  it('each pad is a sample drum channel trimmed to its slice', () => {
+    const pads = createPadChannels('smp_1', slicesFromStarts([0, 800], 1600), 16);
+    expect(pads.map(p => p.id)).toEqual(['pad_1', 'pad_2']);
+    expect(pads[1].synthesis).toMatchObject({ type: 'sample', sample_id: 'smp_1', start: 0.5, end: 1 });
+    expect(pads[0].pattern.steps).toHaveLength(16);
+    expect(pads.every(isPadChannel)).toBe(true);
+    expect(isPadChannel({ id: 'kick' })).toBe(false);
+  });
+});
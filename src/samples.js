@@ -0,0 +1,109 @@
+// ═══════════════════════════════════════════════════════════
+// SAMPLE VOICES — `sample` Drum Synthesis Type
+// Beat Kernel v1 `samples` block
+// ═══════════════════════════════════════════════════════════
+//
+// A drum channel can play a user-loaded audio file instead of an
+// oscillator voice:
+//
+//   synthesis: {
+//     type: 'sample', sample_id: 'smp_xxx',
+//     pitch: 0,            // semitones (playback rate 2^(pitch/12))
+//     start: 0, end: 1,    // trim, as fractions of the file length
+//     reverse: false,
+//     gain_attack: 0.001,  // seconds
+//     gain_decay: 0,       // seconds; 0 plays the trimmed region out
+//   }
+//
+// The audio itself travels with the kernel so kits persist:
+//
+//   samples: { smp_xxx: { name, mime, data } }   // data = base64 file bytes
+//
+// Decoding happens in the browser (decodeAudioData). Everything
+// here is pure.
+
+/**
+ * Default synthesis block for a channel playing a sample.
+ *
+ * @param {string} sampleId - Key into the kernel samples block
+ * @returns {Object} Synthesis parameters
+ */
+export function createSampleSynthesis(sampleId) {
+  return {
+    type: 'sample', sample_id: sampleId,
+    pitch: 0, start: 0, end: 1, reverse: false,
+    gain_attack: 0.001, gain_decay: 0,
+  };
+}
+
+/**
+ * Resolves the portion of a sample buffer one hit plays.
+ *
+ * With reverse on, the trim region is mirrored so the same [start, end]
+ * slice of the original file is played backwards from a reversed buffer.
+ *
+ * @param {number} bufferDuration - Decoded sample length in seconds
+ * @param {Object} synth - Sample synthesis parameters
+ * @returns {{ offset: number, duration: number, rate: number, playTime: number }}
+ *   offset/duration in buffer seconds, playback rate, and wall-clock length
+ */
+export function sampleRegion(bufferDuration, synth) {
+  const a = clamp01(synth.start ?? 0);
+  const b = clamp01(synth.end ?? 1);
+  const start = Math.min(a, b);
+  const end = Math.max(a, b);
+  const offset = (synth.reverse ? 1 - end : start) * bufferDuration;
+  const duration = (end - start) * bufferDuration;
+  const rate = Math.pow(2, (synth.pitch || 0) / 12);
+  return { offset, duration, rate, playTime: duration / rate };
+}
+
+/**
+ * Returns the entries of a samples block that the given channels
+ * reference, so exports carry only the kit in use.
+ *
+ * @param {Array} channels - Channels with synthesis blocks
+ * @param {Object} samples - { [sampleId]: { name, mime, data } }
+ * @returns {Object} Referenced subset
+ */
+export function referencedSamples(channels, samples) {
+  const out = {};
+  for (const ch of channels || []) {
+    const id = ch.synthesis?.type === 'sample' ? ch.synthesis.sample_id : null;
+    if (id && samples?.[id]) out[id] = samples[id];
+  }
+  return out;
+}
+
+/**
+ * Encodes file bytes as base64 for the kernel samples block.
+ *
+ * @param {ArrayBuffer|Uint8Array} bytes - Raw file bytes
+ * @returns {string} Base64 string
+ */
+export function bytesToBase64(bytes) {
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let bin = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < u8.length; i += CHUNK) {
+    bin += String.fromCharCode.apply(null, u8.subarray(i, i + CHUNK));
+  }
+  return btoa(bin);
+}
+
+/**
+ * Decodes a base64 samples-block entry back to file bytes.
+ *
+ * @param {string} b64 - Base64 string
+ * @returns {Uint8Array} Raw file bytes
+ */
+export function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const u8 = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) u8[i] = bin.charCodeAt(i);
+  return u8;
+}
+
+function clamp01(x) {
+  return Math.max(0, Math.min(1, x));
+}
@@ -0,0 +1,58 @@
+// ═══════════════════════════════════════════════════════════
+// Sample Voices — Tests for trim/pitch/reverse math & kit storage
+// ═══════════════════════════════════════════════════════════
+import { describe, it, expect } from 'vitest';
+import {
+  createSampleSynthesis,
+  sampleRegion,
+  referencedSamples,
+  bytesToBase64,
+  base64ToBytes,
+} from './samples.js';
+
+describe('Sample Voices — region', () => {
+  it('plays the whole file at unity pitch by default', () => {
+    const r = sampleRegion(2, createSampleSynthesis('s1'));
+    expect(r).toEqual({ offset: 0, duration: 2, rate: 1, playTime: 2 });
+  });
+
+  it('trims to the start/end fractions', () => {
+    const r = sampleRegion(2, { ...createSampleSynthesis('s1'), start: 0.25, end: 0.75 });
+    expect(r.offset).toBeCloseTo(0.5);
+    expect(r.duration).toBeCloseTo(1);
+  });
+
+  it('mirrors the trim region when reversed', () => {
+    const r = sampleRegion(2, { ...createSampleSynthesis('s1'), start: 0.1, end: 0.4, reverse: true });
+    expect(r.offset).toBeCloseTo(1.2);
+    expect(r.duration).toBeCloseTo(0.6);
+  });
+
+  it('an octave up doubles the rate and halves the play time', () => {
+    const r = sampleRegion(1, { ...createSampleSynthesis('s1'), pitch: 12 });
+    expect(r.rate).toBeCloseTo(2);
+    expect(r.playTime).toBeCloseTo(0.5);
+  });
+
+  it('tolerates swapped and out-of-range trim points', () => {
+    const r = sampleRegion(1, { ...createSampleSynthesis('s1'), start: 1.5, end: 0.5 });
+    expect(r.offset).toBeCloseTo(0.5);
+    expect(r.duration).toBeCloseTo(0.5);
+  });
+});
+
+describe('Sample Voices — kit storage', () => {
+  it('keeps only samples referenced by sample channels', () => {
+    const samples = { a: { name: 'a', data: 'AA==' }, b: { name: 'b', data: 'AQ==' } };
+    const channels = [
+      { id: 'kick', synthesis: createSampleSynthesis('a') },
+      { id: 'snare', synthesis: { type: 'sine_plus_noise', sample_id: 'b' } },
+    ];
+    expect(referencedSamples(channels, samples)).toEqual({ a: samples.a });
+  });
+
+  it('base64 round-trips arbitrary bytes', () => {
+    const bytes = Uint8Array.from({ length: 70000 }, (_, i) => (i * 31) & 0xff);
+    expect(Array.from(base64ToBytes(bytesToBase64(bytes.buffer)))).toEqual(Array.from(bytes));
+  });
+});
@@ -0,0 +1,107 @@
+// ═══════════════════════════════════════════════════════════
+// SEEDED AUDIO — Deterministic Render Sources + Render Hash
+// Noise, reverb impulse responses and crackle from randomization_seed
+// ═══════════════════════════════════════════════════════════
+//
+// Every random sample the renderer uses comes from the kernel's
+// randomization_seed through a named stream:
+//
+//   deriveSeed(seed, 'noise')           drum noise buffer
+//   deriveSeed(seed, 'reverb', ch)      master reverb IR, per channel
+//   deriveSeed(seed, 'crackle', key)    lo-fi crackle, per insert
+//
+// The fill functions take the derived seed; BeatEngine owns the
+// AudioBuffers and the stream names.
+//
+// With these seeded, an identical Beat Kernel renders identical
+// samples, and computeRenderHash() fingerprints the result so two
+// machines can compare bounces byte for byte. Kernel samples decode at
+// RENDER_SAMPLE_RATE (decodeAtRenderRate) rather than the device's
+// rate, so they reach the render as the same PCM everywhere.
+//
+// Invariant: DETERMINISTIC. No Math.random().
+
+import { SeededRNG } from './grooveEngine.js';
+
+/** Sample rate of every bounce, and of decoded kernel samples. */
+export const RENDER_SAMPLE_RATE = 48000;
+
+/**
+ * Decodes an audio file at RENDER_SAMPLE_RATE. A live AudioContext
+ * decodes at the device's rate (44.1 or 48 kHz), so the same file
+ * would resample differently from machine to machine; an offline
+ * context at a fixed rate does not depend on the hardware.
+ *
+ * The bytes are detached by decoding; copy them first if still needed.
+ *
+ * @param {ArrayBuffer} bytes - Encoded audio file
+ * @param {Function} [OfflineContext=OfflineAudioContext] - Context constructor
+ * @returns {Promise<AudioBuffer>} Decoded buffer at RENDER_SAMPLE_RATE
+ */
+export function decodeAtRenderRate(bytes, OfflineContext = globalThis.OfflineAudioContext) {
+  return new OfflineContext(1, 1, RENDER_SAMPLE_RATE).decodeAudioData(bytes);
+}
+
+/**
+ * Fills a buffer with seeded white noise in [−1, 1).
+ *
+ * @param {Float32Array} data - Buffer to fill (mutated)
+ * @param {number} seed - Stream seed
+ * @returns {Float32Array} The same buffer
+ */
+export function fillNoise(data, seed) {
+  const rng = new SeededRNG(seed);
+  for (let i = 0; i < data.length; i++) data[i] = rng.next() * 2 - 1;
+  return data;
+}
+
+/**
+ * Fills a buffer with a seeded exponential-ish reverb tail:
+ * noise shaped by (1 − i/len)^decayPower.
+ *
+ * @param {Float32Array} data - Buffer to fill (mutated)
+ * @param {number} seed - Stream seed
+ * @param {number} decayPower - Envelope exponent
+ * @returns {Float32Array} The same buffer
+ */
+export function fillReverbIR(data, seed, decayPower) {
+  const rng = new SeededRNG(seed);
+  const len = data.length;
+  for (let i = 0; i < len; i++) data[i] = (rng.next() * 2 - 1) * Math.pow(1 - i / len, decayPower);
+  return data;
+}
+
+/**
+ * Interleaved 16-bit little-endian PCM, quantized exactly as the
+ * WAV export writes it (clamp, ×0x8000 below zero, ×0x7FFF above).
+ *
+ * @param {AudioBuffer|{ numberOfChannels: number, length: number, getChannelData: Function }} buffer
+ * @returns {Uint8Array} PCM bytes
+ */
+export function pcm16Bytes(buffer) {
+  const numCh = buffer.numberOfChannels;
+  const out = new Uint8Array(buffer.length * numCh * 2);
+  const view = new DataView(out.buffer);
+  const channels = Array.from({ length: numCh }, (_, ch) => buffer.getChannelData(ch));
+  let offset = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    for (let ch = 0; ch < numCh; ch++) {
+      const sample = Math.max(-1, Math.min(1, channels[ch][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      offset += 2;
+    }
+  }
+  return out;
+}
+
+/**
+ * Computes SHA-256 hex hash of a render's 16-bit PCM using Web Crypto.
+ * Two bounces hash equal exactly when their WAV sample data is equal.
+ *
+ * @param {AudioBuffer|{ numberOfChannels: number, length: number, getChannelData: Function }} buffer
+ * @returns {Promise<string>} Lowercase hex SHA-256 hash
+ */
+export async function computeRenderHash(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', pcm16Bytes(buffer));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
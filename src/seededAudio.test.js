@@ -0,0 +1,89 @@
+// ═══════════════════════════════════════════════════════════
+// Seeded Audio — Tests for deterministic render sources + render hash
+// ═══════════════════════════════════════════════════════════
+import { describe, it, expect } from 'vitest';
+import { fillNoise, fillReverbIR, pcm16Bytes, computeRenderHash, decodeAtRenderRate, RENDER_SAMPLE_RATE } from './seededAudio.js';
+import { deriveSeed } from './grooveEngine.js';
+
+// Minimal AudioBuffer stand-in
+function mkBuffer(...channels) {
+  return { numberOfChannels: channels.length, length: channels[0].length, getChannelData: (ch) => channels[ch] };
+}
+
+describe('Seeded Audio — render sources', () => {
+  it('noise is identical for a seed and differs across seeds', () => {
+    const a = fillNoise(new Float32Array(4096), deriveSeed(42, 'noise'));
+    const b = fillNoise(new Float32Array(4096), deriveSeed(42, 'noise'));
+    const c = fillNoise(new Float32Array(4096), deriveSeed(43, 'noise'));
+    expect(a).toEqual(b);
+    expect(a).not.toEqual(c);
+    expect(Math.min(...a)).toBeGreaterThanOrEqual(-1);
+    expect(Math.max(...a)).toBeLessThan(1);
+    const mean = a.reduce((s, x) => s + x, 0) / a.length;
+    expect(Math.abs(mean)).toBeLessThan(0.05);
+  });
+
+  it('reverb IR is seeded per channel and decays to silence', () => {
+    const left = fillReverbIR(new Float32Array(2000), deriveSeed(42, 'reverb', 0), 3);
+    const right = fillReverbIR(new Float32Array(2000), deriveSeed(42, 'reverb', 1), 3);
+    expect(left).toEqual(fillReverbIR(new Float32Array(2000), deriveSeed(42, 'reverb', 0), 3));
+    expect(left).not.toEqual(right);
+    const peak = (d, from, to) => Math.max(...Array.from(d.subarray(from, to), Math.abs));
+    expect(peak(left, 1800, 2000)).toBeLessThan(peak(left, 0, 200) * 0.01);
+  });
+});
+
+describe('Seeded Audio — render hash', () => {
+  it('quantizes like the WAV export, interleaved little-endian', () => {
+    const bytes = pcm16Bytes(mkBuffer(Float32Array.of(1, -1, 0.5), Float32Array.of(2, -0.5, 0)));
+    const view = new DataView(bytes.buffer);
+    const samples = Array.from({ length: 6 }, (_, i) => view.getInt16(i * 2, true));
+    expect(samples).toEqual([32767, 32767, -32768, -16384, 16383, 0]);
+  });
+
+  it('hashes equal PCM equally and any changed sample differently', async () => {
+    const left = fillNoise(new Float32Array(1024), 1);
+    const right = fillNoise(new Float32Array(1024), 2);
+    const h = await computeRenderHash(mkBuffer(left, right));
+    expect(h).toMatch(/^[0-9a-f]{64}$/);
+    expect(await computeRenderHash(mkBuffer(left.slice(), right.slice()))).toBe(h);
+
+    const nudged = left.slice();
+    nudged[500] += 2 / 32768;
+    expect(await computeRenderHash(mkBuffer(nudged, right))).not.toBe(h);
+  });
+
+  it('ignores differences below 16-bit resolution', async () => {
+    const left = Float32Array.of(0.25, -0.25);
+    const jittered = Float32Array.of(0.25 + 1e-7, -0.25);
+    expect(await computeRenderHash(mkBuffer(jittered))).toBe(await computeRenderHash(mkBuffer(left)));
+  });
+});
+
+// Stand-in for a machine's audio contexts: decoding resamples a 220 Hz
+// tone to the context's rate, and a live context runs at the device rate.
+function machine(deviceRate) {
+  return class {
+    constructor(channels, length, sampleRate = deviceRate) { this.sampleRate = sampleRate; }
+    async decodeAudioData() {
+      const data = new Float32Array(Math.round(this.sampleRate / 10));
+      for (let i = 0; i < data.length; i++) data[i] = 0.5 * Math.sin(2 * Math.PI * 220 * i / this.sampleRate);
+      return { sampleRate: this.sampleRate, ...mkBuffer(data) };
+    }
+  };
+}
+
+describe('Seeded Audio — sample decoding', () => {
+  it('decodes at the render rate, so the hash does not depend on the device', async () => {
+    const at44 = await decodeAtRenderRate(new ArrayBuffer(8), machine(44100));
+    const at48 = await decodeAtRenderRate(new ArrayBuffer(8), machine(48000));
+    expect(at44.sampleRate).toBe(RENDER_SAMPLE_RATE);
+    expect(await computeRenderHash(at44)).toBe(await computeRenderHash(at48));
+
+    // A live context decodes at the device rate instead
+    const Live44 = machine(44100), Live48 = machine(48000);
+    const live44 = await new Live44().decodeAudioData(new ArrayBuffer(8));
+    const live48 = await new Live48().decodeAudioData(new ArrayBuffer(8));
+    expect(await computeRenderHash(live44)).not.toBe(await computeRenderHash(live48));
+  });
+});
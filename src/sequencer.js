@@ -0,0 +1,180 @@
+// ═══════════════════════════════════════════════════════════
+// SEQUENCER — Step Event Collection
+// Shared by the live scheduler and the offline bounce
+// ═══════════════════════════════════════════════════════════
+//
+// Turns the arrangement into timed note events. Both the live
+// lookahead scheduler and bounceBeat() go through
+// collectStepEvents(), so a bounce plays exactly what was heard.
+//
+// Every event draws from its own RNG stream, derived from the
+// randomization seed and the event's address (channel, bar, step,
+// and MIDI note for instruments). Muting a channel or adding a note
+// never shifts another channel's jitter, velocity variance or ghost
+// decisions, and any bar can be rendered without replaying the ones
+// before it.
+//
+// Pure with respect to its inputs except for the trig state, which
+// carries prev/not_prev outcomes from step to step.
+
+import { applyGroove, computeSwingDuration, SeededRNG, deriveSeed } from './grooveEngine.js';
+import { patternForBar, songPositionForBar, songPositionAtStep } from './arrangement.js';
+import { resolveTrig } from './trigConditions.js';
+
+// Hand nudge (nudge_ms on a step or note) moves the event's grid time,
+// so it adds to the groove displacement ahead of PPQN rounding and
+// still applies with groove off. It is absolute ms — not BPM-scaled.
+function nudge(time, event) {
+  return Math.max(0, time + (event.nudge_ms || 0) / 1000);
+}
+
+/**
+ * Randomization seed of a groove profile, shared by the groove streams,
+ * trig rolls, the song position's crash replay and the render's noise,
+ * reverb and crackle. 0 is a seed like any other; only a missing seed
+ * falls back to 42.
+ *
+ * @param {Object|null} grooveProfile
+ * @returns {number}
+ */
+export function grooveSeed(grooveProfile) {
+  return grooveProfile?.randomization_seed ?? 42;
+}
+
+/**
+ * Groove RNG stream for one event.
+ *
+ * @param {number} seed - Randomization seed
+ * @param {...(string|number)} address - channelId, barIndex, step[, midi]
+ * @returns {SeededRNG}
+ */
+export function eventRng(seed, ...address) {
+  return new SeededRNG(deriveSeed(seed, 'groove', ...address));
+}
+
+/**
+ * Collects the events that fire at one step of one bar.
+ *
+ * Order is fixed: drum channels in channel order, then instrument
+ * channels in channel order, notes in stored order. Mute, solo and
+ * enabled flags are honored before any RNG draw.
+ *
+ * @param {Object} args
+ * @param {number} args.step - Step index within the bar (0–15)
+ * @param {number} args.barIndex - Song bar index (drives macro-drift, tension)
+ * @param {number} args.time - Grid time of the step in seconds
+ * @param {Array} args.drums - Drum channels (synthesis, mixer)
+ * @param {Array} args.instruments - Instrument channels (synthesis, mixer)
+ * @param {Object} args.pattern - Pattern content for this bar
+ * @param {Object|null} args.grooveProfile - Groove profile with the transport's bpm and swing already set
+ * @param {string} args.scale - Current scale mode
+ * @param {number} args.secPerStep - Unswung step length in seconds
+ * @param {Object} [args.songPosition] - Bar's place in the arrangement (songPositionForBar; resolved to this step here)
+ * @param {boolean} [args.fill=false] - Fill mode (fill / not_fill trig conditions)
+ * @param {Object} [args.trigState] - Per-track trig outcomes, kept across steps for prev/not_prev
+ * @param {boolean} [args.grooveEnabled=true] - false bypasses the groove pipeline (straight grid)
+ * @param {boolean} [args.grid=false] - true emits every active step at its grid time: no trig conditions, nudge or groove
+ * @returns {Array<Object>} Events: { type: 'drum'|'note', channel, time, velocity, midi?, duration? }
+ */
+export function collectStepEvents({ step, barIndex, time, drums, instruments, pattern, grooveProfile, scale, secPerStep, songPosition, fill = false, trigState = {}, grooveEnabled = true, grid = false }) {
+  const events = [];
+  // The seed survives a bypass, so trig rolls stay the same in A/B
+  const seed = grooveSeed(grooveProfile);
+  const position = songPositionAtStep(songPosition, step);
+  const trig = { barIndex, fill, seed, state: trigState };
+  const groovePass = grooveEnabled && !grid ? grooveProfile : null;
+  const at = (event) => (grid ? time : nudge(time, event));
+  const hasSoloD = drums.some(c => c.mixer.solo);
+  const hasSoloI = instruments.some(c => c.mixer.solo);
+
+  drums.forEach(ch => {
+    if (!ch.enabled || ch.mixer.mute) return;
+    if (hasSoloD && !ch.mixer.solo) return;
+    const s = pattern?.drums?.[ch.id]?.[step];
+    if (s && s.active) {
+      if (!grid && !resolveTrig(s, ch.id, trig, ch.id, barIndex, step)) return;
+      const rng = eventRng(seed, ch.id, barIndex, step);
+      const groove = applyGroove(at(s), step, ch.id, groovePass, barIndex, rng, scale, s.velocity, position);
+      if (!groove.shouldPlay) return;
+      const velocity = groove.velocity != null ? groove.velocity : s.velocity;
+      events.push({ type: 'drum', channel: ch, time: groove.time, velocity });
+    }
+  });
+
+  instruments.forEach(ch => {
+    if (!ch.enabled || ch.mixer.mute) return;
+    if (hasSoloI && !ch.mixer.solo) return;
+    (pattern?.instruments?.[ch.id] || []).forEach(n => {
+      if (n.step !== step) return;
+      if (!grid && !resolveTrig(n, ch.id, trig, ch.id, barIndex, step, n.midi_note)) return;
+      const rng = eventRng(seed, ch.id, barIndex, step, n.midi_note);
+      const groove = applyGroove(at(n), step, ch.id, groovePass, barIndex, rng, scale, n.velocity, position, n.midi_note);
+      const velocity = groove.velocity != null ? groove.velocity : n.velocity;
+      events.push({
+        type: 'note', channel: ch, time: groove.time, velocity,
+        midi: n.midi_note, duration: n.length_steps * secPerStep,
+      });
+    });
+  });
+
+  return events;
+}
+
+/**
+ * Number of bars a bounce renders.
+ *
+ *   chain — one pass through the pattern chain
+ *   loops — `count` passes through the pattern chain
+ *   bars  — exactly `count` bars, following the chain (and looping it)
+ *
+ * @param {Object} arrangement - Arrangement with pattern_chain
+ * @param {{ mode: string, count: number }} bounceLength - Bounce length setting
+ * @returns {number} Bars to render (≥ 1)
+ */
+export function bounceBarCount(arrangement, bounceLength) {
+  const chainBars = Math.max(1, arrangement.pattern_chain.length);
+  const count = Math.max(1, Math.floor(bounceLength?.count || 1));
+  if (bounceLength?.mode === 'bars') return count;
+  if (bounceLength?.mode === 'loops') return chainBars * count;
+  return chainBars;
+}
+
+/**
+ * Collects every event of a render from bar 0, exactly as the live
+ * scheduler would produce them: steps in order, trig state carried
+ * forward, swing accumulated step by step.
+ *
+ * @param {Object} args
+ * @param {Object} args.arrangement - Arrangement (patterns + chain)
+ * @param {Array} args.drums - Drum channels
+ * @param {Array} args.instruments - Instrument channels
+ * @param {Object} args.transport - Transport (bpm, swing, scale, steps_per_pattern)
+ * @param {Object|null} args.grooveProfile - Groove profile (bpm and swing are taken from transport)
+ * @param {number} args.bars - Number of bars to render
+ * @param {boolean} [args.fill=false] - Fill mode for fill / not_fill trig conditions
+ * @param {boolean} [args.grooveEnabled=true] - false bypasses the groove pipeline (straight grid)
+ * @param {boolean} [args.grid=false] - true writes the quantized step grid: every active step, no swing (see collectStepEvents)
+ * @returns {{ events: Array<Object>, endTime: number }} Events and grid end time in seconds
+ */
+export function collectTimelineEvents({ arrangement, drums, instruments, transport, grooveProfile, bars, fill = false, grooveEnabled = true, grid = false }) {
+  const gp = grooveProfile ? { ...grooveProfile, bpm: transport.bpm, swing: transport.swing || 0 } : null;
+  const trigState = {};
+  const secPerStep = 60 / transport.bpm / 4;
+  const stepsPerBar = transport.steps_per_pattern;
+  const swing = grid ? 0 : transport.swing || 0;
+
+  const events = [];
+  let time = 0;
+  for (let barIndex = 0; barIndex < bars; barIndex++) {
+    const pattern = arrangement.patterns[patternForBar(arrangement, barIndex)];
+    const songPosition = songPositionForBar(arrangement, barIndex, { drums, fill, seed: grooveSeed(gp) });
+    for (let step = 0; step < stepsPerBar; step++) {
+      events.push(...collectStepEvents({
+        step, barIndex, time, drums, instruments, pattern,
+        grooveProfile: gp, scale: transport.scale, secPerStep, songPosition, fill, trigState, grooveEnabled, grid,
+      }));
+      time += computeSwingDuration(step, secPerStep, swing);
+    }
+  }
+  return { events, endTime: time };
+}
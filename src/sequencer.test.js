@@ -0,0 +1,289 @@
+// ═══════════════════════════════════════════════════════════
+// Sequencer — Tests for step event collection & bounce parity
+// ═══════════════════════════════════════════════════════════
+import { describe, it, expect } from 'vitest';
+import { collectStepEvents, collectTimelineEvents, bounceBarCount, eventRng, grooveSeed } from './sequencer.js';
+import { computeSwingDuration, createDefaultGrooveProfile } from './grooveEngine.js';
+import { grooveQuestlove } from './grooveProfiles.js';
+import { createArrangement, addPattern, storePattern, patternForBar, songPositionForBar } from './arrangement.js';
+import { MIXER, mkSteps, mkDrum, mkInstrument } from './testFixtures.js';
+
+const mkDrums = (kickSteps, snareSteps) => [mkDrum('kick', kickSteps), mkDrum('snare', snareSteps)];
+const instruments = [mkInstrument('bass')];
+const transport = { bpm: 90, swing: 0.1, scale: 'minor', steps_per_pattern: 16 };
+
+// Mirrors the live scheduler loop in BeatEngine.startPlayback
+function simulateLive({ arrangement, drums, grooveProfile, bars, fill = false }) {
+  const gp = { ...grooveProfile, bpm: transport.bpm };
+  const trigState = {};
+  const secPerStep = 60 / transport.bpm / 4;
+  const events = [];
+  let time = 0;
+  for (let barIndex = 0; barIndex < bars; barIndex++) {
+    for (let step = 0; step < 16; step++) {
+      events.push(...collectStepEvents({
+        step, barIndex, time, drums, instruments,
+        pattern: arrangement.patterns[patternForBar(arrangement, barIndex)],
+        grooveProfile: gp, scale: transport.scale, secPerStep,
+        songPosition: songPositionForBar(arrangement, barIndex), fill, trigState,
+      }));
+      time += computeSwingDuration(step, secPerStep, transport.swing);
+    }
+  }
+  return events;
+}
+
+describe('Sequencer — bounce length', () => {
+  const arrangement = { pattern_chain: ['A', 'B', 'A'], patterns: { A: {}, B: {} } };
+
+  it('full chain renders one pass of the chain', () => {
+    expect(bounceBarCount(arrangement, { mode: 'chain', count: 5 })).toBe(3);
+  });
+
+  it('loops render the chain N times', () => {
+    expect(bounceBarCount(arrangement, { mode: 'loops', count: 4 })).toBe(12);
+  });
+
+  it('bars render exactly N bars', () => {
+    expect(bounceBarCount(arrangement, { mode: 'bars', count: 7 })).toBe(7);
+    expect(bounceBarCount(arrangement, { mode: 'bars', count: 0 })).toBe(1);
+  });
+});
+
+describe('Sequencer — bounce matches live playback', () => {
+  it('collectTimelineEvents draws the same RNG streams as the live scheduler', () => {
+    const drums = mkDrums([0, 8], [4, 12]);
+    const arrangement = createArrangement(drums, instruments);
+    const profile = grooveQuestlove(90);
+
+    const live = simulateLive({ arrangement, drums, grooveProfile: profile, bars: 6 });
+    const { events } = collectTimelineEvents({ arrangement, drums, instruments, transport, grooveProfile: profile, bars: 6 });
+
+    expect(events.map(e => [e.channel.id, e.time, e.velocity]))
+      .toEqual(live.map(e => [e.channel.id, e.time, e.velocity]));
+  });
+
+  it('trig conditions and probabilities play the same live and bounced', () => {
+    const drums = mkDrums([0, 8], [4, 12, 14]);
+    drums[0].pattern.steps[8] = { active: true, velocity: 0.8, probability: 0.5 };
+    drums[1].pattern.steps[12] = { active: true, velocity: 0.8, condition: '3:4' };
+    drums[1].pattern.steps[14] = { active: true, velocity: 0.8, condition: 'not_prev' };
+    const arrangement = createArrangement(drums, instruments);
+    const profile = grooveQuestlove(90);
+
+    const live = simulateLive({ arrangement, drums, grooveProfile: profile, bars: 8, fill: true });
+    const { events } = collectTimelineEvents({ arrangement, drums, instruments, transport, grooveProfile: profile, bars: 8, fill: true });
+    expect(events.map(e => [e.channel.id, e.time, e.velocity]))
+      .toEqual(live.map(e => [e.channel.id, e.time, e.velocity]));
+
+    // 3:4 snare on bars 2 and 6; not_prev snare on the other bars
+    const snares = events.filter(e => e.channel.id === 'snare').length;
+    expect(snares).toBe(8 + 2 + 6);
+    const kicks = events.filter(e => e.channel.id === 'kick').length;
+    expect(kicks).toBeGreaterThan(8);
+    expect(kicks).toBeLessThan(16);
+  });
+
+  it('passes the song bar index to the groove pipeline (macro-drift varies per bar)', () => {
+    const drums = mkDrums([], [4]);
+    const arrangement = createArrangement(drums, instruments);
+    const profile = createDefaultGrooveProfile(90);
+    profile.macro_drift = { enabled: true, amplitude_ms: 12, period_bars: 4, waveform: 'sine' };
+
+    const { events } = collectTimelineEvents({
+      arrangement, drums, instruments, transport: { ...transport, swing: 0 }, grooveProfile: profile, bars: 4,
+    });
+    const barLength = 16 * (60 / 90 / 4);
+    const gridStep4 = 4 * (60 / 90 / 4);
+    const offsets = events.map((e, bar) => e.time - bar * barLength - gridStep4);
+
+    expect(offsets).toHaveLength(4);
+    expect(offsets[0]).toBeCloseTo(0, 9);
+    expect(offsets[1]).toBeGreaterThan(0);
+    expect(offsets[3]).toBeLessThan(0);
+  });
+
+  it('follows the pattern chain bar by bar', () => {
+    const drumsA = mkDrums([0], []);
+    let arrangement = createArrangement(drumsA, instruments);
+    arrangement = addPattern(arrangement, 'B');
+    arrangement = storePattern(arrangement, 'B', mkDrums([], [8]), instruments);
+    arrangement = { ...arrangement, pattern_chain: ['A', 'B'] };
+
+    const { events, endTime } = collectTimelineEvents({
+      arrangement, drums: drumsA, instruments, transport: { ...transport, swing: 0 },
+      grooveProfile: null, bars: 2,
+    });
+    const secPerStep = 60 / 90 / 4;
+    expect(events.map(e => e.channel.id)).toEqual(['kick', 'snare']);
+    expect(events[1].time).toBeCloseTo(24 * secPerStep, 9);
+    expect(endTime).toBeCloseTo(32 * secPerStep, 9);
+  });
+});
+
+describe('Sequencer — per-step nudge', () => {
+  const secPerStep = 60 / 90 / 4;
+  const at = (drums, notes, grooveProfile, step = 4) => collectStepEvents({
+    step, barIndex: 0, time: step * secPerStep, drums, instruments: [{ ...instruments[0], notes }],
+    pattern: {
+      drums: Object.fromEntries(drums.map(ch => [ch.id, ch.pattern.steps])),
+      instruments: { bass: notes },
+    },
+    grooveProfile, scale: 'minor', secPerStep,
+  });
+
+  it('moves one step by hand with groove off', () => {
+    const drums = mkDrums([], [4, 12]);
+    drums[1].pattern.steps[4].nudge_ms = 12;
+    expect(at(drums, [], null)[0].time).toBeCloseTo(4 * secPerStep + 0.012, 9);
+    expect(at(drums, [], null, 12)[0].time).toBeCloseTo(12 * secPerStep, 9);
+  });
+
+  it('nudges instrument notes individually', () => {
+    const notes = [
+      { step: 4, midi_note: 36, length_steps: 1, velocity: 0.8, nudge_ms: -8 },
+      { step: 4, midi_note: 43, length_steps: 1, velocity: 0.8 },
+    ];
+    const [a, b] = at([], notes, null);
+    expect(a.time).toBeCloseTo(4 * secPerStep - 0.008, 9);
+    expect(b.time).toBeCloseTo(4 * secPerStep, 9);
+  });
+
+  it('adds to the groove displacement', () => {
+    const gp = { ...createDefaultGrooveProfile(90), bpm: 90 };
+    gp.channel_offsets.snare.timing_offset_ms = 5;
+    const drums = mkDrums([], [4]);
+    const plain = at(drums, [], gp)[0].time;
+    drums[1].pattern.steps[4].nudge_ms = 10;
+    expect(at(drums, [], gp)[0].time - plain).toBeCloseTo(0.010, 9);
+  });
+
+  it('is applied before PPQN rounding', () => {
+    const gp = { ...createDefaultGrooveProfile(90), bpm: 90 };
+    gp.hardware_emulation = { ...gp.hardware_emulation, ppqn: 96 };
+    const tick = 60 / 90 / 96;
+    const drums = mkDrums([], [4]);
+    const plain = at(drums, [], gp)[0].time;
+    drums[1].pattern.steps[4].nudge_ms = 3;
+    const t = at(drums, [], gp)[0].time;
+    // Lands on a tick, not on the rounded time plus 3 ms
+    expect(t / tick).toBeCloseTo(Math.round(t / tick), 6);
+    expect(Math.abs(t - (plain + 0.003))).toBeGreaterThan(1e-4);
+  });
+
+  it('never schedules before zero', () => {
+    const drums = mkDrums([0], []);
+    drums[0].pattern.steps[0].nudge_ms = -20;
+    expect(at(drums, [], null, 0)[0].time).toBe(0);
+  });
+});
+
+describe('Sequencer — per-channel RNG streams', () => {
+  const profile = grooveQuestlove(90);
+  const render = (drums, insts = instruments, grooveProfile = profile) => collectTimelineEvents({
+    arrangement: createArrangement(drums, insts), drums, instruments: insts, transport, grooveProfile, bars: 4,
+  }).events;
+  const of = (events, id) => events.filter(e => e.channel.id === id).map(e => [e.time, e.velocity]);
+  const withHat = (hatSteps) => {
+    const drums = mkDrums([0, 8], [4, 12]);
+    drums.push(mkDrum('hihat', [], { pattern: { steps: mkSteps(hatSteps, 0.6) } }));
+    return drums;
+  };
+
+  it('muting a channel leaves the others untouched', () => {
+    const base = render(withHat([0, 2, 4, 6, 8, 10, 12, 14]));
+    const muted = withHat([0, 2, 4, 6, 8, 10, 12, 14]);
+    muted[0] = { ...muted[0], mixer: { ...MIXER, mute: true } };
+    const after = render(muted);
+    expect(of(after, 'kick')).toEqual([]);
+    expect(of(after, 'snare')).toEqual(of(base, 'snare'));
+    expect(of(after, 'hihat')).toEqual(of(base, 'hihat'));
+  });
+
+  it('adding notes on another channel leaves the others untouched', () => {
+    const base = render(withHat([0, 8]));
+    const busier = render(withHat([0, 1, 2, 3, 5, 8, 9, 15]));
+    expect(of(busier, 'snare')).toEqual(of(base, 'snare'));
+    expect(of(busier, 'kick')).toEqual(of(base, 'kick'));
+    const hats = (events) => events.filter(e => e.channel.id === 'hihat').map(e => e.time);
+    expect(hats(busier)).toEqual(expect.arrayContaining(hats(base)));
+  });
+
+  it('adding an instrument note leaves the drums untouched', () => {
+    const drums = withHat([0, 4, 8, 12]);
+    const bass = [{ ...instruments[0], notes: [{ step: 0, midi_note: 36, length_steps: 2, velocity: 0.8 }] }];
+    expect(of(render(drums, bass), 'snare')).toEqual(of(render(drums), 'snare'));
+  });
+
+  it('any step renders the same on its own as inside the timeline', () => {
+    const drums = withHat([0, 2, 4, 6, 8, 10, 12, 14]);
+    const arrangement = createArrangement(drums, instruments);
+    const events = render(drums);
+    const swingTime = (bar, step) => {
+      let t = 0;
+      for (let k = 0; k < bar * 16 + step; k++) t += computeSwingDuration(k % 16, 60 / 90 / 4, transport.swing);
+      return t;
+    };
+    const alone = collectStepEvents({
+      step: 12, barIndex: 3, time: swingTime(3, 12), drums, instruments,
+      pattern: arrangement.patterns.A, grooveProfile: { ...profile, bpm: 90 },
+      scale: transport.scale, secPerStep: 60 / 90 / 4,
+      songPosition: songPositionForBar(arrangement, 3),
+    });
+    const inTimeline = events.filter(e => alone.some(a => a.channel.id === e.channel.id && Math.abs(a.time - e.time) < 1e-9));
+    expect(alone.length).toBeGreaterThan(0);
+    expect(inTimeline.map(e => e.velocity)).toEqual(alone.map(e => e.velocity));
+  });
+
+  it('streams are addressed by seed, channel, bar, step and note', () => {
+    const first = (...address) => eventRng(42, ...address).next();
+    expect(first('snare', 0, 4)).toBe(first('snare', 0, 4));
+    expect(first('snare', 0, 4)).not.toBe(first('kick', 0, 4));
+    expect(first('snare', 0, 4)).not.toBe(first('snare', 1, 4));
+    expect(first('bass', 0, 0, 36)).not.toBe(first('bass', 0, 0, 43));
+    expect(eventRng(7, 'snare', 0, 4).next()).not.toBe(first('snare', 0, 4));
+  });
+
+  it('seed 0 is a seed, not a missing one', () => {
+    expect(grooveSeed({ randomization_seed: 0 })).toBe(0);
+    expect(grooveSeed({})).toBe(42);
+    expect(grooveSeed(null)).toBe(42);
+  });
+});
+
+describe('Sequencer — groove bypass', () => {
+  const profile = { ...grooveQuestlove(90), randomization_seed: 7 };
+
+  it('bypassed steps land on the swung grid', () => {
+    const drums = mkDrums([0, 8], [4, 12]);
+    const arrangement = createArrangement(drums, instruments);
+    const args = { arrangement, drums, instruments, transport, bars: 2 };
+    const straight = collectTimelineEvents({ ...args, grooveProfile: null }).events;
+    const bypassed = collectTimelineEvents({ ...args, grooveProfile: profile, grooveEnabled: false }).events;
+    const grooved = collectTimelineEvents({ ...args, grooveProfile: profile }).events;
+    expect(bypassed.map(e => [e.time, e.velocity])).toEqual(straight.map(e => [e.time, e.velocity]));
+    expect(grooved.map(e => e.time)).not.toEqual(straight.map(e => e.time));
+  });
+
+  it('switches per step', () => {
+    const drums = mkDrums([0, 8], [4, 12]);
+    const pattern = createArrangement(drums, instruments).patterns.A;
+    const at = (step, grooveEnabled) => collectStepEvents({
+      step, barIndex: 1, time: 1 + step * 0.1, drums, instruments, pattern,
+      grooveProfile: { ...profile, bpm: 90 }, scale: 'minor', secPerStep: 60 / 90 / 4, grooveEnabled,
+    });
+    expect(at(4, false)[0].time).toBe(1.4);
+    expect(at(12, true)[0].time).not.toBe(at(12, false)[0].time);
+  });
+
+  it('keeps probability rolls identical in A/B', () => {
+    const drums = mkDrums([], Array.from({ length: 16 }, (_, i) => i));
+    drums[1].pattern.steps = drums[1].pattern.steps.map(s => ({ ...s, probability: 0.5 }));
+    const arrangement = createArrangement(drums, instruments);
+    const args = { arrangement, drums, instruments, transport, grooveProfile: profile, bars: 4 };
+    const steps = (events) => events.map(e => Math.round(e.time / (60 / 90 / 4)));
+    const on = collectTimelineEvents(args).events;
+    const off = collectTimelineEvents({ ...args, grooveEnabled: false }).events;
+    expect(steps(off)).toEqual(steps(on));
+  });
+});
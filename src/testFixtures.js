@@ -0,0 +1,40 @@
+// ═══════════════════════════════════════════════════════════
+// Test Fixtures — Channel & pattern factories shared by the suites
+// ═══════════════════════════════════════════════════════════
+//
+// Channels carry only what the sequencer reads (enabled, synthesis,
+// mixer, steps / notes); tests add names or overrides as they need.
+
+export const MIXER = { volume: 1, pan: 0, mute: false, solo: false, reverb_send: 0 };
+
+/**
+ * A 16-step drum row.
+ * @param {Array<number>} [on=[]] - Active step indices
+ * @param {number} [velocity=0.8] - Velocity of every step
+ * @returns {Array<Object>} Steps
+ */
+export function mkSteps(on = [], velocity = 0.8) {
+  return Array.from({ length: 16 }, (_, i) => ({ active: on.includes(i), velocity }));
+}
+
+/**
+ * A drum channel.
+ * @param {string} id - Channel id
+ * @param {Array<number>} [on=[]] - Active step indices
+ * @param {Object} [extra] - Fields to add or override (name, mixer, pattern…)
+ * @returns {Object} Drum channel
+ */
+export function mkDrum(id, on = [], extra = {}) {
+  return { id, enabled: true, synthesis: {}, mixer: { ...MIXER }, pattern: { steps: mkSteps(on) }, ...extra };
+}
+
+/**
+ * An instrument channel.
+ * @param {string} id - Channel id
+ * @param {Array<Object>} [notes=[]] - Notes
+ * @param {Object} [extra] - Fields to add or override
+ * @returns {Object} Instrument channel
+ */
+export function mkInstrument(id, notes = [], extra = {}) {
+  return { id, enabled: true, synthesis: {}, mixer: { ...MIXER }, notes, ...extra };
+}
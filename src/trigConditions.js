@@ -0,0 +1,112 @@
+// ═══════════════════════════════════════════════════════════
+// TRIG CONDITIONS — Per-Step Probability + Conditional Trigs
+// Beat Kernel v1 step/note fields `probability`, `condition`
+// ═══════════════════════════════════════════════════════════
+//
+// Any drum step or instrument note may carry:
+//
+//   probability  — chance (0–1) the trig fires; absent = 1
+//   condition    — one of:
+//     'A:B'       fires on the A-th bar of every B bars (1:2, 3:4, …)
+//     'fill'      fires only while fill mode is on
+//     'not_fill'  fires only while fill mode is off
+//     'prev'      fires if the last conditional trig on the track fired
+//     'not_prev'  fires if the last conditional trig on the track did not
+//
+// A trig fires when its condition holds AND its probability roll
+// passes. Bar cycles count song bars from the start of the chain.
+//
+// Probability rolls come from a stream derived from the randomization
+// seed and the trig's address (deriveSeed), never from the groove's
+// main RNG. A roll depends only on where the trig sits, so the live
+// scheduler and the bounce agree, and adding a probability to one step
+// leaves every groove draw unchanged.
+//
+// `prev` reads per-track state: the outcome of the most recent trig on
+// that track with a probability or a condition other than prev/not_prev.
+// Before any such trig has been evaluated it counts as not fired.
+
+import { SeededRNG, deriveSeed } from './grooveEngine.js';
+
+// ── Condition Catalogue ──
+// Bar cycles up to 8, then the mode and neighbour conditions.
+export const TRIG_CONDITIONS = Object.freeze([
+  ...[2, 3, 4, 8].flatMap(b => Array.from({ length: b }, (_, a) => `${a + 1}:${b}`)),
+  'fill', 'not_fill', 'prev', 'not_prev',
+]);
+
+const PREV_CONDITIONS = new Set(['prev', 'not_prev']);
+
+/**
+ * Parses an 'A:B' bar-cycle condition.
+ *
+ * @param {string} condition - Condition string
+ * @returns {{ a: number, b: number }|null} Cycle, or null if not a valid cycle
+ */
+export function parseCycle(condition) {
+  const m = /^(\d+):(\d+)$/.exec(condition || '');
+  if (!m) return null;
+  const a = +m[1], b = +m[2];
+  return a >= 1 && b >= 1 && a <= b ? { a, b } : null;
+}
+
+/**
+ * Evaluates a trig against its context. Pure.
+ *
+ * Unknown conditions are treated as no condition, so a kernel from a
+ * newer build still plays its steps.
+ *
+ * @param {Object} trig - Step or note ({ probability?, condition? })
+ * @param {Object} ctx
+ * @param {number} ctx.barIndex - Song bar index
+ * @param {boolean} ctx.fill - Fill mode on
+ * @param {boolean} ctx.prev - Last conditional trig on the track fired
+ * @param {number} ctx.roll - Uniform draw in [0, 1) for the probability
+ * @returns {boolean} True if the trig fires
+ */
+export function evaluateTrig(trig, { barIndex, fill, prev, roll }) {
+  const probability = trig.probability ?? 1;
+  if (probability < 1 && !(roll < probability)) return false;
+
+  const condition = trig.condition;
+  if (!condition) return true;
+  const cycle = parseCycle(condition);
+  if (cycle) return barIndex % cycle.b === cycle.a - 1;
+  switch (condition) {
+    case 'fill':     return !!fill;
+    case 'not_fill': return !fill;
+    case 'prev':     return !!prev;
+    case 'not_prev': return !prev;
+    default:         return true;
+  }
+}
+
+/**
+ * Decides whether a trig fires and records the outcome for `prev`.
+ *
+ * Plain trigs (no condition, probability 1) return true without
+ * drawing or touching track state.
+ *
+ * @param {Object} trig - Step or note ({ probability?, condition? })
+ * @param {string} track - Track key for prev/not_prev (channel id)
+ * @param {Object} ctx
+ * @param {number} ctx.barIndex - Song bar index
+ * @param {boolean} ctx.fill - Fill mode on
+ * @param {number} ctx.seed - Randomization seed
+ * @param {Object} ctx.state - Per-track outcomes, mutated in place
+ * @param {...(string|number)} address - Trig address for its probability roll
+ * @returns {boolean} True if the trig fires
+ */
+export function resolveTrig(trig, track, ctx, ...address) {
+  const probability = trig.probability ?? 1;
+  if (!trig.condition && probability >= 1) return true;
+
+  const roll = probability < 1
+    ? new SeededRNG(deriveSeed(ctx.seed, 'trig', ...address)).next()
+    : 0;
+  const fires = evaluateTrig(trig, {
+    barIndex: ctx.barIndex, fill: ctx.fill, prev: ctx.state[track] ?? false, roll,
+  });
+  if (!PREV_CONDITIONS.has(trig.condition)) ctx.state[track] = fires;
+  return fires;
+}
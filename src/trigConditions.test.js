@@ -0,0 +1,84 @@
+// ═══════════════════════════════════════════════════════════
+// Trig Conditions — Tests for probability and conditional trigs
+// ═══════════════════════════════════════════════════════════
+import { describe, it, expect } from 'vitest';
+import { TRIG_CONDITIONS, parseCycle, evaluateTrig, resolveTrig } from './trigConditions.js';
+
+const ctx = (over = {}) => ({ barIndex: 0, fill: false, prev: false, roll: 0.5, ...over });
+
+describe('Trig Conditions — evaluation', () => {
+  it('plain trigs always fire', () => {
+    expect(evaluateTrig({ active: true }, ctx())).toBe(true);
+    expect(evaluateTrig({ probability: 1 }, ctx({ roll: 0.999 }))).toBe(true);
+  });
+
+  it('probability compares against the roll', () => {
+    expect(evaluateTrig({ probability: 0.6 }, ctx({ roll: 0.59 }))).toBe(true);
+    expect(evaluateTrig({ probability: 0.6 }, ctx({ roll: 0.6 }))).toBe(false);
+    expect(evaluateTrig({ probability: 0 }, ctx({ roll: 0 }))).toBe(false);
+  });
+
+  it('bar cycles fire on the A-th of every B bars', () => {
+    const bars = (condition) => [0, 1, 2, 3, 4, 5, 6, 7].filter(barIndex => evaluateTrig({ condition }, ctx({ barIndex })));
+    expect(bars('1:2')).toEqual([0, 2, 4, 6]);
+    expect(bars('2:2')).toEqual([1, 3, 5, 7]);
+    expect(bars('3:4')).toEqual([2, 6]);
+    expect(bars('8:8')).toEqual([7]);
+  });
+
+  it('fill and prev conditions read the context', () => {
+    expect(evaluateTrig({ condition: 'fill' }, ctx({ fill: true }))).toBe(true);
+    expect(evaluateTrig({ condition: 'fill' }, ctx())).toBe(false);
+    expect(evaluateTrig({ condition: 'not_fill' }, ctx())).toBe(true);
+    expect(evaluateTrig({ condition: 'prev' }, ctx({ prev: true }))).toBe(true);
+    expect(evaluateTrig({ condition: 'not_prev' }, ctx({ prev: true }))).toBe(false);
+  });
+
+  it('condition and probability must both pass', () => {
+    expect(evaluateTrig({ condition: '1:2', probability: 0.5 }, ctx({ barIndex: 0, roll: 0.2 }))).toBe(true);
+    expect(evaluateTrig({ condition: '1:2', probability: 0.5 }, ctx({ barIndex: 0, roll: 0.7 }))).toBe(false);
+    expect(evaluateTrig({ condition: '1:2', probability: 0.5 }, ctx({ barIndex: 1, roll: 0.2 }))).toBe(false);
+  });
+
+  it('unknown conditions are ignored, malformed cycles rejected', () => {
+    expect(evaluateTrig({ condition: 'someday' }, ctx())).toBe(true);
+    expect(parseCycle('5:4')).toBe(null);
+    expect(parseCycle('0:2')).toBe(null);
+    expect(parseCycle('3:4')).toEqual({ a: 3, b: 4 });
+    expect(TRIG_CONDITIONS).toContain('1:2');
+    expect(TRIG_CONDITIONS).toContain('not_prev');
+  });
+});
+
+describe('Trig Conditions — resolution', () => {
+  const state = () => ({ barIndex: 0, fill: false, seed: 42, state: {} });
+
+  it('probability rolls are deterministic per address', () => {
+    const fires = (seed) => Array.from({ length: 64 }, (_, step) =>
+      resolveTrig({ probability: 0.5 }, 'snare', { ...state(), seed }, 'snare', 0, step));
+    expect(fires(42)).toEqual(fires(42));
+    expect(fires(42)).not.toEqual(fires(7));
+    const hits = fires(42).filter(Boolean).length;
+    expect(hits).toBeGreaterThan(20);
+    expect(hits).toBeLessThan(44);
+  });
+
+  it('prev follows the last conditional trig on the track', () => {
+    const c = state();
+    expect(resolveTrig({ condition: 'prev' }, 'hat', c, 'hat', 0, 0)).toBe(false);
+    resolveTrig({ condition: '1:2' }, 'hat', c, 'hat', 0, 1);        // fires on bar 0
+    expect(resolveTrig({ condition: 'prev' }, 'hat', c, 'hat', 0, 2)).toBe(true);
+    expect(resolveTrig({ condition: 'not_prev' }, 'hat', c, 'hat', 0, 3)).toBe(false);
+    // prev trigs do not overwrite the state they read
+    expect(resolveTrig({ condition: 'prev' }, 'hat', c, 'hat', 0, 4)).toBe(true);
+    resolveTrig({ condition: 'fill' }, 'hat', c, 'hat', 0, 5);       // fill off: did not fire
+    expect(resolveTrig({ condition: 'not_prev' }, 'hat', c, 'hat', 0, 6)).toBe(true);
+  });
+
+  it('plain trigs leave track state alone', () => {
+    const c = state();
+    resolveTrig({ condition: '1:2' }, 'hat', c, 'hat', 0, 0);
+    resolveTrig({ active: true }, 'hat', c, 'hat', 0, 1);
+    expect(c.state).toEqual({ hat: true });
+  });
+});